@@ -0,0 +1,162 @@
+import { parseKeyList } from './auth.js';
+
+// Agent settings for a call: the Ultravox model, voice, temperature, who speaks first, the
+// longest the call may run, the language hint, and the number Twilio calls from (by default
+// the caller ID pool's pick). Defaults come from the environment; a script, a campaign or one
+// /initiate-call can override them, but only with values on the allow-lists, so API callers
+// can't pick an expensive model or spoof a number.
+
+export const AGENT_SETTINGS = ['voice', 'model', 'temperature', 'firstSpeaker', 'maxDuration', 'language', 'callerId'];
+
+const DEFAULT_MODEL = 'fixie-ai/ultravox-70B';
+const DEFAULT_VOICE = 'b0e6b5c1-3100-44d5-8578-9015aa3023ae';
+const FIRST_SPEAKERS = { user: 'FIRST_SPEAKER_USER', agent: 'FIRST_SPEAKER_AGENT' };
+const E164_PATTERN = /^\+\d{7,15}$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+// Where each allow-list comes from, for error messages
+const ALLOW_LIST_ENV = { model: 'ALLOWED_MODELS', voice: 'ALLOWED_VOICES', language: 'ALLOWED_LANGUAGES', callerId: 'TWILIO_NUMBER_POOL and ALLOWED_CALLER_IDS' };
+
+export class AgentConfigError extends Error {
+    constructor(message, field = null) {
+        super(message);
+        this.name = 'AgentConfigError';
+        this.status = 400;
+        this.field = field;
+    }
+}
+
+// The default is always allowed, so an allow-list only needs the alternatives
+function allowList(defaultValue, value) {
+    return [...new Set([defaultValue, ...parseKeyList(value)].filter(Boolean))];
+}
+
+function checkAllowed(field, value, allowed) {
+    if (allowed.length === 0) {
+        throw new AgentConfigError(`${field} can't be set: ${ALLOW_LIST_ENV[field]} is empty`, field);
+    }
+    if (typeof value !== 'string' || !allowed.includes(value)) {
+        throw new AgentConfigError(`${field} must be one of: ${allowed.join(', ')} (see ${ALLOW_LIST_ENV[field]})`, field);
+    }
+    return value;
+}
+
+/**
+ * Reads the defaults (ULTRAVOX_MODEL, ULTRAVOX_VOICE, ULTRAVOX_TEMPERATURE, ULTRAVOX_FIRST_SPEAKER,
+ * ULTRAVOX_MAX_DURATION_SECONDS, ULTRAVOX_LANGUAGE_HINT) and what overrides may choose from
+ * (ALLOWED_MODELS, ALLOWED_VOICES, ALLOWED_LANGUAGES, MAX_CALL_DURATION_SECONDS, and as caller
+ * ID the pool's `callerIds` plus ALLOWED_CALLER_IDS). Throws on a default that isn't valid itself.
+ */
+export function loadAgentConfig(env = process.env, { callerIds = [env.TWILIO_PHONE_NUMBER] } = {}) {
+    const maxDurationLimit = Number(env.MAX_CALL_DURATION_SECONDS || 3600);
+    if (!Number.isInteger(maxDurationLimit) || maxDurationLimit < 1) {
+        throw new Error('MAX_CALL_DURATION_SECONDS must be a positive integer');
+    }
+
+    const defaults = {
+        model: env.ULTRAVOX_MODEL || DEFAULT_MODEL,
+        voice: env.ULTRAVOX_VOICE || DEFAULT_VOICE,
+        temperature: 0.4,
+        firstSpeaker: 'user',
+        maxDuration: null,
+        language: env.ULTRAVOX_LANGUAGE_HINT || null,
+        // null: the caller ID pool picks one for each call
+        callerId: null
+    };
+    const config = {
+        defaults,
+        allowed: {
+            model: allowList(defaults.model, env.ALLOWED_MODELS),
+            voice: allowList(defaults.voice, env.ALLOWED_VOICES),
+            language: allowList(defaults.language, env.ALLOWED_LANGUAGES),
+            callerId: [...new Set([...callerIds, ...parseKeyList(env.ALLOWED_CALLER_IDS)].filter(Boolean))]
+        },
+        maxDurationLimit
+    };
+
+    const invalidCallerId = config.allowed.callerId.find(number => !E164_PATTERN.test(number));
+    if (invalidCallerId) {
+        throw new Error(`ALLOWED_CALLER_IDS must be E.164 numbers such as +12125550100 (got ${invalidCallerId})`);
+    }
+    const invalidLanguage = config.allowed.language.find(language => !LANGUAGE_PATTERN.test(language));
+    if (invalidLanguage) {
+        throw new Error(`ALLOWED_LANGUAGES must be language tags such as en or fil-PH (got ${invalidLanguage})`);
+    }
+
+    // Numeric and enumerated defaults go through the same checks as overrides
+    try {
+        Object.assign(defaults, validateAgentOverrides(config, {
+            temperature: env.ULTRAVOX_TEMPERATURE || undefined,
+            firstSpeaker: env.ULTRAVOX_FIRST_SPEAKER || undefined,
+            maxDuration: env.ULTRAVOX_MAX_DURATION_SECONDS || undefined
+        }));
+    } catch (error) {
+        throw new Error(`Invalid agent default: ${error.message}`);
+    }
+    return config;
+}
+
+/**
+ * Checks overrides against the config and returns them normalized (numbers as numbers,
+ * firstSpeaker as "user" or "agent"), leaving out the settings they don't set. Numbers may be
+ * given as strings, as they are in a query string. Throws an AgentConfigError naming the field.
+ */
+export function validateAgentOverrides(config, overrides) {
+    if (overrides === undefined || overrides === null) return {};
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new AgentConfigError(`agent must be an object with any of: ${AGENT_SETTINGS.join(', ')}`);
+    }
+    const unknown = Object.keys(overrides).filter(field => !AGENT_SETTINGS.includes(field));
+    if (unknown.length > 0) {
+        throw new AgentConfigError(`Unknown agent settings: ${unknown.join(', ')} (expected any of: ${AGENT_SETTINGS.join(', ')})`, unknown[0]);
+    }
+
+    const result = {};
+    const given = field => overrides[field] !== undefined && overrides[field] !== null && overrides[field] !== '';
+
+    for (const field of ['model', 'voice', 'language', 'callerId']) {
+        if (given(field)) {
+            result[field] = checkAllowed(field, overrides[field], config.allowed[field]);
+        }
+    }
+    if (given('temperature')) {
+        const temperature = Number(overrides.temperature);
+        if (!(temperature >= 0 && temperature <= 1)) {
+            throw new AgentConfigError('temperature must be a number from 0 to 1', 'temperature');
+        }
+        result.temperature = temperature;
+    }
+    if (given('firstSpeaker')) {
+        // Ultravox's own names are accepted too
+        const value = String(overrides.firstSpeaker);
+        const firstSpeaker = Object.keys(FIRST_SPEAKERS).find(name => name === value.toLowerCase() || FIRST_SPEAKERS[name] === value);
+        if (!firstSpeaker) {
+            throw new AgentConfigError('firstSpeaker must be user or agent', 'firstSpeaker');
+        }
+        result.firstSpeaker = firstSpeaker;
+    }
+    if (given('maxDuration')) {
+        const maxDuration = Number(overrides.maxDuration);
+        if (!Number.isInteger(maxDuration) || maxDuration < 10 || maxDuration > config.maxDurationLimit) {
+            throw new AgentConfigError(`maxDuration must be a whole number of seconds from 10 to ${config.maxDurationLimit}`, 'maxDuration');
+        }
+        result.maxDuration = maxDuration;
+    }
+    return result;
+}
+
+// The settings for one call: defaults, then each layer of overrides in order (script, campaign, request)
+export function resolveAgentSettings(config, ...layers) {
+    return layers.reduce((settings, layer) => ({ ...settings, ...validateAgentOverrides(config, layer) }), { ...config.defaults });
+}
+
+// The Ultravox call fields for resolved settings; the caller ID is Twilio's business
+export function toUltravoxSettings({ model, voice, temperature, firstSpeaker, maxDuration, language }) {
+    return {
+        model,
+        voice,
+        temperature,
+        firstSpeaker: FIRST_SPEAKERS[firstSpeaker],
+        ...(maxDuration ? { maxDuration: `${maxDuration}s` } : {}),
+        ...(language ? { languageHint: language } : {})
+    };
+}
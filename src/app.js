@@ -0,0 +1,1397 @@
+import crypto from 'node:crypto';
+import twilio from 'twilio';
+import express from 'express';
+import { createCampaignManager, createCampaignRouter } from './campaigns.js';
+import { classifyTag, createRetryRouter, createRetryScheduler, loadRetryPolicy } from './retries.js';
+import { createScriptRouter, createScriptStore, renderScript, ScriptError } from './scripts.js';
+import {
+    buildEventVariables,
+    createEventRouter,
+    createEventStore,
+    EventConfigError,
+    findOutcomeForTag,
+    getOutcomeTag
+} from './events.js';
+import { createCallLog, createCallLogRouter } from './callLog.js';
+import { flushAll, getDataDir } from './store.js';
+import { createCrmAdapter, createCrmRouter, CRM_REQUIRED_ENV, getCrmProvider } from './crm/index.js';
+import {
+    createTranscriptRouter,
+    createTranscriptService,
+    createUltravoxWebhookHandler,
+    registerUltravoxWebhook
+} from './transcripts.js';
+import { captureRawBody, parseKeyList, requireApiKey, requireTwilioSignature } from './auth.js';
+import { ComplianceError, createComplianceGuard, createComplianceRouter, loadCallingHours } from './compliance.js';
+import { createInboundSmsHandler } from './inboundSms.js';
+import { createInboundCallHandler } from './inboundCalls.js';
+import { createAttendanceHandler, ATTENDANCE_VALUES } from './attendance.js';
+import { createCallMonitor, createDashboardRouter } from './dashboard.js';
+import { createAnswerHandler, getVoicemailMode, isMachine } from './voicemail.js';
+import { createJobRouter, createJobScheduler, JobError } from './scheduler.js';
+import { getPhoneTimeZones } from './phoneTimeZones.js';
+import { createSequenceEngine, createSequenceRouter } from './sequences.js';
+import {
+    createSimulationRouter,
+    createSimulator,
+    isSimulationMode,
+    loadSimulationConfig,
+    SIMULATION_DEFAULTS
+} from './simulation.js';
+import { formatPhoneNumber, isValidRegion, loadPhoneConfig, parsePhone, PhoneNumberError, requirePhoneNumber } from './phone.js';
+import { createOutboundClient, loadOutboundPolicy } from './outbound.js';
+import { createDeadLetterQueue, createDeadLetterRouter } from './deadLetters.js';
+import { logger } from './logger.js';
+import { createMetrics, createMetricsHandler } from './metrics.js';
+import { createReadinessChecker, createReadinessHandler, loadReadinessConfig } from './readiness.js';
+import { createNumberPool, createNumberPoolRouter, loadNumberPoolConfig, NumberPoolError } from './numberPool.js';
+import {
+    AgentConfigError,
+    loadAgentConfig,
+    resolveAgentSettings,
+    toUltravoxSettings,
+    validateAgentOverrides
+} from './agentConfig.js';
+
+const log = logger.child({ module: 'app' });
+
+// A correlation ID sent with /initiate-call is kept if it looks like one, otherwise a new one is made
+const CORRELATION_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+export class ConfigError extends Error {
+    constructor(message, missing = []) {
+        super(message);
+        this.name = 'ConfigError';
+        this.missing = missing;
+    }
+}
+
+/**
+ * Builds the Express app with every route and background service, without listening or
+ * touching the process, so the server (index.js) and the tests construct it the same way.
+ * Configuration comes from `env`. `twilioClient` and `crmAdapter` replace the real Twilio
+ * client and CRM adapter. Throws ConfigError when required settings are missing.
+ *
+ * Returns { app, start, stop }: start() kicks off the job scheduler and Ultravox webhook
+ * registration once listening, stop() halts the scheduler and writes pending data.
+ */
+export function createApp({ env: baseEnv = process.env, twilioClient = null, crmAdapter = null } = {}) {
+    // Create express app first
+    const app = express();
+
+    // One entry per request once it is answered; only the path, since query strings carry phone numbers and keys
+    app.use((req, res, next) => {
+        const startedAt = performance.now();
+        // Routers rewrite req.path to their own prefix while handling the request
+        const path = req.path;
+        res.on('finish', () => {
+            // Health checks and metrics scrapes would drown out everything else
+            const level = ['/health', '/ready', '/metrics'].includes(path) ? 'debug' : 'info';
+            log[level]('Request', {
+                method: req.method,
+                path,
+                status: res.statusCode,
+                durationMs: Math.round(performance.now() - startedAt),
+                correlationId: res.locals.correlationId
+            });
+        });
+        next();
+    });
+
+    // Parse JSON bodies AND URL-encoded bodies
+    app.use(express.json({ verify: captureRawBody }));
+    app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+
+    // SIMULATION_MODE=true swaps Twilio, Ultravox and the CRM for local stand-ins: no real calls, SMS or tags
+    const SIMULATION_MODE = isSimulationMode(baseEnv);
+    const env = SIMULATION_MODE ? { ...SIMULATION_DEFAULTS, ...baseEnv, CRM_PROVIDER: 'json' } : baseEnv;
+    if (SIMULATION_MODE) {
+        log.warn('SIMULATION MODE: calls and SMS are simulated and tags go to the local json CRM');
+    }
+    // Where every store keeps its JSON file (DATA_DIR)
+    const dataDir = getDataDir(env);
+    // DEFAULT_PHONE_REGION and SUPPORTED_COUNTRIES, passed to every phone number parse
+    const phoneConfig = loadPhoneConfig(env);
+
+    // Validate environment variables
+    const requiredEnvVars = [
+      'TWILIO_ACCOUNT_SID',
+      'TWILIO_AUTH_TOKEN',
+      'TWILIO_PHONE_NUMBER',
+      'ULTRAVOX_API_KEY',
+      'API_KEYS',
+      // Plus whatever the selected CRM adapter needs (GHL_API_KEY and GHL_LOCATION_ID for GHL)
+      ...(crmAdapter ? [] : CRM_REQUIRED_ENV[getCrmProvider(env)] || [])
+    ];
+
+    const missingEnvVars = requiredEnvVars.filter(envVar => !env[envVar]);
+    if (missingEnvVars.length > 0) {
+      throw new ConfigError(`Missing required environment variables: ${missingEnvVars.join(', ')}`, missingEnvVars);
+    }
+
+    // Twilio configuration
+    const TWILIO_ACCOUNT_SID = env.TWILIO_ACCOUNT_SID;
+    const TWILIO_AUTH_TOKEN = env.TWILIO_AUTH_TOKEN;
+    const TWILIO_PHONE_NUMBER = env.TWILIO_PHONE_NUMBER;
+
+    // API keys for our own endpoints (comma-separated, newest first; the first one is given to the agent's tools)
+    const API_KEYS = parseKeyList(env.API_KEYS);
+    const apiKeyAuth = requireApiKey(API_KEYS);
+
+    // Counters and latency histograms served at /metrics
+    const metrics = createMetrics();
+    const callsByStatus = metrics.counter('calls_total', 'Calls by status: the statuses Twilio reports plus dial-failed', {
+        labelNames: ['status']
+    });
+    const tagsByOutcome = metrics.counter('crm_tags_total', 'CRM tags by call outcome, applied or queued for replay', {
+        labelNames: ['outcome', 'result']
+    });
+    const smsByResult = metrics.counter('sms_messages_total', 'Outbound SMS by result (sent or failed)', {
+        labelNames: ['result']
+    });
+    const providerLatency = metrics.histogram('provider_request_duration_seconds', 'Duration of each attempt at a request to Twilio, Ultravox or the CRM', {
+        labelNames: ['provider', 'result']
+    });
+
+    // Timeouts, retries and a circuit breaker for each provider we call out to
+    const outboundPolicy = loadOutboundPolicy(env);
+    const onAttempt = ({ provider, seconds, ok }) => providerLatency.observe({ provider, result: ok ? 'ok' : 'error' }, seconds);
+    const outbound = {
+        twilio: createOutboundClient({ provider: 'twilio', policy: outboundPolicy, onAttempt }),
+        ultravox: createOutboundClient({ provider: 'ultravox', policy: outboundPolicy, onAttempt }),
+        crm: createOutboundClient({ provider: 'crm', policy: outboundPolicy, onAttempt })
+    };
+
+    // CRM adapter for contacts and outcome tags, chosen with CRM_PROVIDER (ghl or json)
+    const crm = crmAdapter || createCrmAdapter(env, { client: outbound.crm });
+
+    // Numbers calls and texts go out from, picked per recipient for local presence and spread by daily volume
+    const numberPool = createNumberPool({ ...loadNumberPoolConfig(env), dataDir });
+
+    // Log Twilio configuration (without sensitive data)
+    log.info('Twilio configuration', {
+        accountSid: TWILIO_ACCOUNT_SID ? `${TWILIO_ACCOUNT_SID.substring(0, 4)}...` : 'missing',
+        twilioNumber: TWILIO_PHONE_NUMBER || 'missing',
+        numberPool: numberPool.numbers.length
+    });
+
+    // Ultravox configuration
+    const ULTRAVOX_API_KEY = env.ULTRAVOX_API_KEY;
+
+    // Model, voice, temperature, first speaker, max duration, language and caller ID for each call:
+    // defaults from the environment, overridable per script, campaign or call within allow-lists
+    const agentConfig = loadAgentConfig(env, { callerIds: numberPool.numbers });
+    log.info('Agent configuration', { defaults: agentConfig.defaults, allowed: agentConfig.allowed });
+
+    // Call scripts are loaded from the scripts/ directory; this one is used when a call doesn't pick one
+    const DEFAULT_SCRIPT_ID = env.DEFAULT_SCRIPT_ID || 've0525';
+    const scriptStore = createScriptStore({
+        dir: env.SCRIPTS_DIR || undefined,
+        validateAgent: agent => validateAgentOverrides(agentConfig, agent)
+    });
+
+    // Event definitions (schedule and outcome tags) are loaded from the events/ directory
+    const eventStore = createEventStore({ dir: env.EVENTS_DIR || undefined });
+
+    // Persistent log of call attempts, status transitions, tags and SMS
+    const callLog = createCallLog({ dataDir });
+
+    // Answering machine detection: VOICEMAIL_MODE=message (Twilio reads the event's voicemail),
+    // agent (a voicemail-only Ultravox session running VOICEMAIL_SCRIPT_ID) or off
+    const VOICEMAIL_MODE = getVoicemailMode(env);
+    const VOICEMAIL_SCRIPT_ID = env.VOICEMAIL_SCRIPT_ID || 'voicemail';
+
+    // Calling hours in the recipient's time zone and the do-not-call list, checked before every dial
+    const compliance = createComplianceGuard({ hours: loadCallingHours(env), dataDir });
+
+    const ULTRAVOX_WEBHOOK_SECRET = env.ULTRAVOX_WEBHOOK_SECRET;
+
+    // Determine base URL for webhooks
+    const getServerBaseUrl = () => {
+        if (env.SERVER_BASE_URL) {
+            return env.SERVER_BASE_URL;
+        }
+
+        // For local development
+        const port = env.PORT || 10000;
+
+        // If running in a cloud environment, try to detect the public URL
+        if (env.VERCEL_URL) {
+            return `https://${env.VERCEL_URL}`;
+        }
+        if (env.RENDER_EXTERNAL_URL) {
+            return env.RENDER_EXTERNAL_URL;
+        }
+
+        // Fallback to localhost
+        return `http://localhost:${port}`;
+    };
+
+    const simulator = SIMULATION_MODE
+        ? createSimulator({
+            config: loadSimulationConfig(env),
+            authToken: TWILIO_AUTH_TOKEN,
+            apiKey: API_KEYS[0],
+            getBaseUrl: getServerBaseUrl,
+            localBaseUrl: `http://127.0.0.1:${env.PORT || 10000}`
+        })
+        : null;
+
+    // Transcripts are fetched from Ultravox (or the simulator) after each call ends
+    const transcriptService = createTranscriptService({
+        apiKey: ULTRAVOX_API_KEY,
+        callLog,
+        client: simulator ? simulator.ultravox : outbound.ultravox,
+        dataDir
+    });
+
+    // The real Twilio client, or the simulator's (or a test's) stand-in
+    function getTwilioClient(options) {
+        if (twilioClient) return twilioClient;
+        return simulator ? simulator.twilio : twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, options);
+    }
+
+    // Send an SMS from a number in the caller ID pool (the one they were last called from, while it
+    // has room, so the conversation stays on one number); the message itself is never logged
+    async function sendSMS(phoneNumber, message) {
+        log.info('Sending SMS', { to: phoneNumber, messageLength: message.length });
+
+        // Rejected numbers (invalid, unsupported country, landline) never reach Twilio
+        const formattedNumber = requirePhoneNumber(phoneNumber, { ...phoneConfig, purpose: 'sms' });
+        if (compliance.isOnDoNotCall(formattedNumber)) {
+            throw new ComplianceError(`${formattedNumber} has opted out and is not texted`, { reason: 'do-not-call' });
+        }
+        // NumberPoolError once every number reached its daily cap
+        const from = numberPool.take(formattedNumber, {
+            channel: 'sms',
+            preferred: callLog.findLatestByPhone(formattedNumber)?.twilioNumber
+        });
+
+        try {
+            // Configure Twilio client with timeout options
+            const clientOptions = {
+                timeout: outboundPolicy.timeoutMs,
+                keepAlive: false
+            };
+
+            const client = getTwilioClient(clientOptions);
+            const result = await outbound.twilio.run(() => client.messages.create({
+                body: message,
+                from,
+                to: formattedNumber,
+                attempt: 1,
+                maxPrice: 0.15 // Set maximum price per message
+            }), { idempotent: false, description: 'SMS send' });
+
+            callLog.recordMessage({ sid: result.sid, to: formattedNumber, from, status: result.status });
+            smsByResult.inc({ result: 'sent' });
+            log.info('SMS sent', { sid: result.sid, status: result.status, to: formattedNumber });
+
+            return result.sid;
+        } catch (error) {
+            numberPool.release(from, 'sms');
+            callLog.recordMessage({ sid: null, to: formattedNumber, from, status: 'failed', error: error.message });
+            smsByResult.inc({ result: 'failed' });
+            log.error('SMS send failed', { to: formattedNumber, error });
+
+            throw new Error(`SMS send failed: ${error.message}`);
+        }
+    }
+
+    // Endpoint behind the agent's sendSMS tool; recipient and message may come in the body or the query string
+    app.post('/api/sms-webhook', apiKeyAuth, async (req, res) => {
+        try {
+            // Get phone number from either body, query parameters, or recipient field
+            const phoneNumber = req.body.phoneNumber || req.body.recipient || req.query.recipient || req.query.phoneNumber;
+            const message = req.body.message || req.query.message;
+
+            if (!phoneNumber || !message) {
+                log.warn('SMS webhook request without a recipient or message', { phoneNumber, hasMessage: Boolean(message) });
+                return res.status(400).json({
+                    success: false,
+                    error: 'Missing phoneNumber/recipient or message'
+                });
+            }
+
+            try {
+                const messageSid = await sendSMS(phoneNumber, message);
+                res.json({
+                    success: true,
+                    messageSid,
+                    message: 'SMS sent successfully'
+                });
+            } catch (smsError) {
+                log.error('Error sending SMS in webhook', smsError);
+                if (smsError instanceof PhoneNumberError || smsError instanceof ComplianceError || smsError instanceof NumberPoolError) {
+                    return res.status(smsError.status || 400).json({
+                        success: false,
+                        error: smsError.message,
+                        reason: smsError.reason,
+                        retryAt: smsError.retryAt
+                    });
+                }
+                res.status(500).json({
+                    success: false,
+                    error: `SMS send failed: ${smsError.message}`
+                });
+            }
+        } catch (error) {
+            log.error('Error in SMS webhook', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // `agent` is the call's resolved agent settings; `firstSpeaker` (in Ultravox's terms) overrides theirs
+    async function createUltravoxCall(systemPrompt, { agent = agentConfig.defaults, firstSpeaker, tools, correlationId = null } = {}) {
+        // Get server base URL
+        const baseUrl = getServerBaseUrl();
+        const callLogger = log.child({ correlationId });
+
+        // Define tools with proper client implementation structure
+        const selectedTools = tools || [
+            {
+                "temporaryTool": {
+                    "modelToolName": "sendSMS",
+                    "description": "Send an SMS message to the user with the provided content",
+                    "dynamicParameters": [
+                        {
+                            "name": "recipient",
+                            "location": "PARAMETER_LOCATION_BODY",
+                            "schema": {
+                                "type": "string",
+                                "description": "The recipient's phone number in E.164 format (e.g., +1234567890)"
+                            },
+                            "required": true
+                        },
+                        {
+                            "name": "message",
+                            "location": "PARAMETER_LOCATION_BODY",
+                            "schema": {
+                                "type": "string",
+                                "description": "The text message to be sent"
+                            },
+                            "required": true
+                        }
+                    ],
+                    "client": {
+                        "implementation": async (parameters) => {
+                            try {
+                                callLogger.info('SMS tool implementation called', { recipient: parameters.recipient });
+                                const response = await fetch(`${baseUrl}/api/sms-webhook`, {
+                                    method: 'POST',
+                                    headers: {
+                                        'Content-Type': 'application/json',
+                                        'X-API-Key': API_KEYS[0]
+                                    },
+                                    body: JSON.stringify({
+                                        recipient: parameters.recipient,
+                                        message: parameters.message
+                                    })
+                                });
+
+                                if (!response.ok) {
+                                    const errorData = await response.text();
+                                    callLogger.error('SMS webhook error', {
+                                        status: response.status,
+                                        statusText: response.statusText,
+                                        error: errorData
+                                    });
+                                    throw new Error('Failed to send SMS');
+                                }
+
+                                const result = await response.json();
+                                callLogger.info('SMS tool implementation success', { messageSid: result.messageSid });
+                                return `SMS sent successfully (${result.messageSid})`;
+                            } catch (error) {
+                                callLogger.error('Error in sendSMS tool', error);
+                                return 'Failed to send SMS';
+                            }
+                        }
+                    }
+                }
+            },
+            {
+          temporaryTool: {
+            modelToolName: 'addContact',
+            description: 'Add or update the contact in the CRM and apply a tag',
+            dynamicParameters: [
+              { name: 'clientName', location: 'PARAMETER_LOCATION_QUERY', schema: { type: 'string', description: 'Name of the client' }, required: true },
+              { name: 'phoneNumber', location: 'PARAMETER_LOCATION_QUERY', schema: { type: 'string', description: 'Phone number of the client' }, required: true },
+              { name: 'tag', location: 'PARAMETER_LOCATION_QUERY', schema: { type: 'string', description: 'The tag to use on GHL' }, required: false }
+            ],
+            http: {
+              baseUrlPattern: `${baseUrl}/api/contacts`,
+              httpMethod: 'GET'
+            },
+            staticParameters: [
+              { name: 'X-API-Key', location: 'PARAMETER_LOCATION_HEADER', value: API_KEYS[0] }
+            ]
+          }
+        },
+        {
+          temporaryTool: {
+            modelToolName: 'recordAttendance',
+            description: 'Record the outcome of the call: whether the person will attend, or why they could not confirm',
+            dynamicParameters: [
+              { name: 'phoneNumber', location: 'PARAMETER_LOCATION_BODY', schema: { type: 'string', description: 'Phone number of the client' }, required: true },
+              { name: 'attendance', location: 'PARAMETER_LOCATION_BODY', schema: { type: 'string', enum: ATTENDANCE_VALUES, description: 'The outcome, exactly as the script names it' }, required: true },
+              { name: 'clientName', location: 'PARAMETER_LOCATION_BODY', schema: { type: 'string', description: 'Name of the client, if they told you' }, required: false },
+              { name: 'note', location: 'PARAMETER_LOCATION_BODY', schema: { type: 'string', description: 'Anything worth passing on, e.g. when to call back' }, required: false }
+            ],
+            http: {
+              baseUrlPattern: `${baseUrl}/api/attendance`,
+              httpMethod: 'POST'
+            },
+            staticParameters: [
+              { name: 'X-API-Key', location: 'PARAMETER_LOCATION_HEADER', value: API_KEYS[0] }
+            ]
+          }
+        },
+        {
+          temporaryTool: {
+            modelToolName: 'doNotCall',
+            description: 'Record that the person asked not to be called again. Use it whenever they ask to be removed from the list or never called again',
+            dynamicParameters: [
+              { name: 'phoneNumber', location: 'PARAMETER_LOCATION_BODY', schema: { type: 'string', description: 'Phone number of the client' }, required: true },
+              { name: 'reason', location: 'PARAMETER_LOCATION_BODY', schema: { type: 'string', description: 'What the person said, briefly' }, required: false }
+            ],
+            http: {
+              baseUrlPattern: `${baseUrl}/api/do-not-call`,
+              httpMethod: 'POST'
+            },
+            staticParameters: [
+              { name: 'X-API-Key', location: 'PARAMETER_LOCATION_HEADER', value: API_KEYS[0] }
+            ]
+          }
+        }
+      ];
+
+        const ULTRAVOX_CALL_CONFIG = {
+            systemPrompt: systemPrompt,
+            ...toUltravoxSettings(agent),
+            ...(firstSpeaker ? { firstSpeaker } : {}),
+            medium: { "twilio": {} },
+            selectedTools: selectedTools
+        };
+
+        if (simulator) {
+            return simulator.createUltravoxCall(ULTRAVOX_CALL_CONFIG);
+        }
+
+        try {
+            callLogger.info('Creating Ultravox call', {
+                model: ULTRAVOX_CALL_CONFIG.model,
+                voice: ULTRAVOX_CALL_CONFIG.voice,
+                firstSpeaker: ULTRAVOX_CALL_CONFIG.firstSpeaker,
+                tools: selectedTools.length
+            });
+
+            // Safe to repeat: a session nobody joins just expires
+            const response = await outbound.ultravox.fetch('https://api.ultravox.ai/api/calls', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-API-Key': ULTRAVOX_API_KEY
+                },
+                body: JSON.stringify(ULTRAVOX_CALL_CONFIG)
+            }, { idempotent: true, log: callLogger });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Ultravox API error: ${response.status} ${response.statusText} - ${errorText}`);
+            }
+
+            const data = await response.json();
+            callLogger.info('Created Ultravox call', { ultravoxCallId: data.callId });
+            return data;
+        } catch (error) {
+            callLogger.error('Error creating Ultravox call', error);
+            throw error;
+        }
+    }
+
+    // Everything a script can reference: the event's schedule and tags, per-call variables and the call's own details
+    async function buildScriptVariables(script, { eventId, variables = {}, ...callDetails }) {
+        const resolvedEventId = eventId || script.event;
+        const event = resolvedEventId ? await eventStore.getEvent(resolvedEventId) : null;
+        return {
+            event,
+            values: {
+                ...(event ? buildEventVariables(event) : {}),
+                ...variables,
+                ...callDetails,
+                currentTime: new Date().toISOString()
+            }
+        };
+    }
+
+    // Load a script version and render it for one caller
+    async function preparePrompt({ scriptId = DEFAULT_SCRIPT_ID, scriptVersion, eventId, variables = {}, ...callDetails }) {
+        const script = await scriptStore.getScript(scriptId, scriptVersion);
+        const { event, values } = await buildScriptVariables(script, { eventId, variables, ...callDetails });
+        return { script, event, systemPrompt: renderScript(script, values) };
+    }
+
+    // Each placed call gets a correlation ID (the caller's, from /initiate-call, or a new one) that
+    // follows it through Ultravox, its status callbacks and tag writes in the logs
+    async function initiateCall(clientName, phoneNumber, userType, context = {}) {
+        const {
+            scriptId = DEFAULT_SCRIPT_ID,
+            scriptVersion,
+            eventId,
+            variables = {},
+            agent,
+            correlationId = crypto.randomUUID(),
+            ...retryContext
+        } = context;
+        const callLogger = log.child({ correlationId });
+
+        // Refuse do-not-call numbers and calls outside the recipient's calling hours (ComplianceError)
+        const { timeZones } = compliance.assertCallable(phoneNumber);
+
+        // Render the prompt before anything is dialed so a missing variable never reaches a caller
+        const { script, event, systemPrompt } = await preparePrompt({
+            scriptId,
+            scriptVersion,
+            eventId,
+            variables,
+            clientName,
+            phoneNumber,
+            userType,
+            recipientTimeZone: timeZones[0]
+        });
+        // The script's agent settings, then the campaign's or the request's (AgentConfigError)
+        const agentSettings = resolveAgentSettings(agentConfig, script.agent, agent);
+        // A caller ID chosen in the settings, or the pool's pick for this recipient (NumberPoolError
+        // when all are capped, before the attempt is counted so the call is only put off)
+        const twilioNumber = numberPool.take(phoneNumber, { channel: 'call', number: agentSettings.callerId });
+
+        // Count the attempt up front so a failed dial still uses up a retry; retries reuse the same script version
+        const retryEntry = retryScheduler.recordAttempt({
+            clientName,
+            phoneNumber,
+            userType,
+            scriptId: script.id,
+            scriptVersion: script.version,
+            eventId: event?.id,
+            variables,
+            agent,
+            ...retryContext
+        });
+        const callDetails = {
+            clientName,
+            phoneNumber,
+            userType,
+            campaignId: retryContext.campaignId,
+            contactId: retryContext.contactId,
+            eventId: event?.id,
+            scriptId: script.id,
+            scriptVersion: script.version,
+            attempt: retryEntry.attempts,
+            correlationId,
+            agent: agentSettings,
+            twilioNumber
+        };
+
+        try {
+            callLogger.info('Placing call', {
+                phoneNumber,
+                userType,
+                scriptId: script.id,
+                scriptVersion: script.version,
+                eventId: event?.id,
+                campaignId: retryContext.campaignId,
+                attempt: retryEntry.attempts
+            });
+
+            const ultravoxCall = await createUltravoxCall(systemPrompt, { agent: agentSettings, correlationId });
+            const { joinUrl } = ultravoxCall;
+
+            const baseUrl = getServerBaseUrl();
+            // Include clientName in the status callback URL, plus the event whose tags it applies
+            const statusCallbackUrl = `${baseUrl}/call-status?clientName=${encodeURIComponent(clientName)}&phoneNumber=${encodeURIComponent(phoneNumber)}${event ? `&eventId=${encodeURIComponent(event.id)}` : ''}`;
+
+            // With answering machine detection Twilio asks /call-answered what to do once it knows who picked up
+            const connect = VOICEMAIL_MODE === 'off'
+                ? { twiml: `<Response><Connect><Stream url="${joinUrl}"/></Connect></Response>` }
+                : {
+                    url: `${baseUrl}/call-answered?${new URLSearchParams({
+                        joinUrl,
+                        clientName,
+                        phoneNumber,
+                        userType,
+                        ...(event ? { eventId: event.id } : {})
+                    })}`,
+                    machineDetection: 'DetectMessageEnd'
+                };
+
+            const client = getTwilioClient({ timeout: outboundPolicy.timeoutMs });
+            const call = await outbound.twilio.run(() => client.calls.create({
+                ...connect,
+                to: phoneNumber,
+                from: twilioNumber,
+                statusCallback: statusCallbackUrl,
+                statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+                statusCallbackMethod: 'POST'
+            }), { idempotent: false, description: 'call create', log: callLogger });
+
+            callLog.recordCall({ ...callDetails, callSid: call.sid, ultravoxCallId: ultravoxCall.callId, status: call.status });
+            sequences.enroll({ event, clientName, phoneNumber, userType });
+
+            callLogger.info('Call initiated', { callSid: call.sid, ultravoxCallId: ultravoxCall.callId });
+            return call.sid;
+        } catch (error) {
+            callLogger.error('Error initiating call', error);
+            // The call never went out, so it doesn't count against the caller ID's cap
+            numberPool.release(twilioNumber, 'call');
+            callLog.recordCall({ ...callDetails, status: 'dial-failed', error: error.message });
+            callsByStatus.inc({ status: 'dial-failed' });
+            throw error;
+        }
+    }
+
+    // Tag a contact in the CRM (creating it if needed) and leave a note saying which call it came from.
+    // Each step done is recorded on `write`, so replaying a dead-lettered write picks up where it
+    // failed rather than creating the contact or tagging it twice.
+    async function writeTag(write) {
+        const { clientName, phoneNumber, tag, callSid, removeTags = [], taggedAt = new Date().toISOString(), correlationId = null } = write;
+        write.contact ||= await crm.findOrCreateContact({ phoneNumber, name: clientName });
+        const { contact } = write;
+        if (!write.tagged) {
+            await crm.applyOutcomeTag(contact, tag, { removeTags });
+            write.tagged = true;
+        }
+        await crm.addNote(contact, `Attendance call${callSid ? ` ${callSid}` : ''}: tagged "${tag}" at ${taggedAt}`);
+        log.info('Tagged contact', { crm: crm.name, contactId: contact.id, tag, callSid, correlationId });
+        return contact;
+    }
+
+    // Tag writes that fail are queued and replayed once the CRM is back, rather than lost.
+    // Returns the contact, or null when the write was queued. `outcome` is only for the metrics.
+    async function tagContact(clientName, phoneNumber, tag, { callSid, removeTags = [], outcome = null } = {}) {
+        const correlationId = (callSid && callLog.get(callSid)?.correlationId) || null;
+        const write = { clientName, phoneNumber, tag, callSid: callSid || null, removeTags, taggedAt: new Date().toISOString(), correlationId };
+        try {
+            const contact = await writeTag(write);
+            tagsByOutcome.inc({ outcome, result: 'applied' });
+            return contact;
+        } catch (error) {
+            log.error('Error writing tag', { phoneNumber, tag, callSid, correlationId, error: error.message });
+            deadLetters.add('crm-tag', write, error);
+            tagsByOutcome.inc({ outcome, result: 'queued' });
+            return null;
+        }
+    }
+
+    // Apply the event's tag for a call outcome and record it with the call
+    async function tagOutcome({ callSid, eventId, clientName, phoneNumber, outcome, source = 'status-callback' }) {
+        if (!eventId) {
+            log.warn('No event for call, skipping the outcome tag', { callSid, phoneNumber, outcome });
+            return;
+        }
+        const event = await eventStore.getEvent(eventId);
+        const tag = getOutcomeTag(event, outcome);
+        await tagContact(clientName, phoneNumber, tag, { callSid, outcome });
+        callLog.recordTag({ callSid, tag, outcome, source });
+        advanceSequence(event.id, phoneNumber, outcome, source);
+        return tag;
+    }
+
+    // The event outcome a tag applied by the agent stands for, if any
+    async function findAgentOutcome(call, tag) {
+        if (!call?.eventId) return null;
+        try {
+            return findOutcomeForTag(await eventStore.getEvent(call.eventId), tag);
+        } catch (error) {
+            log.error('Error loading event for agent tag', { callSid: call.id, correlationId: call.correlationId, error: error.message });
+            return null;
+        }
+    }
+
+    // Record a tag applied by the agent against the latest call to that number
+    function recordAgentTag(call, tag, outcome) {
+        if (!call) return;
+        callLog.recordTag({ callSid: call.id, tag, outcome, source: 'agent' });
+        advanceSequence(call.eventId, call.phoneNumber, outcome, 'agent');
+    }
+
+    // Tool endpoint for the agent's addContact tool; watches the tags so retries follow the outcome
+    app.get('/api/contacts', apiKeyAuth, async (req, res) => {
+        const { clientName, phoneNumber, tag, removeTag } = req.query;
+        log.info('addContact tool request', { phoneNumber, tag, removeTag });
+
+        if (!clientName || !phoneNumber) {
+            return res.status(400).json({
+                error: 'Missing required parameters: clientName and phoneNumber'
+            });
+        }
+
+        const outcome = classifyTag(tag);
+        const formattedNumber = formatPhoneNumber(phoneNumber, phoneConfig);
+        if (outcome && formattedNumber) {
+            retryScheduler.handleOutcome(formattedNumber, outcome);
+        }
+
+        if (!tag) {
+            return res.json({ success: true, message: 'No tag to apply' });
+        }
+
+        try {
+            const call = formattedNumber ? callLog.findLatestByPhone(formattedNumber) : null;
+            const eventOutcome = await findAgentOutcome(call, tag);
+            const contact = await tagContact(clientName, formattedNumber || phoneNumber, tag, {
+                callSid: call?.callSid,
+                removeTags: removeTag ? [removeTag] : [],
+                outcome: eventOutcome
+            });
+            recordAgentTag(call, tag, eventOutcome);
+            res.json({
+                success: true,
+                contactId: contact?.id ?? null,
+                // The CRM write failed and is queued for replay
+                queued: !contact,
+                tag
+            });
+        } catch (error) {
+            log.error('Error in addContact tool endpoint', error);
+            res.status(502).json({
+                error: 'Failed to tag contact',
+                message: error.message
+            });
+        }
+    });
+
+    // Tool endpoint for the agent's doNotCall tool: the recipient asked never to be called again
+    app.post('/api/do-not-call', apiKeyAuth, (req, res) => {
+        const phoneNumber = formatPhoneNumber(req.body.phoneNumber, phoneConfig);
+        log.info('doNotCall tool request', { phoneNumber: req.body.phoneNumber, reason: req.body.reason });
+        if (!phoneNumber) {
+            return res.status(400).json({ error: 'A valid phoneNumber is required' });
+        }
+
+        const call = callLog.findLatestByPhone(phoneNumber);
+        const entry = compliance.addToDoNotCall({
+            phoneNumber,
+            reason: req.body.reason || 'Asked not to be called again',
+            source: 'agent',
+            callSid: call?.callSid
+        });
+        if (call) {
+            callLog.update(call.id, { doNotCall: true });
+        }
+        retryScheduler.stop(phoneNumber, 'do-not-call');
+        stopSequences(phoneNumber);
+        res.json({ success: true, addedAt: entry.addedAt });
+    });
+
+    // Tool endpoint for the agent's recordAttendance tool: a fixed set of values instead of free-text tags
+    app.post('/api/attendance', apiKeyAuth, createAttendanceHandler({
+        callLog,
+        eventStore,
+        phoneConfig,
+        applyOutcome: async ({ call, event, outcome, retry, clientName }) => {
+            let tag = null;
+            if (event?.tags[outcome]) {
+                tag = await tagOutcome({
+                    callSid: call.id,
+                    eventId: event.id,
+                    clientName,
+                    phoneNumber: call.phoneNumber,
+                    outcome,
+                    source: 'agent'
+                });
+            } else {
+                // Still kept with the call (and fed to its sequence), just without a CRM tag
+                log.warn('Event has no tag for the outcome; recording it on the call only', {
+                    callSid: call.id,
+                    correlationId: call.correlationId,
+                    eventId: call.eventId,
+                    outcome
+                });
+                callLog.recordTag({ callSid: call.id, tag: null, outcome, source: 'agent' });
+                advanceSequence(call.eventId, call.phoneNumber, outcome, 'agent');
+            }
+
+            if (retry === 'wrong-person') {
+                retryScheduler.stop(call.phoneNumber, 'wrong-person');
+                stopSequences(call.phoneNumber);
+            } else {
+                retryScheduler.handleOutcome(call.phoneNumber, retry);
+            }
+            return tag;
+        }
+    }));
+
+    // Only Twilio may report call statuses; SKIP_TWILIO_SIGNATURE_VALIDATION=true is for local testing only
+    const twilioWebhookAuth = requireTwilioSignature({
+        authTokens: [TWILIO_AUTH_TOKEN, ...parseKeyList(env.TWILIO_AUTH_TOKEN_SECONDARY)],
+        getBaseUrl: getServerBaseUrl,
+        enabled: env.SKIP_TWILIO_SIGNATURE_VALIDATION !== 'true'
+    });
+    if (env.SKIP_TWILIO_SIGNATURE_VALIDATION === 'true') {
+        log.warn('Twilio signature validation is disabled (SKIP_TWILIO_SIGNATURE_VALIDATION=true)');
+    }
+
+    // Add call status webhook endpoint
+    app.post('/call-status', twilioWebhookAuth, async (req, res) => {
+        const callStatus = req.body.CallStatus;
+        const callSid = req.body.CallSid;
+        const to = req.body.To;
+        const clientName = req.query.clientName;
+        const phoneNumber = req.query.phoneNumber;
+        const eventId = req.query.eventId;
+        const record = callLog.get(callSid);
+        const correlationId = record?.correlationId;
+        const callLogger = log.child({ callSid, correlationId });
+        res.locals.correlationId = correlationId;
+
+        callLogger.info('Call status', { status: callStatus, to });
+        callsByStatus.inc({ status: callStatus });
+
+        callLog.recordStatus(callSid, callStatus, {
+            duration: req.body.CallDuration ? Number(req.body.CallDuration) : undefined
+        });
+
+        // Keep campaign contact states in step with the call
+        campaignManager.handleCallStatus(callSid, callStatus);
+
+        // Handle different call statuses
+        switch (callStatus) {
+            case 'busy':
+                try {
+                    await tagOutcome({ callSid, eventId, clientName, phoneNumber: phoneNumber || to, outcome: 'busy' });
+                } catch (error) {
+                    callLogger.error('Error tagging busy contact', error);
+                }
+                retryScheduler.handleOutcome(phoneNumber || to, 'busy');
+                break;
+            case 'no-answer':
+                try {
+                    await tagOutcome({ callSid, eventId, clientName, phoneNumber: phoneNumber || to, outcome: 'noAnswer' });
+                } catch (error) {
+                    callLogger.error('Error tagging no-answer contact', error);
+                }
+                retryScheduler.handleOutcome(phoneNumber || to, 'no-answer');
+                break;
+            case 'failed':
+                retryScheduler.handleOutcome(phoneNumber || to, 'failed');
+                break;
+            case 'completed': {
+                const answeredBy = req.body.AnsweredBy || record?.answeredBy;
+                // A machine answered: the voicemail flow left the message, so tag it here rather than relying on the agent
+                if (isMachine(answeredBy)) {
+                    try {
+                        await tagOutcome({ callSid, eventId, clientName, phoneNumber: phoneNumber || to, outcome: 'leftMessage' });
+                    } catch (error) {
+                        callLogger.error('Error tagging left-message contact', error);
+                    }
+                    retryScheduler.handleOutcome(phoneNumber || to, 'left-message');
+                }
+                // A message read by Twilio never joined the Ultravox session, so there is no transcript
+                if (record?.ultravoxCallId && record.voicemail !== 'message') {
+                    transcriptService.ingestInBackground(callSid);
+                }
+                break;
+            }
+        }
+
+        res.sendStatus(200);
+    });
+
+    // Replies to our texts: YES / NO confirm attendance like the voice agent would, STOP / START opt out and back in.
+    // Point the Twilio number's "A message comes in" webhook at <SERVER_BASE_URL>/sms-inbound.
+    app.post('/sms-inbound', twilioWebhookAuth, createInboundSmsHandler({
+        callLog,
+        eventStore,
+        compliance,
+        phoneConfig,
+        applyOutcome: async ({ call, outcome }) => {
+            await tagOutcome({
+                callSid: call.id,
+                eventId: call.eventId,
+                clientName: call.clientName,
+                phoneNumber: call.phoneNumber,
+                outcome,
+                source: 'sms'
+            });
+            retryScheduler.handleOutcome(call.phoneNumber, 'confirmed');
+        },
+        onOptOut: phoneNumber => {
+            retryScheduler.stop(phoneNumber, 'do-not-call');
+            stopSequences(phoneNumber);
+        }
+    }));
+
+    // Answer webhook for calls placed with answering machine detection: humans get the agent,
+    // machines the voicemail flow
+    app.post('/call-answered', twilioWebhookAuth, createAnswerHandler({
+        mode: VOICEMAIL_MODE,
+        callLog,
+        eventStore,
+        voice: env.VOICEMAIL_VOICE || undefined,
+        startVoicemailSession: async ({ event, clientName, userType, phoneNumber, agent, correlationId }) => {
+            const { systemPrompt } = await preparePrompt({
+                scriptId: VOICEMAIL_SCRIPT_ID,
+                eventId: event?.id,
+                clientName,
+                phoneNumber,
+                userType
+            });
+            // Only Ultravox's built-in hangUp tool: a voicemail has no one to tag or text
+            return createUltravoxCall(systemPrompt, {
+                agent: agent || agentConfig.defaults,
+                firstSpeaker: 'FIRST_SPEAKER_AGENT',
+                tools: [{ toolName: 'hangUp' }],
+                correlationId
+            });
+        }
+    }));
+
+    // People calling our number back (usually after a voicemail) talk to the same agent.
+    // Point the Twilio number's "A call comes in" webhook at <SERVER_BASE_URL>/voice-inbound.
+    app.post('/voice-inbound', twilioWebhookAuth, createInboundCallHandler({
+        callLog,
+        crm,
+        preparePrompt,
+        createUltravoxCall,
+        phoneConfig,
+        // Call-backs use the script's settings; a campaign's or request's overrides belonged to that call
+        resolveAgent: script => resolveAgentSettings(agentConfig, script.agent)
+    }));
+
+    // New endpoint to send SMS directly
+    app.post('/send-sms', apiKeyAuth, async (req, res) => {
+        try {
+            const { phoneNumber, message } = req.body;
+
+            if (!phoneNumber || !message) {
+                log.warn('Direct SMS request without a phone number or message', { phoneNumber, hasMessage: Boolean(message) });
+                return res.status(400).json({ 
+                    error: 'Missing required parameters: phoneNumber and message' 
+                });
+            }
+
+            const messageSid = await sendSMS(phoneNumber, message);
+            res.json({ 
+                success: true, 
+                message: 'SMS sent successfully',
+                messageSid 
+            });
+        } catch (error) {
+            log.error('Error in direct SMS endpoint', error);
+            if (error instanceof PhoneNumberError || error instanceof ComplianceError || error instanceof NumberPoolError) {
+                return res.status(error.status || 400).json({ error: error.message, reason: error.reason, retryAt: error.retryAt });
+            }
+            res.status(500).json({ 
+                error: 'Failed to send SMS',
+                message: error.message 
+            });
+        }
+    });
+
+    // Add basic health check endpoint
+    app.get('/health', (req, res) => {
+        res.json({ status: 'ok' });
+    });
+
+    // Prometheus scrape endpoint; Prometheus sends the API key as a bearer token
+    app.get('/metrics', apiKeyAuth, createMetricsHandler(metrics));
+
+    // Deep health check: can we actually reach and use every service a call depends on?
+    const readiness = createReadinessChecker({
+        ...loadReadinessConfig(env),
+        checks: {
+            twilio: {
+                run: async () => {
+                    const client = getTwilioClient({ timeout: outboundPolicy.timeoutMs, keepAlive: false });
+                    const account = await outbound.twilio.run(() => client.api.v2010.accounts(TWILIO_ACCOUNT_SID).fetch(), {
+                        description: 'account lookup',
+                        maxRetries: 0
+                    });
+                    // Suspended and closed accounts still authenticate but can't place calls
+                    if (account.status !== 'active') {
+                        throw new Error(`Twilio account is ${account.status}`);
+                    }
+                    return { accountStatus: account.status };
+                }
+            },
+            ultravox: {
+                run: async () => {
+                    if (simulator) return { simulated: true };
+                    const response = await outbound.ultravox.fetch('https://api.ultravox.ai/api/accounts/me', {
+                        headers: { 'X-API-Key': ULTRAVOX_API_KEY }
+                    }, { maxRetries: 0 });
+                    if (!response.ok) {
+                        throw new Error(`Ultravox answered ${response.status}${[401, 403].includes(response.status) ? ' (check ULTRAVOX_API_KEY)' : ''}`);
+                    }
+                    return {};
+                }
+            },
+            crm: {
+                run: async () => {
+                    if (!crm.verifyAccess) return { adapter: crm.name, verified: false };
+                    return { adapter: crm.name, ...await crm.verifyAccess() };
+                }
+            },
+            // Twilio and Ultravox call back on this URL. Not critical: on a first deploy the public
+            // URL only starts routing to the new instance once it has passed its health check.
+            callbacks: {
+                critical: false,
+                run: async () => {
+                    const url = `${getServerBaseUrl()}/health`;
+                    const response = await fetch(url, { signal: AbortSignal.timeout(outboundPolicy.timeoutMs) }).catch(error => {
+                        throw new Error(`Could not reach ${url}: ${error.cause?.code || error.message}`);
+                    });
+                    const body = await response.json().catch(() => null);
+                    if (!response.ok || body?.status !== 'ok') {
+                        throw new Error(`${url} answered ${response.status} instead of this service's health check`);
+                    }
+                    return { url };
+                }
+            }
+        }
+    });
+    app.get('/ready', createReadinessHandler(readiness));
+    app.get('/ready/details', apiKeyAuth, createReadinessHandler(readiness, { details: true }));
+
+    // Handle both GET and POST requests
+    app.route('/initiate-call')
+        .all(apiKeyAuth)
+        .get(handleCall)
+        .post(handleCall);
+
+    // Batch calling campaigns feed initiateCall through a paced queue
+    const campaignManager = createCampaignManager({
+        placeCall: (contact, campaign) => initiateCall(contact.clientName, contact.phoneNumber, contact.userType, {
+            campaignId: campaign.id,
+            contactId: contact.id,
+            isRetry: contact.attempts > 1,
+            ...campaign.script
+        }),
+        checkCall: phoneNumber => compliance.check(phoneNumber),
+        validateAgent: agent => validateAgentOverrides(agentConfig, agent),
+        // A dial that failed outright (Ultravox or Twilio down) is retried like any failed call, as
+        // long as it got as far as counting the attempt
+        onDialFailed: contact => {
+            const entry = retryScheduler.get(contact.phoneNumber);
+            if (entry?.contactId === contact.id && entry.attempts === contact.attempts && entry.status === 'active') {
+                retryScheduler.handleOutcome(contact.phoneNumber, 'failed');
+            }
+        },
+        phoneConfig,
+        dataDir,
+        resolveScript: async (scriptId, scriptVersion, eventId) => {
+            const script = await scriptStore.getScript(scriptId || DEFAULT_SCRIPT_ID, scriptVersion);
+            // Fail campaign creation early rather than on every dial if the event can't be loaded
+            if (eventId || script.event) {
+                await eventStore.getEvent(eventId || script.event);
+            }
+            return script;
+        }
+    });
+    app.use('/campaigns', apiKeyAuth, createCampaignRouter(campaignManager));
+
+    // Busy, unanswered, failed and voicemail calls are dialed again according to the retry policy
+    const retryScheduler = createRetryScheduler({
+        policy: loadRetryPolicy(env),
+        dataDir,
+        redial: async (entry) => {
+            // Campaign contacts go back through the campaign queue so pacing still applies
+            if (entry.campaignId) {
+                campaignManager.requeueContact(entry.campaignId, entry.contactId);
+                return;
+            }
+            await initiateCall(entry.clientName, entry.phoneNumber, entry.userType, {
+                isRetry: true,
+                scriptId: entry.scriptId,
+                scriptVersion: entry.scriptVersion,
+                eventId: entry.eventId,
+                variables: entry.variables,
+                agent: entry.agent
+            });
+        }
+    });
+    app.use('/retries', apiKeyAuth, createRetryRouter(retryScheduler));
+
+    // CRM tag writes that failed, replayed when the CRM's circuit closes again and on a timer
+    const deadLetters = createDeadLetterQueue({
+        handlers: {
+            'crm-tag': { replay: writeTag }
+        },
+        maxAttempts: Number(env.DEAD_LETTER_MAX_ATTEMPTS || 10),
+        replayIntervalMs: Number(env.DEAD_LETTER_REPLAY_MINUTES || 5) * 60 * 1000,
+        dataDir
+    });
+    outbound.crm.breaker.onStateChange(state => {
+        if (state === 'closed') {
+            deadLetters.replayPending().catch(error => log.error('Error replaying dead letters', error));
+        }
+    });
+    app.use('/dead-letters', apiKeyAuth, createDeadLetterRouter(deadLetters, {
+        getCircuits: () => Object.values(outbound).map(client => client.status())
+    }));
+
+    // Calls and SMS reminders at a set time, e.g. the morning of day one; jobs survive restarts
+    function validateScheduledRecipient(phoneNumber, { defaultRegion, purpose }) {
+        const parsed = parsePhone(phoneNumber, { ...phoneConfig, defaultRegion: defaultRegion || phoneConfig.defaultRegion, purpose });
+        if (!parsed.ok) {
+            throw new JobError(parsed.message);
+        }
+        return { phoneNumber: parsed.e164, timeZone: getPhoneTimeZones(parsed.e164).timeZones[0] };
+    }
+
+    const jobScheduler = createJobScheduler({
+        dataDir,
+        handlers: {
+            call: {
+                validate: ({ clientName, phoneNumber, userType, defaultRegion, scriptId, scriptVersion, eventId, variables = {}, agent }) => {
+                    if (!clientName) {
+                        throw new JobError('clientName is required');
+                    }
+                    if (typeof variables !== 'object' || Array.isArray(variables)) {
+                        throw new JobError('variables must be an object of script variable values');
+                    }
+                    let agentOverrides;
+                    try {
+                        agentOverrides = validateAgentOverrides(agentConfig, agent);
+                    } catch (error) {
+                        throw new JobError(error.message);
+                    }
+                    return {
+                        clientName,
+                        ...validateScheduledRecipient(phoneNumber, { defaultRegion }),
+                        userType: userType || 'non-VIP',
+                        scriptId,
+                        scriptVersion,
+                        eventId,
+                        variables,
+                        agent: agentOverrides
+                    };
+                },
+                // Outside the recipient's calling hours the ComplianceError's retryAt puts the job off
+                run: async ({ clientName, phoneNumber, userType, scriptId, scriptVersion, eventId, variables, agent }) => ({
+                    callSid: await initiateCall(clientName, phoneNumber, userType, { scriptId, scriptVersion, eventId, variables, agent })
+                })
+            },
+            sms: {
+                validate: ({ phoneNumber, message, defaultRegion }) => {
+                    if (!message) {
+                        throw new JobError('message is required');
+                    }
+                    return { ...validateScheduledRecipient(phoneNumber, { defaultRegion, purpose: 'sms' }), message };
+                },
+                run: async ({ phoneNumber, message }) => ({ messageSid: await sendSMS(phoneNumber, message) })
+            },
+            // Steps of an event's follow-up sequence, queued by the sequence engine
+            sequence: {
+                validate: ({ eventId, phoneNumber, stepId }) => {
+                    if (!eventId || !phoneNumber || !stepId) {
+                        throw new JobError('eventId, phoneNumber and stepId are required');
+                    }
+                    return { eventId, phoneNumber, stepId };
+                },
+                run: payload => sequences.runStep(payload)
+            }
+        }
+    });
+    app.use('/jobs', apiKeyAuth, createJobRouter(jobScheduler));
+
+    // Per-event follow-ups (SMS with the login link after a confirmation, SMS fallback after
+    // repeated no-answers, a reminder before the start) driven by call outcomes
+    const sequences = createSequenceEngine({
+        eventStore,
+        scheduler: jobScheduler,
+        sendSms: sendSMS,
+        placeCall: (contact, { eventId, scriptId }) => initiateCall(contact.clientName, contact.phoneNumber, contact.userType, { eventId, scriptId }),
+        dataDir
+    });
+    app.use('/sequences', apiKeyAuth, createSequenceRouter(sequences, { phoneConfig }));
+
+    // Outcomes feed the contact's sequence; a sequence problem must never break tagging
+    function advanceSequence(eventId, phoneNumber, outcome, source) {
+        if (!eventId || !outcome) return;
+        sequences.handleOutcome({ eventId, phoneNumber, outcome, source }).catch(error => {
+            log.error('Error advancing sequence', { eventId, phoneNumber, outcome, error: error.message });
+        });
+    }
+
+    function stopSequences(phoneNumber) {
+        for (const state of sequences.list({ phoneNumber })) {
+            sequences.stop(state.eventId, phoneNumber);
+        }
+    }
+
+    // Admin API for call scripts
+    app.use('/scripts', apiKeyAuth, createScriptRouter(scriptStore, {
+        buildVariables: async (script, variables) => (await buildScriptVariables(script, { variables })).values
+    }));
+
+    // Read-only view of event definitions and the variables they give scripts
+    app.use('/events', apiKeyAuth, createEventRouter(eventStore));
+
+    // CSV export of CRM contacts (json adapter)
+    app.use('/crm', apiKeyAuth, createCrmRouter(crm));
+
+    // Do-not-call list management and calling-hours checks
+    app.use('/compliance', apiKeyAuth, createComplianceRouter(compliance, { phoneConfig }));
+
+    // Today's volume and remaining daily capacity of each caller ID
+    app.use('/numbers', apiKeyAuth, createNumberPoolRouter(numberPool));
+
+    // Simulated calls and SMS, and replaying a scenario against a call
+    if (simulator) {
+        app.use('/simulation', apiKeyAuth, createSimulationRouter(simulator));
+    }
+
+    // Live call dashboard at /dashboard?apiKey=<key>: the page and its event stream can't send headers
+    const callMonitor = createCallMonitor({ callLog });
+    app.use('/dashboard', requireApiKey(API_KEYS, { allowQueryKey: true }), createDashboardRouter({
+        monitor: callMonitor,
+        callLog,
+        hangUp: callSid => outbound.twilio.run(() => getTwilioClient().calls(callSid).update({ status: 'completed' }), {
+            description: 'hang-up'
+        })
+    }));
+
+    // Call log queries, e.g. GET /calls?campaign=<id>&outcome=confirmYes&since=2025-05-20
+    app.use('/calls', apiKeyAuth, createCallLogRouter(callLog));
+    app.use('/calls', apiKeyAuth, createTranscriptRouter(transcriptService));
+
+    // Ultravox's call.ended webhook, signed with ULTRAVOX_WEBHOOK_SECRET
+    if (ULTRAVOX_WEBHOOK_SECRET) {
+        app.post('/ultravox-webhook', createUltravoxWebhookHandler({
+            service: transcriptService,
+            callLog,
+            secrets: parseKeyList(ULTRAVOX_WEBHOOK_SECRET)
+        }));
+    }
+
+    async function handleCall(req, res) {
+        const requestedId = req.get('X-Correlation-Id');
+        const correlationId = requestedId && CORRELATION_ID_PATTERN.test(requestedId) ? requestedId : crypto.randomUUID();
+        res.locals.correlationId = correlationId;
+        res.set('X-Correlation-Id', correlationId);
+
+        try {
+            const clientName = req.query.clientName || req.body.clientName;
+            const phoneNumber = req.query.phoneNumber || req.body.phoneNumber;
+            const userType = req.query.userType || req.body.userType || 'non-VIP';
+            const scriptId = req.query.scriptId || req.body.scriptId || undefined;
+            const scriptVersion = req.query.scriptVersion || req.body.scriptVersion || undefined;
+            const eventId = req.query.eventId || req.body.eventId || undefined;
+            const variables = req.query.variables || req.body.variables || {};
+            const defaultRegion = req.query.defaultRegion || req.body.defaultRegion || undefined;
+            // Per-call agent settings, e.g. { "voice": "...", "temperature": 0.6 }; agent[voice]=... in a query string
+            const agent = req.query.agent || req.body.agent || undefined;
+
+            if (!clientName || !phoneNumber) {
+                return res.status(400).json({ 
+                    error: 'Missing required parameters: clientName and phoneNumber' 
+                });
+            }
+
+            if (defaultRegion !== undefined && !isValidRegion(defaultRegion)) {
+                return res.status(400).json({
+                    error: 'defaultRegion must be a two-letter country code such as US or PH'
+                });
+            }
+
+            // Normalize to E.164; numbers without a country code are read in defaultRegion
+            const parsed = parsePhone(phoneNumber, { ...phoneConfig, defaultRegion: defaultRegion || phoneConfig.defaultRegion });
+            if (!parsed.ok) {
+                return res.status(400).json({
+                    error: parsed.message,
+                    reason: parsed.reason
+                });
+            }
+            const formattedNumber = parsed.e164;
+
+            if (typeof variables !== 'object' || Array.isArray(variables)) {
+                return res.status(400).json({
+                    error: 'variables must be an object of script variable values'
+                });
+            }
+
+            const callSid = await initiateCall(clientName, formattedNumber, userType, {
+                scriptId,
+                scriptVersion,
+                eventId,
+                variables,
+                agent,
+                correlationId
+            });
+            res.json({ 
+                success: true, 
+                message: 'Call initiated successfully',
+                callSid,
+                correlationId
+            });
+        } catch (error) {
+            if (error instanceof ComplianceError) {
+                return res.status(error.status).json({
+                    error: error.message,
+                    reason: error.reason,
+                    retryAt: error.retryAt,
+                    timeZones: error.timeZones
+                });
+            }
+            if (error instanceof ScriptError || error instanceof EventConfigError) {
+                return res.status(error.status).json({
+                    error: error.message,
+                    missing: error.missing
+                });
+            }
+            if (error instanceof AgentConfigError) {
+                return res.status(error.status).json({
+                    error: error.message,
+                    field: error.field
+                });
+            }
+            if (error instanceof NumberPoolError) {
+                return res.status(error.status).json({
+                    error: error.message,
+                    reason: error.reason,
+                    retryAt: error.retryAt
+                });
+            }
+            log.error('Error in handleCall', { correlationId: res.locals.correlationId, error });
+            res.status(500).json({ 
+                error: 'Failed to initiate call',
+                message: error.message 
+            });
+        }
+    }
+
+    // Background work that begins once the server is listening
+    function start() {
+        // Run jobs that fell due while we were down, then wait for the next one
+        jobScheduler.start();
+        deadLetters.start();
+        retryScheduler.start();
+        campaignManager.restore();
+
+        if (ULTRAVOX_WEBHOOK_SECRET && !simulator) {
+            registerUltravoxWebhook({
+                apiKey: ULTRAVOX_API_KEY,
+                url: `${getServerBaseUrl()}/ultravox-webhook`,
+                secret: parseKeyList(ULTRAVOX_WEBHOOK_SECRET)[0],
+                client: outbound.ultravox
+            }).catch(error => {
+                log.error('Error registering Ultravox webhook', { error: error.message });
+            });
+        }
+    }
+
+    function stop() {
+        jobScheduler.stop();
+        deadLetters.stop();
+        retryScheduler.stopTimers();
+        campaignManager.stopTimers();
+        flushAll();
+    }
+
+    return { app, start, stop };
+}
@@ -0,0 +1,60 @@
+import { formatPhoneNumber } from './phone.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'attendance' });
+
+// What the agent's recordAttendance tool can report, with the event outcome (and so the
+// CRM tag) each value stands for and what it means for retries
+export const ATTENDANCE = {
+    'attending': { outcome: 'confirmYes', retry: 'confirmed' },
+    'not-attending': { outcome: 'confirmNo', retry: 'confirmed' },
+    'vip-session-yes': { outcome: 'vipConfirmYes', retry: 'confirmed' },
+    'vip-session-no': { outcome: 'vipConfirmNo', retry: 'confirmed' },
+    'left-voicemail': { outcome: 'leftMessage', retry: 'left-message' },
+    'wrong-person': { outcome: 'wrongPerson', retry: 'wrong-person' },
+    'call-back-later': { outcome: 'notAvailable', retry: 'call-back-later' }
+};
+
+export const ATTENDANCE_VALUES = Object.keys(ATTENDANCE);
+
+/**
+ * Tool endpoint for the agent's recordAttendance tool. The value must be one of
+ * ATTENDANCE_VALUES, so a slip in the model's output is rejected instead of becoming
+ * a junk CRM tag. It is stored on the latest call to the number, then handed to
+ * `applyOutcome({ call, event, attendance, outcome, retry, clientName })` for tagging.
+ */
+export function createAttendanceHandler({ callLog, eventStore, applyOutcome, phoneConfig }) {
+    return async (req, res) => {
+        const { attendance, note } = req.body;
+        const phoneNumber = formatPhoneNumber(req.body.phoneNumber, phoneConfig);
+        log.info('recordAttendance tool request', { phoneNumber: req.body.phoneNumber, attendance, note });
+
+        const mapping = ATTENDANCE[attendance];
+        if (!mapping) {
+            return res.status(400).json({ error: `attendance must be one of: ${ATTENDANCE_VALUES.join(', ')}` });
+        }
+        if (!phoneNumber) {
+            return res.status(400).json({ error: 'A valid phoneNumber is required' });
+        }
+        const call = callLog.findLatestByPhone(phoneNumber);
+        if (!call) {
+            return res.status(404).json({ error: `No call found for ${phoneNumber}` });
+        }
+
+        // Inbound callers we couldn't identify give their name to the agent
+        const clientName = call.clientName || req.body.clientName || null;
+        callLog.update(call.id, {
+            attendance: { value: attendance, note: note || null, at: new Date().toISOString() },
+            ...(!call.clientName && clientName ? { clientName } : {})
+        });
+
+        try {
+            const event = call.eventId ? await eventStore.getEvent(call.eventId) : null;
+            const tag = await applyOutcome({ call, event, attendance, ...mapping, clientName });
+            res.json({ success: true, attendance, outcome: mapping.outcome, tag: tag || null });
+        } catch (error) {
+            log.error('Error in recordAttendance tool endpoint', { callSid: call.id, correlationId: call.correlationId, error });
+            res.status(502).json({ error: 'Failed to record attendance', message: error.message });
+        }
+    };
+}
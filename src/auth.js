@@ -0,0 +1,102 @@
+import crypto from 'node:crypto';
+import twilio from 'twilio';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'auth' });
+
+// Requests signed with HMAC must be no older than this
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// Comma-separated list so a new key can be added before the old one is removed
+export function parseKeyList(value) {
+    return (value || '')
+        .split(',')
+        .map(key => key.trim())
+        .filter(Boolean);
+}
+
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Keep the unparsed body around so HMAC signatures can be checked against exactly what was sent
+export function captureRawBody(req, res, buffer) {
+    req.rawBody = buffer.toString('utf8');
+}
+
+// The method and URL (path and query string) are signed along with the body, so a
+// signature can't be replayed against another endpoint or with other query parameters
+export function signRequest(key, timestamp, method, url, body) {
+    return crypto.createHmac('sha256', key).update(`${timestamp}.${method.toUpperCase()}.${url}.${body}`).digest('hex');
+}
+
+function verifyHmac(req, keys) {
+    const timestamp = req.get('X-Timestamp');
+    const signature = (req.get('X-Signature') || '').replace(/^sha256=/, '');
+    const age = Math.abs(Date.now() - Number(timestamp) * 1000);
+    if (!Number.isFinite(age) || age > SIGNATURE_TOLERANCE_MS) {
+        return false;
+    }
+    const body = req.rawBody || '';
+    return keys.some(key => safeEqual(signRequest(key, timestamp, req.method, req.originalUrl, body), signature));
+}
+
+/**
+ * Accepts either an API key (X-API-Key header or Authorization: Bearer) or an HMAC
+ * signature (X-Timestamp + X-Signature: sha256=<hex of HMAC-SHA256(key,
+ * "<timestamp>.<METHOD>.<path and query>.<raw body>")>).
+ * Any key in the list is valid, so keys can be rotated by deploying with old and new
+ * key together and removing the old one once clients have switched.
+ */
+export function requireApiKey(keys, { allowQueryKey = false } = {}) {
+    return (req, res, next) => {
+        const bearer = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+        const apiKey = req.get('X-API-Key') || bearer?.[1] || (allowQueryKey ? req.query.apiKey : undefined);
+        const hasSignature = req.get('X-Signature') && req.get('X-Timestamp');
+
+        if (!apiKey && !hasSignature) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({
+                error: 'Authentication required: send an X-API-Key header or an X-Signature/X-Timestamp HMAC'
+            });
+        }
+
+        const valid = apiKey
+            ? keys.some(key => safeEqual(key, apiKey))
+            : verifyHmac(req, keys);
+        if (!valid) {
+            log.warn('Rejected request', { method: req.method, path: req.path, failure: apiKey ? 'invalid API key' : 'invalid signature' });
+            return res.status(403).json({ error: apiKey ? 'Invalid API key' : 'Invalid or expired signature' });
+        }
+        next();
+    };
+}
+
+/**
+ * Verifies the X-Twilio-Signature header. Twilio signs the public URL it called, so the
+ * URL is rebuilt from SERVER_BASE_URL rather than from the (proxied) request. Several auth
+ * tokens may be given so Twilio's secondary token can be promoted without downtime.
+ */
+export function requireTwilioSignature({ authTokens, getBaseUrl, enabled = true }) {
+    return (req, res, next) => {
+        if (!enabled) {
+            return next();
+        }
+
+        const signature = req.get('X-Twilio-Signature');
+        if (!signature) {
+            return res.status(401).json({ error: 'Missing X-Twilio-Signature header' });
+        }
+
+        const url = `${getBaseUrl()}${req.originalUrl}`;
+        const params = req.method === 'POST' ? req.body : {};
+        const valid = authTokens.some(token => twilio.validateRequest(token, signature, url, params));
+        if (!valid) {
+            log.warn('Rejected request', { method: req.method, path: req.path, failure: 'invalid Twilio signature' });
+            return res.status(403).json({ error: 'Invalid Twilio signature' });
+        }
+        next();
+    };
+}
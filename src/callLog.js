@@ -0,0 +1,245 @@
+import crypto from 'node:crypto';
+import express from 'express';
+import { openJsonStore } from './store.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'call-log' });
+
+// Twilio statuses after which a call won't change any more
+const FINAL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled', 'dial-failed'];
+
+/**
+ * Persistent record of every call attempt: who was called for which campaign/event,
+ * the Twilio status transitions, the Ultravox call ID, the tags applied and the
+ * resulting attendance outcome, plus the SMS messages we sent.
+ */
+export function createCallLog({ dataDir, store = openJsonStore('calls', { dir: dataDir, defaults: { calls: [], messages: [] } }) } = {}) {
+    const { data } = store;
+    const byId = new Map(data.calls.map(record => [record.id, record]));
+    const listeners = new Set();
+
+    function now() {
+        return new Date().toISOString();
+    }
+
+    // Tell subscribers (the live dashboard) about a new or changed call or message
+    function notify(type, item) {
+        for (const listener of listeners) {
+            try {
+                listener(type, item);
+            } catch (error) {
+                log.error('Error in call log listener', error);
+            }
+        }
+    }
+
+    function onChange(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    function recordCall({
+        callSid = null,
+        ultravoxCallId = null,
+        direction = 'outbound',
+        clientName,
+        phoneNumber,
+        userType,
+        campaignId = null,
+        contactId = null,
+        eventId = null,
+        scriptId = null,
+        scriptVersion = null,
+        attempt = 1,
+        correlationId = null,
+        agent = null,
+        twilioNumber = null,
+        status = 'queued',
+        error = null
+    }) {
+        const record = {
+            id: callSid || `attempt-${crypto.randomUUID()}`,
+            callSid,
+            ultravoxCallId,
+            direction,
+            clientName,
+            phoneNumber,
+            userType,
+            campaignId,
+            contactId,
+            eventId,
+            scriptId,
+            scriptVersion,
+            attempt,
+            // Ties the call's log entries together, from /initiate-call to its tags
+            correlationId,
+            // The agent settings the call was placed with (voice, model, caller ID, ...)
+            agent,
+            // Our number on the call: the caller ID we dialed from, or the number an inbound call came in on
+            twilioNumber,
+            status,
+            statusHistory: [{ status, at: now() }],
+            tags: [],
+            outcomes: [],
+            outcome: null,
+            error,
+            createdAt: now(),
+            updatedAt: now()
+        };
+        data.calls.push(record);
+        byId.set(record.id, record);
+        store.save();
+        notify('call', record);
+        return record;
+    }
+
+    function get(callSid) {
+        return byId.get(callSid) || null;
+    }
+
+    function recordStatus(callSid, status, extra = {}) {
+        const record = byId.get(callSid);
+        if (!record) return null;
+
+        const last = record.statusHistory[record.statusHistory.length - 1];
+        if (!last || last.status !== status) {
+            record.statusHistory.push({ status, at: now(), ...extra });
+        }
+        // Twilio callbacks can arrive out of order; never move back from a final status
+        if (!FINAL_STATUSES.includes(record.status)) {
+            record.status = status;
+        }
+        record.updatedAt = now();
+        store.save();
+        notify('call', record);
+        return record;
+    }
+
+    // Most recent call to a phone number, which is what agent tool calls and SMS refer to.
+    // With `twilioNumber` (the number they called or texted) a call on that number comes first.
+    function findLatestByPhone(phoneNumber, { twilioNumber = null } = {}) {
+        let latest = null;
+        for (let i = data.calls.length - 1; i >= 0; i--) {
+            const record = data.calls[i];
+            if (record.phoneNumber !== phoneNumber) continue;
+            if (!twilioNumber || record.twilioNumber === twilioNumber) return record;
+            latest ||= record;
+        }
+        return latest;
+    }
+
+    function findByUltravoxCallId(ultravoxCallId) {
+        return data.calls.find(record => record.ultravoxCallId === ultravoxCallId) || null;
+    }
+
+    function recordTag({ callSid, phoneNumber, tag, outcome = null, source }) {
+        const record = callSid ? byId.get(callSid) : findLatestByPhone(phoneNumber);
+        if (!record) return null;
+
+        record.tags.push({ tag, outcome, source, at: now() });
+        if (outcome) {
+            record.outcomes.push(outcome);
+            record.outcome = outcome;
+        }
+        record.updatedAt = now();
+        store.save();
+        notify('call', record);
+        return record;
+    }
+
+    function update(callSid, fields) {
+        const record = byId.get(callSid);
+        if (!record) return null;
+        Object.assign(record, fields, { updatedAt: now() });
+        store.save();
+        notify('call', record);
+        return record;
+    }
+
+    // Outbound messages we sent, and inbound replies with their text and what we did with them
+    function recordMessage({ sid, to, from, status, error = null, direction = 'outbound', body, action }) {
+        const call = direction === 'inbound'
+            ? findLatestByPhone(from, { twilioNumber: to })
+            : findLatestByPhone(to, { twilioNumber: from });
+        const message = {
+            sid,
+            direction,
+            to,
+            from,
+            status,
+            error,
+            ...(direction === 'inbound' ? { body, action } : {}),
+            callSid: call?.callSid || null,
+            at: now()
+        };
+        data.messages.push(message);
+        store.save();
+        notify('message', message);
+        return message;
+    }
+
+    function query({ campaign, outcome, since, phoneNumber, status, limit = 100 } = {}) {
+        const sinceTime = since ? new Date(since).getTime() : null;
+        const results = data.calls.filter(record =>
+            (!campaign || record.campaignId === campaign) &&
+            (!outcome || record.outcomes.includes(outcome)) &&
+            (!phoneNumber || record.phoneNumber === phoneNumber) &&
+            (!status || record.status === status) &&
+            (sinceTime === null || new Date(record.createdAt).getTime() >= sinceTime)
+        );
+        // Newest first
+        return results.reverse().slice(0, limit);
+    }
+
+    function messagesFor(phoneNumber) {
+        return data.messages.filter(message => message.to === phoneNumber || message.from === phoneNumber);
+    }
+
+    function messagesSince(since) {
+        const sinceTime = new Date(since).getTime();
+        return data.messages.filter(message => new Date(message.at).getTime() >= sinceTime);
+    }
+
+    return {
+        recordCall,
+        recordStatus,
+        recordTag,
+        recordMessage,
+        update,
+        get,
+        findLatestByPhone,
+        findByUltravoxCallId,
+        query,
+        messagesFor,
+        messagesSince,
+        onChange
+    };
+}
+
+export function createCallLogRouter(callLog) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        const { campaign, outcome, since, phoneNumber, status } = req.query;
+        if (since && Number.isNaN(new Date(since).getTime())) {
+            return res.status(400).json({ error: 'since must be an ISO date or timestamp' });
+        }
+        const limit = req.query.limit ? Number(req.query.limit) : 100;
+        if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+            return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+        }
+
+        const calls = callLog.query({ campaign, outcome, since, phoneNumber, status, limit });
+        res.json({ count: calls.length, calls });
+    });
+
+    router.get('/:callSid', (req, res) => {
+        const record = callLog.get(req.params.callSid);
+        if (!record) {
+            return res.status(404).json({ error: 'Call not found' });
+        }
+        res.json({ ...record, messages: callLog.messagesFor(record.phoneNumber) });
+    });
+
+    return router;
+}
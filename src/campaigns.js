@@ -0,0 +1,595 @@
+import crypto from 'node:crypto';
+import express from 'express';
+import { isValidRegion, loadPhoneConfig, parsePhone } from './phone.js';
+import { openJsonStore } from './store.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'campaigns' });
+
+// Per-contact call states, in the order a contact normally moves through them
+export const CONTACT_STATES = ['queued', 'dialing', 'in-progress', 'done', 'failed'];
+
+const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_CALLS_PER_MINUTE = 10;
+const MAX_CONCURRENCY = 50;
+const MAX_CALLS_PER_MINUTE = 120;
+
+// A call that never reports a final status would hold a concurrency slot forever
+const STALE_CALL_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Map Twilio CallStatus values onto contact states
+const CALL_STATUS_TO_STATE = {
+    'queued': 'dialing',
+    'initiated': 'dialing',
+    'ringing': 'dialing',
+    'in-progress': 'in-progress',
+    'completed': 'done',
+    'busy': 'failed',
+    'no-answer': 'failed',
+    'failed': 'failed',
+    'canceled': 'failed'
+};
+
+function parseLimit(value, fallback, max) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > max) {
+        return null;
+    }
+    return number;
+}
+
+// Minimal CSV parser for contact uploads: header row, commas, optional double quotes
+export function parseContactsCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field.trim());
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field.trim());
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field.trim());
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(value => value !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const headers = nonEmpty[0];
+    return nonEmpty.slice(1).map(values => {
+        const contact = {};
+        headers.forEach((header, index) => {
+            contact[header] = values[index];
+        });
+        return contact;
+    });
+}
+
+/**
+ * `checkCall(phoneNumber)` is the compliance check run before each dial: contacts outside
+ * calling hours stay queued until its `retryAt`, refused ones (do-not-call) fail.
+ * So do contacts whose `placeCall` throws an error with a `retryAt`.
+ * `validateAgent(agent)` checks the campaign's agent settings and returns them normalized.
+ */
+/**
+ * Campaigns and their contacts are kept in DATA_DIR/campaigns.json with the index of their
+ * calls, so retries and status callbacks still find them after a restart; restore() resumes
+ * running campaigns. `onDialFailed(contact, campaign, error)` hears of dials that failed
+ * outright, e.g. an Ultravox or Twilio error.
+ */
+export function createCampaignManager({
+    placeCall,
+    resolveScript,
+    checkCall = () => ({ allowed: true }),
+    validateAgent = agent => agent,
+    onDialFailed = () => {},
+    phoneConfig = loadPhoneConfig(),
+    dataDir,
+    store = openJsonStore('campaigns', { dir: dataDir, defaults: { campaigns: {}, callIndex: {} } })
+}) {
+    // campaignId -> campaign; without a prototype so any id from a URL is safe to look up
+    const campaigns = store.data.campaigns = Object.assign(Object.create(null), store.data.campaigns);
+    // callSid -> { campaignId, contactId } so status callbacks can find their contact
+    const callIndex = store.data.callIndex = Object.assign(Object.create(null), store.data.callIndex);
+    // contactId -> timeout guarding against calls that never report a final status
+    const staleTimers = new Map();
+    // campaignId -> pacing timer and the times of the last minute's dials
+    const pumpTimers = new Map();
+    const recentDials = new Map();
+
+    function summarize(campaign) {
+        const counts = Object.fromEntries(CONTACT_STATES.map(state => [state, 0]));
+        for (const contact of campaign.contacts) {
+            counts[contact.state]++;
+        }
+        return {
+            id: campaign.id,
+            name: campaign.name,
+            status: campaign.status,
+            concurrency: campaign.concurrency,
+            callsPerMinute: campaign.callsPerMinute,
+            defaultRegion: campaign.defaultRegion,
+            script: campaign.script,
+            createdAt: campaign.createdAt,
+            startedAt: campaign.startedAt,
+            finishedAt: campaign.finishedAt,
+            totalContacts: campaign.contacts.length,
+            progress: counts
+        };
+    }
+
+    function detail(campaign) {
+        return {
+            ...summarize(campaign),
+            contacts: campaign.contacts.map(contact => ({ ...contact }))
+        };
+    }
+
+    function setContactState(contact, state, extra = {}) {
+        contact.state = state;
+        contact.updatedAt = new Date().toISOString();
+        Object.assign(contact, extra);
+        store.save();
+    }
+
+    function activeCount(campaign) {
+        return campaign.contacts.filter(c => c.state === 'dialing' || c.state === 'in-progress').length;
+    }
+
+    function checkCompleted(campaign) {
+        if (campaign.status !== 'running') return;
+        const pending = campaign.contacts.some(c => c.state === 'queued' || c.state === 'dialing' || c.state === 'in-progress');
+        if (!pending) {
+            campaign.status = 'completed';
+            campaign.finishedAt = new Date().toISOString();
+            store.save();
+            log.info('Campaign completed', { campaignId: campaign.id });
+        }
+    }
+
+    // Dial as many queued contacts as concurrency and pacing currently allow
+    function wakeUp(campaign, delayMs) {
+        const timer = setTimeout(() => pump(campaign), Math.max(delayMs, 0) + 10);
+        timer.unref();
+        pumpTimers.set(campaign.id, timer);
+    }
+
+    function pump(campaign) {
+        clearTimeout(pumpTimers.get(campaign.id));
+        pumpTimers.delete(campaign.id);
+        if (campaign.status !== 'running') return;
+
+        const now = Date.now();
+        const dials = (recentDials.get(campaign.id) || []).filter(t => now - t < 60000);
+        recentDials.set(campaign.id, dials);
+
+        while (activeCount(campaign) < campaign.concurrency) {
+            const next = nextDialable(campaign, now);
+            if (!next) break;
+
+            if (dials.length >= campaign.callsPerMinute) {
+                wakeUp(campaign, 60000 - (now - dials[0]));
+                return;
+            }
+
+            dials.push(now);
+            dial(campaign, next);
+        }
+
+        // Everyone left is waiting for their calling hours; wake up when the first window opens
+        const deferred = campaign.contacts
+            .filter(c => c.state === 'queued' && c.deferredUntil)
+            .map(c => new Date(c.deferredUntil).getTime());
+        if (deferred.length > 0 && activeCount(campaign) < campaign.concurrency) {
+            wakeUp(campaign, Math.min(...deferred) - now);
+        }
+
+        checkCompleted(campaign);
+    }
+
+    // First queued contact that may be called now; deferred and refused contacts are marked on the way
+    function nextDialable(campaign, now) {
+        for (const contact of campaign.contacts) {
+            if (contact.state !== 'queued') continue;
+            if (contact.deferredUntil && new Date(contact.deferredUntil).getTime() > now) continue;
+
+            const verdict = checkCall(contact.phoneNumber);
+            if (verdict.allowed) {
+                contact.deferredUntil = null;
+                return contact;
+            }
+            if (verdict.retryAt) {
+                if (contact.deferredUntil !== verdict.retryAt) {
+                    log.info('Deferring contact', { campaignId: campaign.id, phoneNumber: contact.phoneNumber, retryAt: verdict.retryAt, verdict: verdict.reason });
+                }
+                setContactState(contact, 'queued', { deferredUntil: verdict.retryAt, error: verdict.message });
+            } else {
+                log.info('Not calling contact', { campaignId: campaign.id, phoneNumber: contact.phoneNumber, verdict: verdict.reason });
+                setContactState(contact, 'failed', { deferredUntil: null, error: verdict.message });
+            }
+        }
+        return null;
+    }
+
+    // Free the contact's slot if its call never reports a final status
+    function watchCall(campaign, contact, delayMs = STALE_CALL_TIMEOUT_MS) {
+        const staleTimer = setTimeout(() => {
+            staleTimers.delete(contact.id);
+            if (contact.state === 'dialing' || contact.state === 'in-progress') {
+                log.warn('No final status for call, marking failed', { campaignId: campaign.id, callSid: contact.callSid });
+                setContactState(contact, 'failed', { error: 'No final call status received' });
+                pump(campaign);
+            }
+        }, Math.max(delayMs, 0));
+        staleTimer.unref();
+        staleTimers.set(contact.id, staleTimer);
+    }
+
+    async function dial(campaign, contact) {
+        contact.attempts++;
+        setContactState(contact, 'dialing', { error: null, callSid: null });
+        log.info('Dialing contact', { campaignId: campaign.id, contactId: contact.id, phoneNumber: contact.phoneNumber });
+
+        try {
+            const callSid = await placeCall(contact, campaign);
+            contact.callSid = callSid;
+            callIndex[callSid] = { campaignId: campaign.id, contactId: contact.id };
+            store.save();
+            watchCall(campaign, contact);
+        } catch (error) {
+            // Nothing to dial from until `retryAt` (every caller ID at its daily cap): try again then
+            if (error.retryAt) {
+                log.info('Deferring contact', { campaignId: campaign.id, phoneNumber: contact.phoneNumber, retryAt: error.retryAt, error: error.message });
+                contact.attempts--;
+                setContactState(contact, 'queued', { deferredUntil: error.retryAt, error: error.message });
+            } else {
+                log.error('Failed to dial contact', { campaignId: campaign.id, phoneNumber: contact.phoneNumber, error: error.message });
+                setContactState(contact, 'failed', { error: error.message });
+                onDialFailed(contact, campaign, error);
+            }
+            pump(campaign);
+        }
+    }
+
+    async function createCampaign({ name, concurrency, callsPerMinute, defaultRegion, scriptId, scriptVersion, eventId, variables, agent } = {}) {
+        const parsedConcurrency = parseLimit(concurrency, DEFAULT_CONCURRENCY, MAX_CONCURRENCY);
+        if (parsedConcurrency === null) {
+            throw new CampaignError(`concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`, 400);
+        }
+        const parsedRate = parseLimit(callsPerMinute, DEFAULT_CALLS_PER_MINUTE, MAX_CALLS_PER_MINUTE);
+        if (parsedRate === null) {
+            throw new CampaignError(`callsPerMinute must be an integer between 1 and ${MAX_CALLS_PER_MINUTE}`, 400);
+        }
+        if (defaultRegion !== undefined && !isValidRegion(defaultRegion)) {
+            throw new CampaignError('defaultRegion must be a two-letter country code such as US or PH', 400);
+        }
+        if (variables !== undefined && (typeof variables !== 'object' || Array.isArray(variables))) {
+            throw new CampaignError('variables must be an object of script variable values', 400);
+        }
+        let agentSettings;
+        try {
+            agentSettings = validateAgent(agent);
+        } catch (error) {
+            throw new CampaignError(error.message, 400);
+        }
+
+        // Pin the script version when the campaign is created so a script edit mid-campaign doesn't change it
+        let script;
+        try {
+            script = await resolveScript(scriptId, scriptVersion, eventId);
+        } catch (error) {
+            throw new CampaignError(error.message, error.status || 400);
+        }
+
+        const campaign = {
+            id: crypto.randomUUID(),
+            name: name || 'Untitled campaign',
+            status: 'draft',
+            concurrency: parsedConcurrency,
+            callsPerMinute: parsedRate,
+            // Country assumed for contact numbers written without a country code
+            defaultRegion: defaultRegion ? defaultRegion.toUpperCase() : phoneConfig.defaultRegion,
+            script: {
+                scriptId: script.id,
+                scriptVersion: script.version,
+                eventId: eventId || script.event || undefined,
+                variables: variables || {},
+                // Overrides the script's agent settings for every call of the campaign
+                agent: agentSettings || {}
+            },
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            contacts: []
+        };
+        campaigns[campaign.id] = campaign;
+        store.save();
+        log.info('Campaign created', { campaignId: campaign.id, name: campaign.name });
+        return campaign;
+    }
+
+    function getCampaign(id) {
+        const campaign = campaigns[id];
+        if (!campaign) {
+            throw new CampaignError('Campaign not found', 404);
+        }
+        return campaign;
+    }
+
+    function addContacts(id, contacts) {
+        const campaign = getCampaign(id);
+        if (campaign.status === 'cancelled' || campaign.status === 'completed') {
+            throw new CampaignError(`Cannot add contacts to a ${campaign.status} campaign`, 409);
+        }
+        if (!Array.isArray(contacts) || contacts.length === 0) {
+            throw new CampaignError('contacts must be a non-empty list', 400);
+        }
+
+        const added = [];
+        const rejected = [];
+        contacts.forEach((input, index) => {
+            const clientName = input?.clientName?.toString().trim();
+            const phone = parsePhone(input?.phoneNumber, { ...phoneConfig, defaultRegion: campaign.defaultRegion });
+            if (!clientName || !phone.ok) {
+                rejected.push({
+                    index,
+                    contact: input,
+                    error: !clientName ? 'Missing clientName' : phone.message,
+                    reason: !clientName ? 'missing-name' : phone.reason
+                });
+                return;
+            }
+            const contact = {
+                id: crypto.randomUUID(),
+                clientName,
+                phoneNumber: phone.e164,
+                userType: input.userType?.toString().trim() || 'non-VIP',
+                state: 'queued',
+                attempts: 0,
+                callSid: null,
+                lastCallStatus: null,
+                deferredUntil: null,
+                error: null,
+                updatedAt: new Date().toISOString()
+            };
+            campaign.contacts.push(contact);
+            added.push(contact);
+        });
+        store.save();
+
+        pump(campaign);
+        return { added, rejected };
+    }
+
+    function transition(id, action) {
+        const campaign = getCampaign(id);
+        const allowed = {
+            start: ['draft'],
+            pause: ['running'],
+            resume: ['paused'],
+            cancel: ['draft', 'running', 'paused']
+        };
+        if (!allowed[action].includes(campaign.status)) {
+            throw new CampaignError(`Cannot ${action} a ${campaign.status} campaign`, 409);
+        }
+
+        switch (action) {
+            case 'start':
+                campaign.status = 'running';
+                campaign.startedAt = new Date().toISOString();
+                break;
+            case 'pause':
+                campaign.status = 'paused';
+                break;
+            case 'resume':
+                campaign.status = 'running';
+                break;
+            case 'cancel':
+                campaign.status = 'cancelled';
+                campaign.finishedAt = new Date().toISOString();
+                // Calls already in flight finish on their own; only the queue is dropped
+                for (const contact of campaign.contacts) {
+                    if (contact.state === 'queued') {
+                        setContactState(contact, 'failed', { error: 'Campaign cancelled' });
+                    }
+                }
+                break;
+        }
+        store.save();
+        log.info('Campaign updated', { campaignId: campaign.id, action, status: campaign.status });
+        pump(campaign);
+        return campaign;
+    }
+
+    // Put a finished contact back in the queue, e.g. when the retry policy calls for another attempt
+    function requeueContact(campaignId, contactId) {
+        const campaign = getCampaign(campaignId);
+        const contact = campaign.contacts.find(c => c.id === contactId);
+        if (!contact) {
+            throw new CampaignError('Contact not found', 404);
+        }
+        if (campaign.status === 'cancelled') {
+            throw new CampaignError('Cannot requeue a contact in a cancelled campaign', 409);
+        }
+        if (contact.state !== 'done' && contact.state !== 'failed') {
+            return contact;
+        }
+
+        if (campaign.status === 'completed') {
+            campaign.status = 'running';
+            campaign.finishedAt = null;
+        }
+        setContactState(contact, 'queued');
+        pump(campaign);
+        return contact;
+    }
+
+    // Called from /call-status; returns true when the call belonged to a campaign
+    function handleCallStatus(callSid, callStatus) {
+        const entry = callIndex[callSid];
+        if (!entry) return false;
+
+        const campaign = campaigns[entry.campaignId];
+        const contact = campaign?.contacts.find(c => c.id === entry.contactId);
+        if (!contact) return false;
+
+        const state = CALL_STATUS_TO_STATE[callStatus];
+        contact.lastCallStatus = callStatus;
+        if (!state || contact.state === 'done' || contact.state === 'failed') {
+            return true;
+        }
+
+        setContactState(contact, state, state === 'failed' ? { error: `Call ${callStatus}` } : {});
+        if (state === 'done' || state === 'failed') {
+            clearTimeout(staleTimers.get(contact.id));
+            staleTimers.delete(contact.id);
+            delete callIndex[callSid];
+            store.save();
+            pump(campaign);
+        }
+        return true;
+    }
+
+    // Pick up where the last process left off: watch calls still in flight and resume dialing
+    function restore() {
+        for (const campaign of Object.values(campaigns)) {
+            for (const contact of campaign.contacts) {
+                if (contact.state === 'dialing' && !contact.callSid) {
+                    // The call may have been placed before the restart; not dialed again to avoid a duplicate
+                    setContactState(contact, 'failed', { error: 'Interrupted by a restart while dialing' });
+                } else if (contact.state === 'dialing' || contact.state === 'in-progress') {
+                    watchCall(campaign, contact, new Date(contact.updatedAt).getTime() + STALE_CALL_TIMEOUT_MS - Date.now());
+                }
+            }
+            pump(campaign);
+        }
+    }
+
+    function stopTimers() {
+        for (const timer of [...pumpTimers.values(), ...staleTimers.values()]) {
+            clearTimeout(timer);
+        }
+        pumpTimers.clear();
+        staleTimers.clear();
+    }
+
+    return {
+        createCampaign,
+        getCampaign,
+        listCampaigns: () => Object.values(campaigns),
+        addContacts,
+        requeueContact,
+        start: id => transition(id, 'start'),
+        pause: id => transition(id, 'pause'),
+        resume: id => transition(id, 'resume'),
+        cancel: id => transition(id, 'cancel'),
+        handleCallStatus,
+        summarize,
+        detail,
+        restore,
+        stopTimers
+    };
+}
+
+export class CampaignError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'CampaignError';
+        this.status = status;
+    }
+}
+
+function sendError(res, error) {
+    if (error instanceof CampaignError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    log.error('Error in campaign route', error);
+    res.status(500).json({ error: 'Campaign request failed', message: error.message });
+}
+
+function readContacts(req) {
+    if (typeof req.body === 'string') {
+        return parseContactsCsv(req.body);
+    }
+    return req.body?.contacts;
+}
+
+export function createCampaignRouter(manager) {
+    const router = express.Router();
+    const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
+
+    router.post('/', async (req, res) => {
+        try {
+            const campaign = await manager.createCampaign(req.body);
+            if (Array.isArray(req.body.contacts) && req.body.contacts.length > 0) {
+                const { rejected } = manager.addContacts(campaign.id, req.body.contacts);
+                return res.status(201).json({ ...manager.summarize(campaign), rejected });
+            }
+            res.status(201).json(manager.summarize(campaign));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.get('/', (req, res) => {
+        res.json({ campaigns: manager.listCampaigns().map(manager.summarize) });
+    });
+
+    router.get('/:id', (req, res) => {
+        try {
+            res.json(manager.detail(manager.getCampaign(req.params.id)));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.post('/:id/contacts', csvBody, (req, res) => {
+        try {
+            const { added, rejected } = manager.addContacts(req.params.id, readContacts(req));
+            res.json({
+                added: added.length,
+                rejected,
+                campaign: manager.summarize(manager.getCampaign(req.params.id))
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    for (const action of ['start', 'pause', 'resume', 'cancel']) {
+        router.post(`/:id/${action}`, (req, res) => {
+            try {
+                res.json(manager.summarize(manager[action](req.params.id)));
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+    }
+
+    return router;
+}
@@ -0,0 +1,188 @@
+import express from 'express';
+import { openJsonStore } from './store.js';
+import { getPhoneTimeZones } from './phoneTimeZones.js';
+import { formatPhoneNumber } from './phone.js';
+import { getZonedParts, nextTimeInWindow, parseClockTime } from './time.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'compliance' });
+
+// Calling hours in the recipient's local time (the TCPA allows 8am to 9pm)
+export function loadCallingHours(env = process.env) {
+    const hours = {
+        start: env.CALLING_HOURS_START || '08:00',
+        end: env.CALLING_HOURS_END || '21:00'
+    };
+    const start = parseClockTime(hours.start);
+    const end = parseClockTime(hours.end);
+    if (start === null || end === null || start >= end) {
+        throw new Error('CALLING_HOURS_START and CALLING_HOURS_END must be HH:MM with start before end');
+    }
+    return hours;
+}
+
+export class ComplianceError extends Error {
+    constructor(message, { reason, retryAt = null, timeZones = [] }) {
+        super(message);
+        this.name = 'ComplianceError';
+        this.status = 403;
+        this.reason = reason;
+        this.retryAt = retryAt;
+        this.timeZones = timeZones;
+    }
+}
+
+// Earliest instant at or after `date` inside the calling window in every one of the zones
+function nextPermittedTime(date, hours, timeZones) {
+    let candidate = date;
+    // Each pass moves to the latest zone's next opening; windows that never overlap give up
+    for (let pass = 0; pass < 8; pass++) {
+        const openings = timeZones.map(timeZone => nextTimeInWindow(candidate, { ...hours, timeZone }));
+        const latest = new Date(Math.max(...openings.map(d => d.getTime())));
+        if (openings.every(d => d.getTime() === candidate.getTime())) {
+            return candidate;
+        }
+        candidate = latest;
+    }
+    return null;
+}
+
+function formatLocalTime(date, timeZone) {
+    const { hour, minute, weekday } = getZonedParts(date, timeZone);
+    return `${weekday} ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')} ${timeZone}`;
+}
+
+/**
+ * Decides whether a number may be called right now: not on the do-not-call list and
+ * inside calling hours wherever the recipient is. Numbers we can't place in a time
+ * zone are refused rather than guessed at.
+ */
+export function createComplianceGuard({
+    hours = loadCallingHours(),
+    dataDir,
+    store = openJsonStore('do-not-call', { dir: dataDir, defaults: { entries: [] } })
+} = {}) {
+    const { entries } = store.data;
+
+    function findEntry(phoneNumber) {
+        return entries.find(entry => entry.phoneNumber === phoneNumber) || null;
+    }
+
+    function check(phoneNumber, now = new Date()) {
+        const dnc = findEntry(phoneNumber);
+        if (dnc) {
+            return {
+                allowed: false,
+                reason: 'do-not-call',
+                message: `${phoneNumber} is on the do-not-call list (${dnc.reason || 'no reason given'})`,
+                timeZones: []
+            };
+        }
+
+        const { country, timeZones } = getPhoneTimeZones(phoneNumber);
+        if (timeZones.length === 0) {
+            return {
+                allowed: false,
+                reason: 'unknown-timezone',
+                message: `Cannot tell the local time for ${phoneNumber} (country ${country || 'unknown'}), so it is not called`,
+                timeZones
+            };
+        }
+
+        const permittedAt = nextPermittedTime(now, hours, timeZones);
+        if (!permittedAt) {
+            return {
+                allowed: false,
+                reason: 'unknown-timezone',
+                message: `${phoneNumber} may be in ${timeZones.join(', ')}, whose calling hours never overlap`,
+                timeZones
+            };
+        }
+        if (permittedAt.getTime() > now.getTime()) {
+            const closedZone = timeZones.find(timeZone => nextTimeInWindow(now, { ...hours, timeZone }) > now) || timeZones[0];
+            return {
+                allowed: false,
+                reason: 'outside-calling-hours',
+                message: `It is ${formatLocalTime(now, closedZone)} for ${phoneNumber}; calls are allowed ${hours.start}-${hours.end} local time`,
+                retryAt: permittedAt.toISOString(),
+                timeZones
+            };
+        }
+        return { allowed: true, timeZones };
+    }
+
+    // Throws a ComplianceError when the number may not be called now
+    function assertCallable(phoneNumber, now) {
+        const verdict = check(phoneNumber, now);
+        if (!verdict.allowed) {
+            throw new ComplianceError(verdict.message, verdict);
+        }
+        return verdict;
+    }
+
+    function addToDoNotCall({ phoneNumber, reason = null, source = 'api', callSid = null }) {
+        let entry = findEntry(phoneNumber);
+        if (!entry) {
+            entry = { phoneNumber, reason, source, callSid, addedAt: new Date().toISOString() };
+            entries.push(entry);
+            store.save();
+            log.info('Added to the do-not-call list', { phoneNumber, source, reason });
+        }
+        return entry;
+    }
+
+    function removeFromDoNotCall(phoneNumber) {
+        const index = entries.findIndex(entry => entry.phoneNumber === phoneNumber);
+        if (index === -1) return null;
+        const [entry] = entries.splice(index, 1);
+        store.save();
+        log.info('Removed from the do-not-call list', { phoneNumber });
+        return entry;
+    }
+
+    return {
+        hours,
+        check,
+        assertCallable,
+        addToDoNotCall,
+        removeFromDoNotCall,
+        isOnDoNotCall: phoneNumber => Boolean(findEntry(phoneNumber)),
+        listDoNotCall: () => [...entries]
+    };
+}
+
+export function createComplianceRouter(guard, { phoneConfig } = {}) {
+    const router = express.Router();
+
+    router.get('/dnc', (req, res) => {
+        const entries = guard.listDoNotCall();
+        res.json({ count: entries.length, entries });
+    });
+
+    router.post('/dnc', (req, res) => {
+        const phoneNumber = formatPhoneNumber(req.body?.phoneNumber, phoneConfig);
+        if (!phoneNumber) {
+            return res.status(400).json({ error: 'A valid phoneNumber is required' });
+        }
+        res.status(201).json(guard.addToDoNotCall({ phoneNumber, reason: req.body.reason, source: 'api' }));
+    });
+
+    router.delete('/dnc/:phoneNumber', (req, res) => {
+        const entry = guard.removeFromDoNotCall(formatPhoneNumber(req.params.phoneNumber, phoneConfig));
+        if (!entry) {
+            return res.status(404).json({ error: 'That number is not on the do-not-call list' });
+        }
+        res.json(entry);
+    });
+
+    // Whether a number could be called right now, and its local time zone(s)
+    router.get('/check/:phoneNumber', (req, res) => {
+        const phoneNumber = formatPhoneNumber(req.params.phoneNumber, phoneConfig);
+        if (!phoneNumber) {
+            return res.status(400).json({ error: 'Invalid phone number' });
+        }
+        res.json({ phoneNumber, hours: guard.hours, ...guard.check(phoneNumber) });
+    });
+
+    return router;
+}
@@ -0,0 +1,97 @@
+import { createOutboundClient } from '../outbound.js';
+import { normalizeTag } from './tags.js';
+import { logger } from '../logger.js';
+
+// GoHighLevel (GHL) CRM adapter. GHL_API_URL can point at a local stand-in for testing.
+
+const log = logger.child({ module: 'crm' });
+
+const DEFAULT_GHL_API_URL = 'https://rest.gohighlevel.com/v1';
+
+export class GhlError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'GhlError';
+        this.status = status;
+    }
+}
+
+function splitName(name) {
+    const parts = (name || '').trim().split(/\s+/).filter(Boolean);
+    return {
+        firstName: parts[0] || undefined,
+        lastName: parts.length > 1 ? parts.slice(1).join(' ') : undefined
+    };
+}
+
+// `client` is the outbound client (timeouts, retries, circuit breaker) requests go through
+export function createGhlAdapter({ apiKey, locationId, baseUrl = DEFAULT_GHL_API_URL, client = createOutboundClient({ provider: 'ghl' }) }) {
+    if (!apiKey || !locationId) {
+        throw new Error('The GHL CRM adapter needs GHL_API_KEY and GHL_LOCATION_ID');
+    }
+
+    // `runOptions` go to the outbound client, e.g. `idempotent` or `maxRetries`
+    async function request(method, pathname, body, runOptions = {}) {
+        const response = await client.fetch(`${baseUrl}${pathname}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        }, runOptions);
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new GhlError(`GHL ${method} ${pathname} failed: ${response.status} ${response.statusText} - ${errorText}`, response.status);
+        }
+        const text = await response.text();
+        return text ? JSON.parse(text) : {};
+    }
+
+    // Search by the number's digits; GHL splits names, so `name` is filled in from the parts
+    async function findContact({ phoneNumber }) {
+        const digits = phoneNumber.toString().replace(/\D/g, '');
+        const searchResult = await request('GET', `/contacts/search?query=${encodeURIComponent(digits)}`);
+        const contact = searchResult.contacts?.[0];
+        if (!contact) return null;
+        const name = contact.contactName || [contact.firstName, contact.lastName].filter(Boolean).join(' ');
+        return { ...contact, name: contact.name || name || undefined };
+    }
+
+    // Create the contact if there is no match
+    async function findOrCreateContact({ phoneNumber, name }) {
+        const existing = await findContact({ phoneNumber });
+        if (existing) {
+            return existing;
+        }
+
+        log.info('No GHL contact, creating one', { phoneNumber });
+        const created = await request('POST', '/contacts', {
+            ...splitName(name),
+            phone: phoneNumber,
+            locationId
+        });
+        return created.contact;
+    }
+
+    // Adding a tag twice is harmless, so tag requests are retried like reads
+    async function applyOutcomeTag(contact, tag, { removeTags = [] } = {}) {
+        await request('POST', `/contacts/${contact.id}/tags`, { tags: [normalizeTag(tag)] }, { idempotent: true });
+        if (removeTags.length > 0) {
+            await request('DELETE', `/contacts/${contact.id}/tags`, { tags: removeTags.map(normalizeTag) });
+        }
+    }
+
+    async function addNote(contact, body) {
+        await request('POST', `/contacts/${contact.id}/notes`, { body });
+    }
+
+    // Cheapest request that proves the key works for the location; a readiness probe, so not retried
+    async function verifyAccess() {
+        await request('GET', `/contacts/?locationId=${encodeURIComponent(locationId)}&limit=1`, undefined, { maxRetries: 0 });
+        return { locationId };
+    }
+
+    return { name: 'ghl', findContact, findOrCreateContact, applyOutcomeTag, addNote, verifyAccess };
+}
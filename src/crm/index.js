@@ -0,0 +1,61 @@
+import express from 'express';
+import { createGhlAdapter } from './ghl.js';
+import { createJsonFileAdapter } from './jsonFile.js';
+import { getDataDir } from '../store.js';
+import { logger } from '../logger.js';
+
+const log = logger.child({ module: 'crm' });
+
+/**
+ * CRM adapters all expose the same interface:
+ *   findContact({ phoneNumber }) -> contact with an `id` and `name`, or null
+ *   findOrCreateContact({ phoneNumber, name }) -> contact with an `id`
+ *   applyOutcomeTag(contact, tag, { removeTags })
+ *   addNote(contact, body)
+ * and optionally exportCsv() and verifyAccess() (throws unless the CRM can be used; for
+ * readiness checks). CRM_PROVIDER picks the adapter.
+ */
+export const CRM_PROVIDERS = {
+    ghl: (env, { client }) => createGhlAdapter({
+        apiKey: env.GHL_API_KEY,
+        locationId: env.GHL_LOCATION_ID,
+        baseUrl: env.GHL_API_URL || undefined,
+        client
+    }),
+    json: env => createJsonFileAdapter({ dataDir: getDataDir(env) })
+};
+
+// Environment variables each provider needs, checked at startup
+export const CRM_REQUIRED_ENV = {
+    ghl: ['GHL_API_KEY', 'GHL_LOCATION_ID'],
+    json: []
+};
+
+export function getCrmProvider(env = process.env) {
+    return (env.CRM_PROVIDER || 'ghl').toLowerCase();
+}
+
+// `client` is the outbound client for adapters that call a remote API
+export function createCrmAdapter(env = process.env, { client } = {}) {
+    const provider = getCrmProvider(env);
+    const factory = CRM_PROVIDERS[provider];
+    if (!factory) {
+        throw new Error(`Unknown CRM_PROVIDER "${provider}" (expected one of: ${Object.keys(CRM_PROVIDERS).join(', ')})`);
+    }
+    const adapter = factory(env, { client: client || undefined });
+    log.info('Using CRM adapter', { adapter: adapter.name });
+    return adapter;
+}
+
+export function createCrmRouter(crm) {
+    const router = express.Router();
+
+    router.get('/export.csv', (req, res) => {
+        if (!crm.exportCsv) {
+            return res.status(404).json({ error: `The ${crm.name} CRM adapter does not support CSV export` });
+        }
+        res.type('text/csv').attachment('contacts.csv').send(crm.exportCsv());
+    });
+
+    return router;
+}
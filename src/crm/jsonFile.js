@@ -0,0 +1,89 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { openJsonStore } from '../store.js';
+import { normalizeTag } from './tags.js';
+
+// Local CRM adapter: contacts, tags and notes kept in DATA_DIR/crm-contacts.json, exportable as CSV
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function createJsonFileAdapter({ dataDir, store = openJsonStore('crm-contacts', { dir: dataDir, defaults: { contacts: [] } }) } = {}) {
+    const { contacts } = store.data;
+
+    async function findContact({ phoneNumber }) {
+        return contacts.find(c => c.phone === phoneNumber) || null;
+    }
+
+    async function findOrCreateContact({ phoneNumber, name }) {
+        let contact = await findContact({ phoneNumber });
+        if (!contact) {
+            contact = {
+                id: crypto.randomUUID(),
+                name: name || '',
+                phone: phoneNumber,
+                tags: [],
+                notes: [],
+                createdAt: new Date().toISOString()
+            };
+            contacts.push(contact);
+            store.save();
+        } else if (name && !contact.name) {
+            contact.name = name;
+            store.save();
+        }
+        return contact;
+    }
+
+    function getStored(contact) {
+        const stored = contacts.find(c => c.id === contact.id);
+        if (!stored) {
+            throw new Error(`Unknown contact ${contact.id}`);
+        }
+        return stored;
+    }
+
+    async function applyOutcomeTag(contact, tag, { removeTags = [] } = {}) {
+        const stored = getStored(contact);
+        const removed = removeTags.map(normalizeTag);
+        stored.tags = stored.tags.filter(t => !removed.includes(t));
+        const bare = normalizeTag(tag);
+        if (!stored.tags.includes(bare)) {
+            stored.tags.push(bare);
+        }
+        stored.updatedAt = new Date().toISOString();
+        store.save();
+    }
+
+    async function addNote(contact, body) {
+        getStored(contact).notes.push({ body, at: new Date().toISOString() });
+        store.save();
+    }
+
+    // Spreadsheet-friendly export: one row per contact, tags separated by semicolons
+    function exportCsv() {
+        const rows = [['id', 'name', 'phone', 'tags', 'lastNote', 'updatedAt']];
+        for (const contact of contacts) {
+            rows.push([
+                contact.id,
+                contact.name,
+                contact.phone,
+                contact.tags.join(';'),
+                contact.notes[contact.notes.length - 1]?.body,
+                contact.updatedAt || contact.createdAt
+            ]);
+        }
+        return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+    }
+
+    // Nothing to log in to; what can go wrong is a data directory we can't write to
+    async function verifyAccess() {
+        await fs.access(path.dirname(store.file), fs.constants.W_OK);
+        return { contacts: contacts.length };
+    }
+
+    return { name: 'json', findContact, findOrCreateContact, applyOutcomeTag, addNote, exportCsv, verifyAccess };
+}
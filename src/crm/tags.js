@@ -0,0 +1,8 @@
+// Tags used to go through a proxy that took "update: events -> ve0525-confirm-yes"; CRMs just want "ve0525-confirm-yes"
+export function normalizeTag(tag) {
+    return tag
+        .replace(/^\s*update:\s*/i, '')
+        .split(/\s*(?:->|→)\s*/)
+        .pop()
+        .trim();
+}
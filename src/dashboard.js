@@ -0,0 +1,158 @@
+import { fileURLToPath } from 'node:url';
+import express from 'express';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'dashboard' });
+
+const DASHBOARD_PAGE = fileURLToPath(new URL('../public/dashboard.html', import.meta.url));
+
+// Calls still in one of these are shown as active (and can be hung up)
+export const ACTIVE_STATUSES = ['queued', 'initiated', 'ringing', 'in-progress'];
+// The dashboard covers the last day; older calls are in GET /calls
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+// A call whose final status callback never arrived stops counting as active after this
+const STALE_ACTIVE_MS = 2 * 60 * 60 * 1000;
+// Snapshots are pushed at most this often during a burst of status callbacks
+const PUSH_INTERVAL_MS = 1000;
+// Keeps proxies (Render's included) from closing an idle event stream
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Live view of the call log for the dashboard: active calls, how many calls reached each
+ * Twilio status, outcome tallies per event tag and SMS counts over the last day. Pushes a
+ * fresh snapshot to every connected server-sent-events client when the call log changes.
+ */
+export function createCallMonitor({ callLog }) {
+    const clients = new Set();
+    let pushTimer = null;
+    let lastPush = 0;
+
+    function snapshot(now = Date.now()) {
+        const since = new Date(now - WINDOW_MS).toISOString();
+        const calls = callLog.query({ since, limit: Infinity });
+
+        const statuses = {};
+        const outcomes = new Map();
+        for (const call of calls) {
+            for (const status of new Set(call.statusHistory.map(entry => entry.status))) {
+                statuses[status] = (statuses[status] || 0) + 1;
+            }
+            for (const { tag, outcome } of call.tags) {
+                const key = `${call.eventId}|${tag}`;
+                const tally = outcomes.get(key) || { eventId: call.eventId, outcome, tag, count: 0 };
+                tally.count += 1;
+                outcomes.set(key, tally);
+            }
+        }
+
+        const sms = { sent: 0, failed: 0, received: 0 };
+        for (const message of callLog.messagesSince(since)) {
+            if (message.direction === 'inbound') sms.received += 1;
+            else if (message.error || message.status === 'failed') sms.failed += 1;
+            else sms.sent += 1;
+        }
+
+        const activeCalls = calls
+            .filter(call => ACTIVE_STATUSES.includes(call.status) && now - new Date(call.updatedAt).getTime() < STALE_ACTIVE_MS)
+            .map(call => ({
+                callSid: call.callSid,
+                direction: call.direction,
+                clientName: call.clientName,
+                phoneNumber: call.phoneNumber,
+                userType: call.userType,
+                eventId: call.eventId,
+                campaignId: call.campaignId,
+                status: call.status,
+                outcome: call.outcome,
+                answeredBy: call.answeredBy || null,
+                startedAt: call.createdAt
+            }));
+
+        return {
+            at: new Date(now).toISOString(),
+            since,
+            totalCalls: calls.length,
+            activeCalls,
+            statuses,
+            outcomes: [...outcomes.values()].sort((a, b) => b.count - a.count),
+            sms
+        };
+    }
+
+    function push() {
+        pushTimer = null;
+        lastPush = Date.now();
+        const data = `event: snapshot\ndata: ${JSON.stringify(snapshot())}\n\n`;
+        for (const res of clients) {
+            res.write(data);
+        }
+    }
+
+    // Coalesce bursts of changes into one push per interval
+    function schedulePush() {
+        if (clients.size === 0 || pushTimer) return;
+        pushTimer = setTimeout(push, Math.max(PUSH_INTERVAL_MS - (Date.now() - lastPush), 0));
+    }
+
+    callLog.onChange(schedulePush);
+
+    function stream(req, res) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: 3000\nevent: snapshot\ndata: ${JSON.stringify(snapshot())}\n\n`);
+        clients.add(res);
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            clients.delete(res);
+        });
+    }
+
+    return { snapshot, stream };
+}
+
+/**
+ * GET / serves the dashboard page, GET /stream the event stream, GET /snapshot the same
+ * data once, and POST /calls/:callSid/hangup ends an active call through `hangUp(callSid)`.
+ */
+export function createDashboardRouter({ monitor, callLog, hangUp }) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        res.sendFile(DASHBOARD_PAGE);
+    });
+
+    router.get('/stream', (req, res) => monitor.stream(req, res));
+
+    router.get('/snapshot', (req, res) => {
+        res.json(monitor.snapshot());
+    });
+
+    router.post('/calls/:callSid/hangup', async (req, res) => {
+        const call = callLog.get(req.params.callSid);
+        if (!call) {
+            return res.status(404).json({ error: 'Call not found' });
+        }
+        if (!ACTIVE_STATUSES.includes(call.status)) {
+            return res.status(409).json({ error: `Call is already ${call.status}` });
+        }
+
+        try {
+            await hangUp(call.callSid);
+            callLog.update(call.id, { hungUpFromDashboard: new Date().toISOString() });
+            log.info('Call hung up from the dashboard', { callSid: call.callSid, correlationId: call.correlationId });
+            res.json({ success: true, callSid: call.callSid });
+        } catch (error) {
+            log.error('Error hanging up call', { callSid: call.callSid, correlationId: call.correlationId, error });
+            res.status(502).json({ error: 'Failed to hang up call', message: error.message });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,224 @@
+import crypto from 'node:crypto';
+import express from 'express';
+import { openJsonStore } from './store.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'dead-letters' });
+
+export const DEAD_LETTER_STATUSES = ['pending', 'abandoned'];
+
+export class DeadLetterError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'DeadLetterError';
+        this.status = status;
+    }
+}
+
+/**
+ * Durable queue for writes that failed against a provider, e.g. a CRM tag during a GHL outage.
+ * Letters are stored in DATA_DIR/dead-letters.json and replayed in order by replayPending()
+ * (when the provider recovers, and every `replayIntervalMs`) until they succeed; a letter that
+ * still fails after `maxAttempts` replays is abandoned but can be retried by hand.
+ *
+ * `handlers` maps a letter type to `replay(payload)`. Letters are removed once replayed.
+ */
+export function createDeadLetterQueue({
+    handlers,
+    maxAttempts = 10,
+    replayIntervalMs = 5 * 60 * 1000,
+    dataDir,
+    store = openJsonStore('dead-letters', { dir: dataDir, defaults: { letters: [] } })
+}) {
+    const { letters } = store.data;
+    let timer = null;
+    let replaying = null;
+    // Letters being resent right now by id, so a manual retry racing a replay pass shares its
+    // outcome instead of sending the same write twice
+    const inFlight = new Map();
+
+    function add(type, payload, error) {
+        const letter = {
+            id: crypto.randomUUID(),
+            type,
+            payload,
+            status: 'pending',
+            attempts: 0,
+            error: error.message,
+            createdAt: new Date().toISOString(),
+            lastAttemptAt: null
+        };
+        letters.push(letter);
+        store.save();
+        log.warn('Dead-lettered a failed write', { id: letter.id, type, error: error.message });
+        return letter;
+    }
+
+    function find(id) {
+        const letter = letters.find(item => item.id === id);
+        if (!letter) {
+            throw new DeadLetterError('Dead letter not found', 404);
+        }
+        return letter;
+    }
+
+    // Throws the replay error; the letter stays queued with the attempt counted
+    async function resend(letter) {
+        try {
+            await handlers[letter.type].replay(letter.payload);
+        } catch (error) {
+            // Failing fast on an open circuit never reached the provider, so it isn't an attempt
+            if (error.code === 'CIRCUIT_OPEN') throw error;
+            letter.attempts += 1;
+            letter.lastAttemptAt = new Date().toISOString();
+            letter.error = error.message;
+            if (letter.status === 'pending' && letter.attempts >= maxAttempts) {
+                letter.status = 'abandoned';
+                log.error('Dead letter abandoned', { id: letter.id, attempts: letter.attempts, error: error.message });
+            }
+            store.save();
+            throw error;
+        }
+        letter.attempts += 1;
+        // It may have been discarded while it was being resent
+        const index = letters.indexOf(letter);
+        if (index !== -1) {
+            letters.splice(index, 1);
+            store.save();
+        }
+        log.info('Replayed dead letter', { id: letter.id, type: letter.type, attempts: letter.attempts });
+    }
+
+    function replay(letter) {
+        if (!inFlight.has(letter.id)) {
+            inFlight.set(letter.id, resend(letter).finally(() => inFlight.delete(letter.id)));
+        }
+        return inFlight.get(letter.id);
+    }
+
+    // One pass over the pending letters, oldest first; stops early while the provider is still failing
+    function replayPending() {
+        replaying ||= (async () => {
+            let replayed = 0;
+            for (const letter of letters.filter(item => item.status === 'pending')) {
+                // Discarded or replayed by hand since the pass began
+                if (!letters.includes(letter)) continue;
+                try {
+                    await replay(letter);
+                    replayed += 1;
+                } catch (error) {
+                    if (error.retryable) break;
+                }
+            }
+            return replayed;
+        })().finally(() => {
+            replaying = null;
+        });
+        return replaying;
+    }
+
+    async function retry(id) {
+        const letter = find(id);
+        try {
+            await replay(letter);
+        } catch (error) {
+            throw new DeadLetterError(`Replay failed: ${error.message}`, 502);
+        }
+        return letter;
+    }
+
+    function discard(id) {
+        const letter = find(id);
+        letters.splice(letters.indexOf(letter), 1);
+        store.save();
+        return letter;
+    }
+
+    function start() {
+        clearInterval(timer);
+        timer = setInterval(() => {
+            if (letters.some(letter => letter.status === 'pending')) {
+                replayPending().catch(error => log.error('Error replaying dead letters', error));
+            }
+        }, replayIntervalMs);
+        timer.unref();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return {
+        add,
+        get: id => ({ ...find(id) }),
+        list: ({ status, type } = {}) => letters
+            .filter(letter => (!status || letter.status === status) && (!type || letter.type === type))
+            .map(letter => ({ ...letter })),
+        retry,
+        discard,
+        replayPending,
+        start,
+        stop
+    };
+}
+
+function sendError(res, error) {
+    if (error instanceof DeadLetterError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    log.error('Error in dead-letter route', error);
+    res.status(500).json({ error: 'Dead-letter request failed', message: error.message });
+}
+
+// `getCircuits()` reports the providers' circuit breakers alongside the letters
+export function createDeadLetterRouter(queue, { getCircuits = () => [] } = {}) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        const { status, type } = req.query;
+        if (status && !DEAD_LETTER_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${DEAD_LETTER_STATUSES.join(', ')}` });
+        }
+        const letters = queue.list({ status, type });
+        res.json({ count: letters.length, deadLetters: letters, circuits: getCircuits() });
+    });
+
+    // Replay every pending letter now instead of waiting for the next pass
+    router.post('/retry', async (req, res) => {
+        try {
+            const replayed = await queue.replayPending();
+            res.json({ replayed, remaining: queue.list().length });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.get('/:id', (req, res) => {
+        try {
+            res.json(queue.get(req.params.id));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Replay one letter, abandoned ones included
+    router.post('/:id/retry', async (req, res) => {
+        try {
+            const letter = await queue.retry(req.params.id);
+            res.json({ replayed: true, id: letter.id });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.delete('/:id', (req, res) => {
+        try {
+            res.json(queue.discard(req.params.id));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+}
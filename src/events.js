@@ -0,0 +1,333 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import express from 'express';
+import { getZonedParts, isValidTimeZone, zonedTimeToDate } from './time.js';
+import { validateTemplate } from './scripts.js';
+import { logger } from './logger.js';
+
+// Event definitions live in <EVENTS_DIR>/<eventId>.json. An event holds its session
+// schedule (local times plus time zone) and the CRM tag for each call outcome, so the
+// prompt and the status-callback tagging always agree on tag names and dates.
+
+const log = logger.child({ module: 'events' });
+
+const DEFAULT_EVENTS_DIR = fileURLToPath(new URL('../events', import.meta.url));
+const EVENT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const LOCAL_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/;
+
+// Call outcomes an event can map to a tag
+export const OUTCOMES = [
+    'notAvailable',
+    'leftMessage',
+    'busy',
+    'noAnswer',
+    'confirmYes',
+    'confirmNo',
+    'vipConfirmYes',
+    'vipConfirmNo',
+    'wrongPerson'
+];
+
+// Texts sent back to inbound SMS, overridable per event in `smsReplies`
+export const SMS_REPLIES = ['confirmYes', 'confirmNo', 'help'];
+
+export class EventConfigError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'EventConfigError';
+        this.status = status;
+    }
+}
+
+function parseLocalTime(value, timeZone, label) {
+    const match = LOCAL_TIME_PATTERN.exec(value || '');
+    if (!match) {
+        throw new EventConfigError(`${label} must be a local time like 2025-05-20T13:00`);
+    }
+    const [, year, month, day, hour, minute] = match.map(Number);
+    return zonedTimeToDate({ year, month, day, hour, minute }, timeZone);
+}
+
+export function validateEvent(id, config) {
+    if (!config || typeof config !== 'object') {
+        throw new EventConfigError(`Event ${id} must be a JSON object`);
+    }
+    const timeZone = config.timeZone;
+    if (!isValidTimeZone(timeZone || '')) {
+        throw new EventConfigError(`Event ${id} has an invalid timeZone: ${timeZone}`);
+    }
+    if (!Array.isArray(config.sessions) || config.sessions.length === 0) {
+        throw new EventConfigError(`Event ${id} needs at least one session`);
+    }
+    if (!config.tags || typeof config.tags !== 'object') {
+        throw new EventConfigError(`Event ${id} needs a tags map`);
+    }
+    const unknownOutcomes = Object.keys(config.tags).filter(outcome => !OUTCOMES.includes(outcome));
+    if (unknownOutcomes.length > 0) {
+        throw new EventConfigError(`Event ${id} has tags for unknown outcomes: ${unknownOutcomes.join(', ')}`);
+    }
+
+    const smsReplies = config.smsReplies || {};
+    for (const [name, template] of Object.entries(smsReplies)) {
+        if (!SMS_REPLIES.includes(name) || typeof template !== 'string') {
+            throw new EventConfigError(`Event ${id} smsReplies.${name} must be one of ${SMS_REPLIES.join(', ')} with a text template`);
+        }
+        try {
+            validateTemplate(template);
+        } catch (error) {
+            throw new EventConfigError(`Event ${id} smsReplies.${name}: ${error.message}`);
+        }
+    }
+
+    if (config.voicemail !== undefined) {
+        try {
+            validateTemplate(typeof config.voicemail === 'string' ? config.voicemail : '');
+        } catch (error) {
+            throw new EventConfigError(`Event ${id} voicemail: ${error.message}`);
+        }
+        if (typeof config.voicemail !== 'string' || !config.voicemail.trim()) {
+            throw new EventConfigError(`Event ${id} voicemail must be a text template`);
+        }
+    }
+
+    if (config.variables !== undefined && (typeof config.variables !== 'object' || Array.isArray(config.variables))) {
+        throw new EventConfigError(`Event ${id} variables must be an object`);
+    }
+
+    const sessions = config.sessions.map((session, index) => {
+        if (!session.id) {
+            throw new EventConfigError(`Event ${id} session ${index} needs an id`);
+        }
+        const sessionZone = session.timeZone || timeZone;
+        if (!isValidTimeZone(sessionZone)) {
+            throw new EventConfigError(`Event ${id} session ${session.id} has an invalid timeZone: ${sessionZone}`);
+        }
+        return {
+            ...session,
+            timeZone: sessionZone,
+            startsAt: parseLocalTime(session.start, sessionZone, `Event ${id} session ${session.id} start`),
+            endsAt: session.end ? parseLocalTime(session.end, sessionZone, `Event ${id} session ${session.id} end`) : null
+        };
+    });
+
+    const sequence = validateSequence(id, config.sequence, sessions);
+
+    return {
+        id,
+        name: config.name || id,
+        timeZone,
+        tagPrefix: config.tagPrefix || '',
+        tags: config.tags,
+        smsReplies,
+        voicemail: config.voicemail || null,
+        variables: config.variables || {},
+        sequence,
+        sessions
+    };
+}
+
+const SEQUENCE_CHANNELS = ['sms', 'call'];
+
+function checkOutcomeList(id, step, field) {
+    const value = step[field];
+    if (value === undefined) return;
+    if (!Array.isArray(value) || value.some(outcome => !OUTCOMES.includes(outcome))) {
+        throw new EventConfigError(`Event ${id} sequence step ${step.id} ${field} must be a list of outcomes`);
+    }
+}
+
+// Follow-up steps, each triggered by an outcome ("on") or a time before a session ("before")
+function validateSequence(id, steps = [], sessions) {
+    if (!Array.isArray(steps)) {
+        throw new EventConfigError(`Event ${id} sequence must be a list of steps`);
+    }
+    const seen = new Set();
+    return steps.map((step, index) => {
+        if (!step?.id || seen.has(step.id)) {
+            throw new EventConfigError(`Event ${id} sequence step ${index} needs a unique id`);
+        }
+        seen.add(step.id);
+        if (!SEQUENCE_CHANNELS.includes(step.send)) {
+            throw new EventConfigError(`Event ${id} sequence step ${step.id} send must be one of: ${SEQUENCE_CHANNELS.join(', ')}`);
+        }
+        if (step.send === 'sms') {
+            try {
+                validateTemplate(typeof step.template === 'string' ? step.template : '');
+            } catch (error) {
+                throw new EventConfigError(`Event ${id} sequence step ${step.id} template: ${error.message}`);
+            }
+            if (typeof step.template !== 'string' || !step.template.trim()) {
+                throw new EventConfigError(`Event ${id} sequence step ${step.id} needs an SMS template`);
+            }
+        }
+        if (Boolean(step.on) === Boolean(step.before)) {
+            throw new EventConfigError(`Event ${id} sequence step ${step.id} needs exactly one of "on" or "before"`);
+        }
+        if (step.on && !OUTCOMES.includes(step.on)) {
+            throw new EventConfigError(`Event ${id} sequence step ${step.id} is on an unknown outcome: ${step.on}`);
+        }
+        const count = step.count ?? 1;
+        const delayMinutes = step.delayMinutes ?? 0;
+        if (!Number.isInteger(count) || count < 1 || !(delayMinutes >= 0)) {
+            throw new EventConfigError(`Event ${id} sequence step ${step.id} count must be a positive integer and delayMinutes >= 0`);
+        }
+        if (step.before) {
+            const session = sessions.find(s => s.id === step.before.session);
+            if (!session || !(step.before.minutes >= 0)) {
+                throw new EventConfigError(`Event ${id} sequence step ${step.id} before needs a known session and minutes >= 0`);
+            }
+        }
+        checkOutcomeList(id, step, 'when');
+        checkOutcomeList(id, step, 'unless');
+        return { ...step, count, delayMinutes };
+    });
+}
+
+// Full CRM tag for an outcome, e.g. "events -> ve0525-confirm-yes"
+export function getOutcomeTag(event, outcome) {
+    const tag = event.tags[outcome];
+    if (!tag) {
+        throw new EventConfigError(`Event ${event.id} has no tag for outcome ${outcome}`);
+    }
+    return `${event.tagPrefix}${tag}`;
+}
+
+// Reverse lookup: which outcome does a full tag string stand for
+export function findOutcomeForTag(event, tag) {
+    return Object.keys(event.tags).find(outcome => getOutcomeTag(event, outcome) === tag) || null;
+}
+
+// "4pm", "9:30am"
+export function formatClock(date, timeZone) {
+    const { hour, minute } = getZonedParts(date, timeZone);
+    const suffix = hour < 12 ? 'am' : 'pm';
+    const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+    return minute === 0 ? `${displayHour}${suffix}` : `${displayHour}:${String(minute).padStart(2, '0')}${suffix}`;
+}
+
+function formatTimeZoneName(date, timeZone) {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longGeneric' })
+        .formatToParts(date)
+        .find(p => p.type === 'timeZoneName');
+    return part ? part.value.replace(/ Time$/, ' time') : timeZone;
+}
+
+// "today", "tomorrow", "on Wednesday" or "on Wednesday, May 21", relative to the call date
+export function describeDay(date, timeZone, now = new Date()) {
+    const target = getZonedParts(date, timeZone);
+    const today = getZonedParts(now, timeZone);
+    const days = Math.round(
+        (Date.UTC(target.year, target.month - 1, target.day) - Date.UTC(today.year, today.month - 1, today.day)) / 86400000
+    );
+
+    if (days === 0) return 'today';
+    if (days === 1) return 'tomorrow';
+    const weekday = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'long' }).format(date);
+    if (days > 1 && days < 7) return `on ${weekday}`;
+    const monthDay = new Intl.DateTimeFormat('en-US', { timeZone, month: 'long', day: 'numeric' }).format(date);
+    return `on ${weekday}, ${monthDay}`;
+}
+
+/**
+ * Script variables for an event as of `now`: the event's own `variables` (e.g. a login
+ * link), eventName, timeZoneName, tags.<outcome> and
+ * sessions.<id>.{time, endTime, day, weekday, date, timeZoneName}.
+ */
+export function buildEventVariables(event, now = new Date()) {
+    const sessions = {};
+    for (const session of event.sessions) {
+        sessions[session.id] = {
+            name: session.name || session.id,
+            time: formatClock(session.startsAt, session.timeZone),
+            endTime: session.endsAt ? formatClock(session.endsAt, session.timeZone) : undefined,
+            day: describeDay(session.startsAt, session.timeZone, now),
+            weekday: new Intl.DateTimeFormat('en-US', { timeZone: session.timeZone, weekday: 'long' }).format(session.startsAt),
+            date: new Intl.DateTimeFormat('en-US', { timeZone: session.timeZone, month: 'long', day: 'numeric' }).format(session.startsAt),
+            timeZoneName: formatTimeZoneName(session.startsAt, session.timeZone),
+            startsAt: session.startsAt.toISOString()
+        };
+    }
+
+    const tags = Object.fromEntries(Object.keys(event.tags).map(outcome => [outcome, getOutcomeTag(event, outcome)]));
+
+    return {
+        ...event.variables,
+        eventId: event.id,
+        eventName: event.name,
+        timeZoneName: formatTimeZoneName(now, event.timeZone),
+        tags,
+        sessions
+    };
+}
+
+export function createEventStore({ dir = DEFAULT_EVENTS_DIR } = {}) {
+    async function getEvent(id) {
+        if (!EVENT_ID_PATTERN.test(id || '')) {
+            throw new EventConfigError(`Invalid event ID: ${id}`);
+        }
+        let text;
+        try {
+            text = await fs.readFile(path.join(dir, `${id}.json`), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new EventConfigError(`Event not found: ${id}`, 404);
+            }
+            throw error;
+        }
+
+        let config;
+        try {
+            config = JSON.parse(text);
+        } catch (error) {
+            throw new EventConfigError(`Event ${id} is not valid JSON: ${error.message}`, 500);
+        }
+        return validateEvent(id, config);
+    }
+
+    async function listEvents() {
+        let files;
+        try {
+            files = await fs.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const events = [];
+        for (const file of files.filter(f => f.endsWith('.json')).sort()) {
+            const event = await getEvent(path.basename(file, '.json'));
+            events.push({ id: event.id, name: event.name, timeZone: event.timeZone, sessions: event.sessions.length });
+        }
+        return events;
+    }
+
+    return { getEvent, listEvents };
+}
+
+export function createEventRouter(store) {
+    const router = express.Router();
+
+    router.get('/', async (req, res) => {
+        try {
+            res.json({ events: await store.listEvents() });
+        } catch (error) {
+            log.error('Error listing events', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    // The event plus the variables a script would see if a call were placed right now
+    router.get('/:id', async (req, res) => {
+        try {
+            const event = await store.getEvent(req.params.id);
+            res.json({ ...event, variables: buildEventVariables(event) });
+        } catch (error) {
+            if (!(error instanceof EventConfigError)) {
+                log.error('Error reading event', { eventId: req.params.id, error });
+            }
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,110 @@
+import crypto from 'node:crypto';
+import twilio from 'twilio';
+import { formatPhoneNumber } from './phone.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'inbound-calls' });
+
+// Name used in the script for callers we can't identify; the agent is told to ask for theirs
+export const UNKNOWN_CALLER_NAME = 'the caller';
+
+// Put in front of the rendered script so the agent knows the caller rang us
+function buildCallbackInstructions(caller) {
+    const lines = [
+        '## Inbound Call',
+        'This is an INBOUND call: the person called our number back, most likely after hearing a voicemail we left.',
+        'You speak first. Do not ask whether you are speaking to the right person and never leave a voicemail on this call.'
+    ];
+    if (caller.known) {
+        lines.push(`The caller is ${caller.clientName}. Greet them by name, introduce yourself as Claire, thank them for calling back and continue with the confirmation below.`);
+    } else {
+        lines.push(
+            'We do not know who is calling. Greet them warmly without using a name, introduce yourself as Claire, and ask for their name.',
+            `Wherever the script below says "${UNKNOWN_CALLER_NAME}", use the name they give, including as clientName in tool calls.`
+        );
+    }
+    return `${lines.join('\n')}\n\n⸻\n\n`;
+}
+
+/**
+ * Twilio's incoming-call webhook. Looks the caller up in the call log (their last call,
+ * preferably the one placed from the number they dialed, gives name, userType, script and
+ * event) and then the CRM, renders the same script
+ * with `preparePrompt`, starts an Ultravox session with `createUltravoxCall` (with the agent
+ * settings `resolveAgent(script)` gives) and connects the call to it.
+ */
+export function createInboundCallHandler({ callLog, crm, preparePrompt, createUltravoxCall, resolveAgent, phoneConfig }) {
+    // The call we placed from the number they are calling back comes first
+    async function identify(phoneNumber, twilioNumber) {
+        const lastCall = callLog.findLatestByPhone(phoneNumber, { twilioNumber });
+        if (lastCall) {
+            return {
+                known: true,
+                clientName: lastCall.clientName,
+                userType: lastCall.userType,
+                scriptId: lastCall.scriptId || undefined,
+                eventId: lastCall.eventId || undefined
+            };
+        }
+        try {
+            const contact = await crm.findContact({ phoneNumber });
+            if (contact?.name) {
+                return { known: true, clientName: contact.name, userType: 'non-VIP' };
+            }
+        } catch (error) {
+            log.error('Error looking up inbound caller in the CRM', { phoneNumber, error: error.message });
+        }
+        return { known: false, clientName: UNKNOWN_CALLER_NAME, userType: 'non-VIP' };
+    }
+
+    return async (req, res) => {
+        const callSid = req.body.CallSid;
+        const phoneNumber = formatPhoneNumber(req.body.From, phoneConfig) || req.body.From;
+        const twilioNumber = req.body.To || null;
+        const response = new twilio.twiml.VoiceResponse();
+        // Inbound calls get one too, so their log entries can be followed like those of calls we place
+        const correlationId = crypto.randomUUID();
+
+        try {
+            const caller = await identify(phoneNumber, twilioNumber);
+            log.info('Inbound call', { correlationId, callSid, phoneNumber, known: caller.known, clientName: caller.clientName });
+
+            // The latest script version, not the one pinned for their last call, so fixes apply
+            const { script, event, systemPrompt } = await preparePrompt({
+                scriptId: caller.scriptId,
+                eventId: caller.eventId,
+                clientName: caller.clientName,
+                phoneNumber,
+                userType: caller.userType
+            });
+            const agent = resolveAgent(script);
+            const ultravoxCall = await createUltravoxCall(buildCallbackInstructions(caller) + systemPrompt, {
+                agent,
+                firstSpeaker: 'FIRST_SPEAKER_AGENT',
+                correlationId
+            });
+
+            callLog.recordCall({
+                callSid,
+                ultravoxCallId: ultravoxCall.callId,
+                direction: 'inbound',
+                clientName: caller.known ? caller.clientName : null,
+                phoneNumber,
+                userType: caller.userType,
+                eventId: event?.id,
+                scriptId: script.id,
+                scriptVersion: script.version,
+                correlationId,
+                agent,
+                twilioNumber,
+                status: 'in-progress'
+            });
+
+            response.connect().stream({ url: ultravoxCall.joinUrl });
+        } catch (error) {
+            log.error('Error connecting inbound call', { correlationId, callSid, error });
+            response.say('Sorry, we can\'t take your call right now. Please try again a little later.');
+        }
+        res.type('text/xml').send(response.toString());
+    };
+}
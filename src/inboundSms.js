@@ -0,0 +1,124 @@
+import twilio from 'twilio';
+import { renderTemplate } from './scripts.js';
+import { buildEventVariables } from './events.js';
+import { formatPhoneNumber } from './phone.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'inbound-sms' });
+
+// Replies are matched on their first word, case-insensitively
+const KEYWORDS = {
+    yes: ['yes', 'y', 'yep', 'yeah', 'yup', 'confirm', 'confirmed', 'sure', 'ok', 'okay', '1'],
+    no: ['no', 'n', 'nope', 'cant', 'cannot', 'decline', '2'],
+    // Twilio's standard opt-out and opt-in keywords
+    optOut: ['stop', 'stopall', 'unsubscribe', 'cancel', 'end', 'quit', 'optout', 'revoke'],
+    optIn: ['start', 'unstop'],
+    help: ['help', 'info']
+};
+
+const DEFAULT_REPLIES = {
+    confirmYes: 'Thanks {{clientName}}, you\'re confirmed for {{eventName}}. See you there!',
+    confirmNo: 'Thanks for letting us know, {{clientName}}. We\'re sorry you can\'t make {{eventName}}.',
+    help: 'Reply YES to confirm your place at {{eventName}}, NO if you can\'t make it, or STOP to opt out.'
+};
+const UNKNOWN_SENDER_REPLY = 'Sorry, we couldn\'t find an invitation for this number. Reply STOP to opt out.';
+
+export function parseSmsReply(body) {
+    const text = (body || '').toLowerCase().replace(/[^a-z0-9\s]/g, '').trim();
+    const first = text.split(/\s+/)[0] || '';
+    for (const [intent, words] of Object.entries(KEYWORDS)) {
+        if (words.includes(text) || words.includes(first)) {
+            return intent;
+        }
+    }
+    return null;
+}
+
+function twiml(reply) {
+    const response = new twilio.twiml.MessagingResponse();
+    if (reply) {
+        response.message(reply);
+    }
+    return response.toString();
+}
+
+/**
+ * Twilio's incoming-message webhook. Matches the sender to their latest call, turns
+ * YES / NO into the same attendance tag the voice agent would apply (via
+ * `applyOutcome({ call, outcome })`), honors STOP / START against the do-not-call list
+ * and answers with the event's reply text.
+ */
+export function createInboundSmsHandler({ callLog, eventStore, compliance, applyOutcome, phoneConfig, onOptOut = () => {} }) {
+    async function handle({ from, to, body }) {
+        const intent = parseSmsReply(body);
+        // The call placed from the number they are replying to, if there was one
+        const call = callLog.findLatestByPhone(from, { twilioNumber: to });
+
+        if (intent === 'optOut') {
+            compliance.addToDoNotCall({ phoneNumber: from, reason: `Texted "${body.trim()}"`, source: 'sms', callSid: call?.callSid });
+            onOptOut(from);
+            // Twilio sends the carrier-required opt-out confirmation itself
+            return { action: 'opt-out', reply: null };
+        }
+        if (intent === 'optIn') {
+            compliance.removeFromDoNotCall(from);
+            return { action: 'opt-in', reply: null };
+        }
+        if (!call) {
+            return { action: 'unknown-sender', reply: UNKNOWN_SENDER_REPLY };
+        }
+
+        const event = call.eventId ? await eventStore.getEvent(call.eventId) : null;
+        const isVip = (call.userType || '').toLowerCase() === 'vip';
+        let outcome = null;
+        if (intent === 'yes' || intent === 'no') {
+            const base = intent === 'yes' ? 'confirmYes' : 'confirmNo';
+            const vipOutcome = `vip${base[0].toUpperCase()}${base.slice(1)}`;
+            outcome = isVip && event?.tags[vipOutcome] ? vipOutcome : base;
+            await applyOutcome({ call, outcome });
+        }
+
+        const replyName = intent === 'yes' ? 'confirmYes' : intent === 'no' ? 'confirmNo' : 'help';
+        const template = event?.smsReplies[replyName] || DEFAULT_REPLIES[replyName];
+        const variables = {
+            eventName: 'the event',
+            ...(event ? buildEventVariables(event) : {}),
+            clientName: call.clientName,
+            userType: call.userType
+        };
+        let reply;
+        try {
+            reply = renderTemplate(template, variables, `SMS reply ${replyName}`);
+        } catch (error) {
+            log.error('Error rendering SMS reply', { reply: replyName, error: error.message });
+            reply = renderTemplate(DEFAULT_REPLIES[replyName], variables);
+        }
+        return { action: outcome || 'help', reply };
+    }
+
+    return async (req, res) => {
+        const from = formatPhoneNumber(req.body.From, phoneConfig) || req.body.From;
+        const body = req.body.Body || '';
+        log.info('Inbound SMS', { from, sid: req.body.MessageSid, body });
+
+        let result;
+        try {
+            result = await handle({ from, to: req.body.To, body });
+        } catch (error) {
+            log.error('Error handling inbound SMS', { from, sid: req.body.MessageSid, error });
+            result = { action: 'error', reply: null, error: error.message };
+        }
+
+        callLog.recordMessage({
+            sid: req.body.MessageSid,
+            direction: 'inbound',
+            to: req.body.To,
+            from,
+            status: 'received',
+            error: result.error,
+            body,
+            action: result.action
+        });
+        res.type('text/xml').send(twiml(result.reply));
+    };
+}
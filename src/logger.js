@@ -0,0 +1,72 @@
+// Structured logging: every entry is one JSON line ({ time, level, msg, ...fields }) on stdout,
+// warnings and errors on stderr. Phone numbers and message bodies are redacted on the way out,
+// so fields can be logged as they are.
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Fields holding a phone number are masked to their last four digits
+const PHONE_FIELDS = ['phoneNumber', 'phone', 'to', 'from', 'recipient', 'To', 'From', 'Caller', 'Called'];
+// Fields holding what someone wrote (SMS bodies, agent notes, do-not-call reasons) are replaced by their length
+const TEXT_FIELDS = ['body', 'Body', 'smsBody', 'note', 'reason'];
+// Phone numbers inside messages and other strings: E.164 or a bare run of 7 to 15 digits, as
+// quoted back by PhoneNumberError for input without a "+"
+const PHONE_PATTERN = /\+?\b\d{7,15}\b/g;
+
+export function maskPhone(value) {
+    const digits = String(value).replace(/\D/g, '');
+    return digits.length > 4 ? `***${digits.slice(-4)}` : '***';
+}
+
+// Copy of a log field that is safe to write out
+export function redact(value, key = null, depth = 0) {
+    if (value === null || value === undefined) return value;
+    if (key && PHONE_FIELDS.includes(key) && typeof value === 'string') return maskPhone(value);
+    if (key && TEXT_FIELDS.includes(key) && typeof value === 'string') return `[${value.length} chars]`;
+    if (typeof value === 'string') return value.replace(PHONE_PATTERN, maskPhone);
+    if (value instanceof Error) {
+        return redact({
+            name: value.name,
+            message: value.message,
+            code: value.code,
+            status: value.status,
+            stack: value.stack
+        }, null, depth);
+    }
+    if (typeof value !== 'object') return value;
+    // Deeply nested payloads are summarized rather than walked
+    if (depth >= 4) return Array.isArray(value) ? `[${value.length} items]` : '[object]';
+    if (Array.isArray(value)) return value.map(item => redact(item, key, depth + 1));
+    return Object.fromEntries(Object.entries(value)
+        .filter(([, item]) => item !== undefined)
+        .map(([name, item]) => [name, redact(item, name, depth + 1)]));
+}
+
+function writeLine(level, line) {
+    (level === 'warn' || level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * `bindings` are added to every entry, e.g. the module or a call's correlationId; child()
+ * adds more. The level comes from LOG_LEVEL (debug, info, warn or error; info by default).
+ * An Error passed as `fields` is logged under `error`.
+ */
+export function createLogger({ bindings = {}, level, write = writeLine } = {}) {
+    const minimum = () => LOG_LEVELS.indexOf(level || process.env.LOG_LEVEL || 'info');
+
+    function log(entryLevel, msg, fields = {}) {
+        if (LOG_LEVELS.indexOf(entryLevel) < minimum()) return;
+        const extra = fields instanceof Error ? { error: fields } : fields;
+        const entry = redact({ time: new Date().toISOString(), level: entryLevel, msg, ...bindings, ...extra });
+        write(entryLevel, JSON.stringify(entry));
+    }
+
+    return {
+        debug: (msg, fields) => log('debug', msg, fields),
+        info: (msg, fields) => log('info', msg, fields),
+        warn: (msg, fields) => log('warn', msg, fields),
+        error: (msg, fields) => log('error', msg, fields),
+        child: more => createLogger({ bindings: { ...bindings, ...more }, level, write })
+    };
+}
+
+export const logger = createLogger();
@@ -0,0 +1,95 @@
+// In-process metrics served at /metrics in the Prometheus text format
+
+// Seconds; provider requests usually take tens to hundreds of milliseconds
+export const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Registry of counters and histograms. Series are keyed by their label values, which must be
+ * the metric's `labelNames`; a missing label is recorded as "none".
+ */
+export function createMetrics() {
+    const metrics = [];
+
+    function seriesKey(labelNames, labels) {
+        return JSON.stringify(labelNames.map(name => labels[name] ?? 'none'));
+    }
+
+    function labelsOf(labelNames, key) {
+        const values = JSON.parse(key);
+        return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+    }
+
+    function counter(name, help, { labelNames = [] } = {}) {
+        const series = new Map();
+        metrics.push({
+            name,
+            help,
+            type: 'counter',
+            lines: () => [...series].map(([key, value]) => `${name}${formatLabels(labelsOf(labelNames, key))} ${value}`)
+        });
+        return {
+            inc(labels = {}, amount = 1) {
+                const key = seriesKey(labelNames, labels);
+                series.set(key, (series.get(key) || 0) + amount);
+            },
+            get: (labels = {}) => series.get(seriesKey(labelNames, labels)) || 0
+        };
+    }
+
+    function histogram(name, help, { labelNames = [], buckets = LATENCY_BUCKETS } = {}) {
+        const series = new Map();
+        metrics.push({
+            name,
+            help,
+            type: 'histogram',
+            lines: () => [...series].flatMap(([key, { counts, sum, count }]) => {
+                const labels = labelsOf(labelNames, key);
+                return [
+                    ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+                    `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+                    `${name}_sum${formatLabels(labels)} ${sum}`,
+                    `${name}_count${formatLabels(labels)} ${count}`
+                ];
+            })
+        });
+        return {
+            observe(labels, value) {
+                const key = seriesKey(labelNames, labels);
+                if (!series.has(key)) {
+                    series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+                }
+                const entry = series.get(key);
+                buckets.forEach((bound, index) => {
+                    if (value <= bound) entry.counts[index] += 1;
+                });
+                entry.sum += value;
+                entry.count += 1;
+            }
+        };
+    }
+
+    function render() {
+        return metrics.map(({ name, help, type, lines }) => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} ${type}`,
+            ...lines()
+        ].join('\n')).join('\n') + '\n';
+    }
+
+    return { counter, histogram, render };
+}
+
+export function createMetricsHandler(metrics) {
+    return (req, res) => {
+        res.type('text/plain; version=0.0.4').send(metrics.render());
+    };
+}
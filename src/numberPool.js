@@ -0,0 +1,181 @@
+import express from 'express';
+import { parsePhoneNumberFromString } from 'libphonenumber-js/max';
+import { parseKeyList } from './auth.js';
+import { openJsonStore } from './store.js';
+import { logger } from './logger.js';
+
+// Caller ID pool: the Twilio numbers calls and texts go out from. Each recipient gets a number
+// from their own country, preferably sharing their area code, and within that the number used
+// least today, so no single number carries enough volume to be flagged as spam. Usage per
+// number and UTC day is kept in DATA_DIR/number-pool.json.
+
+const log = logger.child({ module: 'number-pool' });
+
+// Leading digits of the national number compared for local presence; the area code in the US and Canada
+const AREA_CODE_DIGITS = 3;
+
+export class NumberPoolError extends Error {
+    constructor(message, retryAt, reason = 'number-pool-exhausted') {
+        super(message);
+        this.name = 'NumberPoolError';
+        this.status = 429;
+        this.reason = reason;
+        // When the daily caps reset, so scheduled work can be put off until then
+        this.retryAt = retryAt;
+    }
+}
+
+function parseCap(value, label) {
+    const cap = Number(value);
+    if (!Number.isInteger(cap) || cap < 1) {
+        throw new Error(`${label} must be a positive integer`);
+    }
+    return cap;
+}
+
+/**
+ * TWILIO_NUMBER_POOL lists the numbers besides TWILIO_PHONE_NUMBER, comma-separated, each with
+ * an optional daily cap: "+12125550100,+639171230000:50". NUMBER_POOL_DAILY_CAP is the cap of
+ * numbers without their own; without either a number has no cap.
+ */
+export function loadNumberPoolConfig(env = process.env) {
+    const defaultCap = env.NUMBER_POOL_DAILY_CAP ? parseCap(env.NUMBER_POOL_DAILY_CAP, 'NUMBER_POOL_DAILY_CAP') : null;
+    const numbers = new Map();
+    for (const item of [env.TWILIO_PHONE_NUMBER, ...parseKeyList(env.TWILIO_NUMBER_POOL)].filter(Boolean)) {
+        const [number, cap] = item.split(':').map(part => part.trim());
+        const parsed = parsePhoneNumberFromString(number);
+        if (!parsed || parsed.number !== number) {
+            throw new Error(`TWILIO_NUMBER_POOL must list E.164 numbers such as +12125550100 (got ${number})`);
+        }
+        numbers.set(number, {
+            number,
+            country: parsed.country || null,
+            nationalNumber: parsed.nationalNumber,
+            dailyCap: cap ? parseCap(cap, `The daily cap of ${number}`) : numbers.get(number)?.dailyCap ?? defaultCap
+        });
+    }
+    return { numbers: [...numbers.values()] };
+}
+
+function sharedPrefixLength(a, b, max) {
+    let length = 0;
+    while (length < max && a[length] !== undefined && a[length] === b[length]) length++;
+    return length;
+}
+
+function nextUtcMidnight(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)).toISOString();
+}
+
+export function createNumberPool({
+    numbers,
+    dataDir,
+    store = openJsonStore('number-pool', { dir: dataDir, defaults: { day: null, usage: {} } }),
+    now = () => new Date()
+}) {
+    const { data } = store;
+
+    // Counts start over every UTC day
+    function today() {
+        const day = now().toISOString().slice(0, 10);
+        if (data.day !== day) {
+            data.day = day;
+            data.usage = {};
+            store.save();
+        }
+        return data.usage;
+    }
+
+    function usageOf(number) {
+        return today()[number] || { calls: 0, sms: 0, lastUsedAt: null };
+    }
+
+    function volume(number) {
+        const usage = usageOf(number);
+        return usage.calls + usage.sms;
+    }
+
+    function hasRoom(entry) {
+        return entry.dailyCap === null || volume(entry.number) < entry.dailyCap;
+    }
+
+    // 0 for another country, then one more for each leading digit of the area code in common
+    function localPresence(entry, recipient) {
+        if (!recipient || entry.country !== recipient.country) return 0;
+        return 1 + sharedPrefixLength(entry.nationalNumber, recipient.nationalNumber, AREA_CODE_DIGITS);
+    }
+
+    function record(number, channel) {
+        const usage = today();
+        const entry = usage[number] ||= { calls: 0, sms: 0, lastUsedAt: null };
+        entry[channel === 'sms' ? 'sms' : 'calls'] += 1;
+        entry.lastUsedAt = now().toISOString();
+        store.save();
+    }
+
+    /**
+     * The number to reach `to` from, counted against its cap right away so concurrent dials
+     * spread out. `number` is a caller ID picked explicitly, used as long as it has room (numbers
+     * outside the pool have no cap); `preferred` is used while it has room, e.g. the number a
+     * texted person already knows. Throws a NumberPoolError when the explicit number, or else
+     * every number, reached its cap.
+     */
+    function take(to, { channel = 'call', number = null, preferred = null } = {}) {
+        if (number) {
+            const entry = numbers.find(item => item.number === number);
+            if (entry && !hasRoom(entry)) {
+                log.warn('Caller ID reached its daily cap', { channel, number });
+                throw new NumberPoolError(`${number} reached its daily cap of ${entry.dailyCap}`, nextUtcMidnight(now()), 'caller-id-capped');
+            }
+            record(number, channel);
+            return number;
+        }
+
+        const candidates = numbers.filter(hasRoom);
+        if (candidates.length === 0) {
+            log.warn('Every number in the pool reached its daily cap', { channel, numbers: numbers.length });
+            throw new NumberPoolError('Every number in the caller ID pool reached its daily cap', nextUtcMidnight(now()));
+        }
+
+        const recipient = parsePhoneNumberFromString(to);
+        const chosen = candidates.find(entry => entry.number === preferred) || candidates
+            .map(entry => ({ entry, presence: localPresence(entry, recipient), volume: volume(entry.number), lastUsedAt: usageOf(entry.number).lastUsedAt || '' }))
+            // Most local first, then whichever carried the least today, then the longest unused
+            .sort((a, b) => b.presence - a.presence || a.volume - b.volume || a.lastUsedAt.localeCompare(b.lastUsedAt))[0].entry;
+
+        record(chosen.number, channel);
+        return chosen.number;
+    }
+
+    // Give back a take() whose call or SMS never went out, e.g. because Ultravox or Twilio failed
+    function release(number, channel = 'call') {
+        const usage = today()[number];
+        const field = channel === 'sms' ? 'sms' : 'calls';
+        if (!usage || usage[field] === 0) return;
+        usage[field] -= 1;
+        store.save();
+    }
+
+    function status() {
+        return {
+            day: now().toISOString().slice(0, 10),
+            numbers: numbers.map(({ number, country, dailyCap }) => {
+                const { calls, sms, lastUsedAt } = usageOf(number);
+                return { number, country, dailyCap, calls, sms, remaining: dailyCap === null ? null : Math.max(dailyCap - calls - sms, 0), lastUsedAt };
+            })
+        };
+    }
+
+    return { take, release, status, numbers: numbers.map(entry => entry.number) };
+}
+
+export function createNumberPoolRouter(pool) {
+    const router = express.Router();
+
+    // Today's volume and remaining capacity of each number
+    router.get('/', (req, res) => {
+        res.json(pool.status());
+    });
+
+    return router;
+}
@@ -0,0 +1,265 @@
+// Requests to Twilio, Ultravox and the CRM go through an outbound client per provider: every
+// request gets a timeout, rate limiting (429), server errors and dropped connections are retried
+// with exponential backoff, and a circuit breaker fails requests fast while the provider is down.
+
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'outbound' });
+
+// Failures the provider never acted on, so even a request that creates something can be repeated
+const NEVER_HANDLED_STATUSES = [429, 503];
+const NEVER_HANDLED_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+// Connection failures that may have happened after the request was sent
+const CONNECTION_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'UND_ERR_SOCKET'];
+
+export function loadOutboundPolicy(env = process.env) {
+    const policy = {
+        timeoutMs: Number(env.OUTBOUND_TIMEOUT_MS || 10000),
+        maxRetries: Number(env.OUTBOUND_MAX_RETRIES ?? 3),
+        retryDelayMs: Number(env.OUTBOUND_RETRY_DELAY_MS || 500),
+        maxRetryDelayMs: Number(env.OUTBOUND_MAX_RETRY_DELAY_MS || 8000),
+        failureThreshold: Number(env.CIRCUIT_FAILURE_THRESHOLD || 5),
+        resetMs: Number(env.CIRCUIT_RESET_MS || 30000)
+    };
+
+    if (!(policy.timeoutMs > 0)) {
+        throw new Error('OUTBOUND_TIMEOUT_MS must be a positive number of milliseconds');
+    }
+    if (!Number.isInteger(policy.maxRetries) || policy.maxRetries < 0) {
+        throw new Error('OUTBOUND_MAX_RETRIES must be a non-negative integer');
+    }
+    if (!(policy.retryDelayMs > 0) || !(policy.maxRetryDelayMs >= policy.retryDelayMs)) {
+        throw new Error('OUTBOUND_RETRY_DELAY_MS must be positive and OUTBOUND_MAX_RETRY_DELAY_MS at least as large');
+    }
+    if (!Number.isInteger(policy.failureThreshold) || policy.failureThreshold < 1 || !(policy.resetMs > 0)) {
+        throw new Error('CIRCUIT_FAILURE_THRESHOLD must be a positive integer and CIRCUIT_RESET_MS positive');
+    }
+    return policy;
+}
+
+export class OutboundError extends Error {
+    constructor(message, { provider, status = null, code = null, retryable = false, neverHandled = false, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'OutboundError';
+        this.provider = provider;
+        // The provider's HTTP status, if it answered
+        this.status = status;
+        this.code = code;
+        this.retryable = retryable;
+        this.neverHandled = neverHandled;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+export class CircuitOpenError extends OutboundError {
+    constructor(provider, retryAt) {
+        super(`${provider} is unavailable (circuit open until ${retryAt})`, {
+            provider,
+            status: 503,
+            code: 'CIRCUIT_OPEN',
+            retryable: true,
+            neverHandled: true
+        });
+        this.name = 'CircuitOpenError';
+        this.retryAt = retryAt;
+    }
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+    const at = new Date(value).getTime();
+    return Number.isNaN(at) ? null : Math.max(at - Date.now(), 0);
+}
+
+// How a failed attempt should be treated: errors from fetch, the Twilio SDK and our own timeouts
+function classify(error) {
+    if (error instanceof OutboundError) {
+        return error;
+    }
+    const status = error.status ?? error.statusCode;
+    if (typeof status === 'number') {
+        return {
+            retryable: status === 429 || status >= 500,
+            neverHandled: NEVER_HANDLED_STATUSES.includes(status),
+            retryAfterMs: null
+        };
+    }
+    const code = error.code || error.cause?.code;
+    return {
+        retryable: NEVER_HANDLED_CODES.includes(code) || CONNECTION_ERROR_CODES.includes(code),
+        neverHandled: NEVER_HANDLED_CODES.includes(code),
+        retryAfterMs: null
+    };
+}
+
+/**
+ * Circuit breaker for one provider. After `failureThreshold` failed requests in a row the
+ * circuit opens and requests fail fast for `resetMs`; then one trial request is let through
+ * (half-open) and its result closes or reopens the circuit. `onStateChange(listener)` is told
+ * about every transition, e.g. to replay work that failed while the provider was down.
+ */
+export function createCircuitBreaker({ name, failureThreshold, resetMs }) {
+    const listeners = new Set();
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = null;
+    let trialInFlight = false;
+
+    function setState(next) {
+        if (next === state) return;
+        const previous = state;
+        state = next;
+        log[next === 'open' ? 'warn' : 'info']('Circuit state changed', { provider: name, from: previous, to: next });
+        for (const listener of listeners) {
+            listener(next, previous);
+        }
+    }
+
+    function retryAt() {
+        return openedAt ? new Date(openedAt + resetMs).toISOString() : null;
+    }
+
+    function allowRequest() {
+        if (state === 'open' && Date.now() - openedAt >= resetMs) {
+            setState('half-open');
+        }
+        if (state === 'closed') return true;
+        if (state === 'half-open' && !trialInFlight) {
+            trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    function recordSuccess() {
+        failures = 0;
+        trialInFlight = false;
+        openedAt = null;
+        setState('closed');
+    }
+
+    function recordFailure() {
+        failures += 1;
+        trialInFlight = false;
+        if (state === 'half-open' || failures >= failureThreshold) {
+            openedAt = Date.now();
+            setState('open');
+        }
+    }
+
+    function onStateChange(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    return {
+        allowRequest,
+        recordSuccess,
+        recordFailure,
+        onStateChange,
+        retryAt,
+        status: () => ({ name, state, failures, retryAt: state === 'closed' ? null : retryAt() })
+    };
+}
+
+/**
+ * Outbound client for one provider. `run(operation)` calls `operation(signal)` with a timeout
+ * and retries; `fetch(url, options)` does the same for a fetch and returns the Response, which
+ * is only an error if retrying 429/5xx answers never succeeded.
+ *
+ * Requests that create something (placing a call, sending an SMS) pass `idempotent: false` and
+ * are only repeated when the provider certainly never handled them (429, 503, refused connection),
+ * so a timeout can't place the same call twice.
+ *
+ * `onAttempt({ provider, seconds, ok })` is told how long each attempt took, e.g. for
+ * latency metrics. A `log` in the run options (a child logger with the call's correlationId)
+ * is used for the retry warnings, and `maxRetries` lowers the policy's for one request.
+ */
+export function createOutboundClient({ provider, policy = loadOutboundPolicy({}), onAttempt = () => {} }) {
+    const breaker = createCircuitBreaker({ name: provider, failureThreshold: policy.failureThreshold, resetMs: policy.resetMs });
+
+    function attempt(operation) {
+        const controller = new AbortController();
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(new OutboundError(`${provider} request timed out after ${policy.timeoutMs}ms`, {
+                    provider,
+                    code: 'ETIMEDOUT',
+                    retryable: true
+                }));
+            }, policy.timeoutMs);
+        });
+        return Promise.race([operation(controller.signal), timeout]).finally(() => clearTimeout(timer));
+    }
+
+    async function run(operation, { idempotent = true, description = 'request', log: runLog = log, maxRetries = policy.maxRetries } = {}) {
+        if (!breaker.allowRequest()) {
+            throw new CircuitOpenError(provider, breaker.retryAt());
+        }
+
+        for (let retry = 0; ; retry++) {
+            const startedAt = performance.now();
+            const timed = ok => onAttempt({ provider, seconds: (performance.now() - startedAt) / 1000, ok });
+            try {
+                const result = await attempt(operation);
+                timed(true);
+                breaker.recordSuccess();
+                return result;
+            } catch (error) {
+                const failure = classify(error);
+                timed(false);
+                const canRetry = failure.retryable && (idempotent || failure.neverHandled) && retry < maxRetries;
+                if (!canRetry) {
+                    // An answer like 400 or 404 still means the provider is up
+                    if (failure.retryable) {
+                        breaker.recordFailure();
+                    } else {
+                        breaker.recordSuccess();
+                    }
+                    throw error;
+                }
+                const backoff = Math.min(policy.retryDelayMs * 2 ** retry, policy.maxRetryDelayMs);
+                // Jitter keeps a burst of failed requests from retrying in lockstep
+                const waitMs = failure.retryAfterMs ?? Math.round(backoff / 2 + Math.random() * backoff / 2);
+                runLog.warn('Provider request failed, retrying', {
+                    provider,
+                    request: description,
+                    error: error.message,
+                    retry: retry + 1,
+                    maxRetries,
+                    waitMs
+                });
+                await delay(Math.min(waitMs, policy.maxRetryDelayMs));
+            }
+        }
+    }
+
+    function fetchWithRetries(url, options = {}, runOptions = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        return run(async signal => {
+            const response = await fetch(url, { ...options, signal });
+            if (response.status === 429 || response.status >= 500) {
+                const text = await response.text().catch(() => '');
+                throw new OutboundError(`${provider} API error: ${response.status} ${response.statusText} - ${text}`, {
+                    provider,
+                    status: response.status,
+                    retryable: true,
+                    neverHandled: NEVER_HANDLED_STATUSES.includes(response.status),
+                    retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+                });
+            }
+            return response;
+        }, { idempotent: !['POST', 'PATCH'].includes(method), description: `${method} ${new URL(url).pathname}`, ...runOptions });
+    }
+
+    return { provider, run, fetch: fetchWithRetries, breaker, status: breaker.status };
+}
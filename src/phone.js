@@ -0,0 +1,107 @@
+import { isSupportedCountry, Metadata, parsePhoneNumberFromString } from 'libphonenumber-js/max';
+import { parseKeyList } from './auth.js';
+
+// E.164 parsing and validation on libphonenumber metadata. DEFAULT_PHONE_REGION is the
+// country assumed for numbers without a country code; SUPPORTED_COUNTRIES (optional,
+// comma-separated ISO codes) restricts which countries we will call or text.
+
+export function getDefaultRegion(env = process.env) {
+    return (env.DEFAULT_PHONE_REGION || 'US').toUpperCase();
+}
+
+export function getSupportedCountries(env = process.env) {
+    return parseKeyList(env.SUPPORTED_COUNTRIES).map(code => code.toUpperCase());
+}
+
+// The parsing options the app passes to every parsePhone call, read from its env
+export function loadPhoneConfig(env = process.env) {
+    return { defaultRegion: getDefaultRegion(env), supportedCountries: getSupportedCountries(env) };
+}
+
+// True for ISO 3166 country codes libphonenumber has metadata for, e.g. "US" or "PH"
+export function isValidRegion(region) {
+    return typeof region === 'string' && isSupportedCountry(region.toUpperCase());
+}
+
+export class PhoneNumberError extends Error {
+    constructor(message, reason, input) {
+        super(message);
+        this.name = 'PhoneNumberError';
+        this.reason = reason;
+        this.input = input;
+    }
+}
+
+function tryParse(text, region) {
+    const parsed = parsePhoneNumberFromString(text, region);
+    return parsed && parsed.isValid() ? parsed : null;
+}
+
+// Most digits a national number of the region is written with: its longest length plus the
+// trunk prefix it may start with (the "1" of 1-212-555-0101, the "0" of 0917 123 4567)
+function longestNationalLength(region) {
+    if (!isSupportedCountry(region)) return 0;
+    const metadata = new Metadata();
+    metadata.selectNumberingPlan(region);
+    const plan = metadata.numberingPlan;
+    return Math.max(...plan.possibleLengths()) + (plan.nationalPrefix() || '').length;
+}
+
+/**
+ * Parse a phone number for calling (purpose "call") or texting (purpose "sms").
+ * Returns { ok: true, e164, country, type } or { ok: false, reason, message } where
+ * reason is "missing", "invalid", "unsupported-country" or "landline". defaultRegion and
+ * supportedCountries default to DEFAULT_PHONE_REGION and SUPPORTED_COUNTRIES in process.env.
+ */
+export function parsePhone(input, { defaultRegion = getDefaultRegion(), supportedCountries = getSupportedCountries(), purpose = 'call' } = {}) {
+    const text = input === undefined || input === null ? '' : input.toString().trim();
+    if (!text) {
+        return { ok: false, reason: 'missing', message: 'Phone number is missing' };
+    }
+
+    // Numbers written with a country code but no "+" (e.g. 639171234567) are tried as international,
+    // but only when they are too long to be national: a mistyped 241 555 0101 must stay invalid
+    // rather than become a number in Gabon
+    const region = defaultRegion.toUpperCase();
+    const digits = text.replace(/\D/g, '');
+    const parsed = tryParse(text, region)
+        || (!text.startsWith('+') && digits.length > longestNationalLength(region) ? tryParse(`+${digits}`) : null);
+
+    if (!parsed) {
+        return {
+            ok: false,
+            reason: 'invalid',
+            message: `"${text}" is not a valid phone number (numbers without a country code are read as ${defaultRegion.toUpperCase()})`
+        };
+    }
+
+    if (supportedCountries.length > 0 && !supportedCountries.includes(parsed.country)) {
+        return {
+            ok: false,
+            reason: 'unsupported-country',
+            message: `Numbers in ${parsed.country || 'that country'} are not supported (supported: ${supportedCountries.join(', ')})`
+        };
+    }
+
+    const type = parsed.getType() || 'UNKNOWN';
+    if (purpose === 'sms' && type === 'FIXED_LINE') {
+        return { ok: false, reason: 'landline', message: `${parsed.number} is a landline and cannot receive SMS` };
+    }
+
+    return { ok: true, e164: parsed.number, country: parsed.country, type };
+}
+
+// E.164 string or null, for callers that only need a yes/no
+export function formatPhoneNumber(phoneNumber, options) {
+    const result = parsePhone(phoneNumber, options);
+    return result.ok ? result.e164 : null;
+}
+
+// E.164 string, or a PhoneNumberError explaining the rejection
+export function requirePhoneNumber(phoneNumber, options) {
+    const result = parsePhone(phoneNumber, options);
+    if (!result.ok) {
+        throw new PhoneNumberError(result.message, result.reason, phoneNumber);
+    }
+    return result.e164;
+}
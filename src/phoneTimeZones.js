@@ -0,0 +1,123 @@
+import { parsePhoneNumberFromString } from 'libphonenumber-js/max';
+
+// Which time zones a phone number's owner may be in, from its country and (for the
+// US and Canada) its area code. Mobile numbers travel, so this is a best guess; when a
+// number could be in several zones every one of them is returned and callers should
+// satisfy all of them.
+
+const NANP_AREA_CODES = {
+    'America/St_Johns': '709',
+    'America/Halifax': '428 506 782 902',
+    'America/New_York': `
+        202 203 207 212 215 216 220 223 226 229 234 239 240 248 249 252 260 263 267 269 272 276
+        283 289 301 302 304 305 313 315 317 321 324 326 330 332 336 339 343 347 351 352 354 365
+        367 380 382 386 401 404 407 410 412 413 416 418 419 423 434 436 437 438 440 443 445 448
+        450 463 468 470 472 475 478 484 502 508 513 514 516 517 518 519 540 548 551 561 567 570
+        571 574 579 581 582 585 586 603 606 607 609 610 613 614 616 617 631 640 645 646 647 656
+        667 678 679 680 681 683 689 703 704 705 706 716 717 718 724 727 728 732 734 740 742 743
+        753 754 757 762 765 770 771 772 774 781 786 802 803 804 810 812 813 814 819 826 828 835
+        838 839 843 845 848 854 856 857 859 860 862 863 864 865 873 878 904 905 908 910 912 914
+        917 919 929 930 934 937 941 942 943 947 948 954 959 973 978 980 984 989`,
+    'America/Chicago': `
+        204 205 210 214 217 218 219 224 225 228 251 254 256 262 270 274 281 306 308 309 312 314
+        316 318 319 320 325 327 331 334 337 346 361 364 402 405 409 414 417 430 431 447 464 469
+        479 501 504 507 512 515 531 534 539 557 563 572 573 580 601 605 608 612 615 618 620 629
+        630 636 639 641 651 659 660 662 682 701 708 712 713 715 726 731 737 763 769 773 779 785
+        806 815 816 817 830 832 847 870 872 901 903 913 918 920 931 936 938 940 945 952 956 972
+        975 979 985`,
+    'America/Denver': '208 303 307 368 385 403 406 435 505 575 587 719 720 780 801 825 915 970 983 986',
+    'America/Phoenix': '480 520 602 623 928',
+    'America/Los_Angeles': `
+        206 209 213 236 250 253 279 310 323 341 350 360 408 415 424 425 442 458 503 509 510 530
+        541 559 562 564 604 619 626 628 650 657 661 669 672 702 707 714 725 747 760 775 778 805
+        818 820 831 840 858 909 916 925 949 951 971`,
+    'America/Anchorage': '907',
+    'Pacific/Honolulu': '808'
+};
+
+const AREA_CODE_TIME_ZONES = new Map();
+for (const [timeZone, codes] of Object.entries(NANP_AREA_CODES)) {
+    for (const code of codes.trim().split(/\s+/)) {
+        AREA_CODE_TIME_ZONES.set(code, timeZone);
+    }
+}
+
+// Countries spanning several zones list all of them; area codes narrow the US and Canada
+const COUNTRY_TIME_ZONES = {
+    US: ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles'],
+    CA: ['America/Halifax', 'America/Toronto', 'America/Winnipeg', 'America/Edmonton', 'America/Vancouver'],
+    AU: ['Australia/Sydney', 'Australia/Adelaide', 'Australia/Perth'],
+    MX: ['America/Mexico_City', 'America/Cancun', 'America/Hermosillo', 'America/Tijuana'],
+    PH: ['Asia/Manila'],
+    GB: ['Europe/London'],
+    GG: ['Europe/London'],
+    JE: ['Europe/London'],
+    IM: ['Europe/London'],
+    IE: ['Europe/Dublin'],
+    FR: ['Europe/Paris'],
+    DE: ['Europe/Berlin'],
+    ES: ['Europe/Madrid'],
+    IT: ['Europe/Rome'],
+    NL: ['Europe/Amsterdam'],
+    BE: ['Europe/Brussels'],
+    CH: ['Europe/Zurich'],
+    AT: ['Europe/Vienna'],
+    SE: ['Europe/Stockholm'],
+    NO: ['Europe/Oslo'],
+    DK: ['Europe/Copenhagen'],
+    FI: ['Europe/Helsinki'],
+    PL: ['Europe/Warsaw'],
+    PT: ['Europe/Lisbon'],
+    GR: ['Europe/Athens'],
+    IN: ['Asia/Kolkata'],
+    SG: ['Asia/Singapore'],
+    MY: ['Asia/Kuala_Lumpur'],
+    TH: ['Asia/Bangkok'],
+    VN: ['Asia/Ho_Chi_Minh'],
+    HK: ['Asia/Hong_Kong'],
+    CN: ['Asia/Shanghai'],
+    JP: ['Asia/Tokyo'],
+    KR: ['Asia/Seoul'],
+    AE: ['Asia/Dubai'],
+    SA: ['Asia/Riyadh'],
+    IL: ['Asia/Jerusalem'],
+    ZA: ['Africa/Johannesburg'],
+    NG: ['Africa/Lagos'],
+    KE: ['Africa/Nairobi'],
+    NZ: ['Pacific/Auckland'],
+    PR: ['America/Puerto_Rico'],
+    DO: ['America/Santo_Domingo'],
+    JM: ['America/Jamaica'],
+    CO: ['America/Bogota'],
+    PE: ['America/Lima'],
+    AR: ['America/Argentina/Buenos_Aires'],
+    CL: ['America/Santiago']
+};
+
+// Australian landlines carry their state in the area code; mobiles (04) don't
+const AU_AREA_CODE_TIME_ZONES = {
+    2: 'Australia/Sydney',
+    3: 'Australia/Melbourne',
+    7: 'Australia/Brisbane'
+};
+
+/**
+ * Time zones for an E.164 number: { country, timeZones } where timeZones is empty
+ * when we have no idea (an unknown country).
+ */
+export function getPhoneTimeZones(phoneNumber) {
+    const parsed = parsePhoneNumberFromString(phoneNumber || '');
+    const country = parsed?.country || null;
+    const nationalNumber = parsed?.nationalNumber || '';
+
+    if (country === 'US' || country === 'CA') {
+        const timeZone = AREA_CODE_TIME_ZONES.get(nationalNumber.slice(0, 3));
+        if (timeZone) {
+            return { country, timeZones: [timeZone] };
+        }
+    }
+    if (country === 'AU' && AU_AREA_CODE_TIME_ZONES[nationalNumber[0]]) {
+        return { country, timeZones: [AU_AREA_CODE_TIME_ZONES[nationalNumber[0]]] };
+    }
+    return { country, timeZones: COUNTRY_TIME_ZONES[country] || [] };
+}
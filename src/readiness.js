@@ -0,0 +1,110 @@
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'readiness' });
+
+export function loadReadinessConfig(env = process.env) {
+    const config = {
+        cacheMs: Number(env.READINESS_CACHE_SECONDS || 30) * 1000,
+        timeoutMs: Number(env.READINESS_TIMEOUT_MS || 5000)
+    };
+    if (!(config.cacheMs >= 0)) {
+        throw new Error('READINESS_CACHE_SECONDS must be a non-negative number of seconds');
+    }
+    if (!(config.timeoutMs > 0)) {
+        throw new Error('READINESS_TIMEOUT_MS must be a positive number of milliseconds');
+    }
+    return config;
+}
+
+function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Checks the dependencies a working deployment needs. `checks` maps a dependency name to
+ * `{ run, critical = true }`; run() resolves to details worth showing or throws. The service
+ * is "ready" when every check passes, "degraded" when only non-critical ones fail and
+ * "not-ready" otherwise.
+ *
+ * Results are cached for `cacheMs` so a health check polled every few seconds doesn't become
+ * a stream of requests to Twilio and Ultravox; concurrent callers share one round of checks.
+ */
+export function createReadinessChecker({ checks, cacheMs = 30000, timeoutMs = 5000 }) {
+    let last = null;
+    let pending = null;
+
+    async function runCheck(name, { run, critical = true }) {
+        const startedAt = performance.now();
+        try {
+            const details = await withTimeout(Promise.resolve().then(run), timeoutMs);
+            return { status: 'ok', critical, latencyMs: Math.round(performance.now() - startedAt), ...details };
+        } catch (error) {
+            return { status: 'failed', critical, latencyMs: Math.round(performance.now() - startedAt), error: error.message };
+        }
+    }
+
+    async function runAll() {
+        const names = Object.keys(checks);
+        const results = await Promise.all(names.map(name => runCheck(name, checks[name])));
+        const dependencies = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+        const failed = results.filter(result => result.status === 'failed');
+        const status = failed.some(result => result.critical) ? 'not-ready' : failed.length ? 'degraded' : 'ready';
+        // Only transitions are worth an entry, not every poll
+        for (const [name, result] of Object.entries(dependencies)) {
+            const previous = last?.dependencies[name]?.status;
+            if (result.status !== previous && (previous || result.status === 'failed')) {
+                log[result.status === 'failed' ? 'warn' : 'info']('Dependency check changed', { dependency: name, status: result.status, error: result.error });
+            }
+        }
+        return { status, checkedAt: new Date().toISOString(), dependencies };
+    }
+
+    // `refresh` skips the cache, e.g. right after fixing a credential
+    async function check({ refresh = false } = {}) {
+        if (!refresh && last && Date.now() - Date.parse(last.checkedAt) < cacheMs) {
+            return { ...last, cached: true };
+        }
+        pending ||= runAll().then(result => {
+            last = result;
+            return result;
+        }).finally(() => {
+            pending = null;
+        });
+        return { ...(await pending), cached: false };
+    }
+
+    return { check };
+}
+
+// What an unauthenticated caller sees: the verdict per dependency, not error messages or account details
+function summarize(result) {
+    return {
+        status: result.status,
+        checkedAt: result.checkedAt,
+        cached: result.cached,
+        dependencies: Object.fromEntries(Object.entries(result.dependencies)
+            .map(([name, { status, critical }]) => [name, { status, critical }]))
+    };
+}
+
+/**
+ * Answers 200 while calls can be placed (ready or degraded) and 503 otherwise, for load balancers
+ * and deploy health checks. With `details` the response adds latencies and errors and
+ * ?refresh=true skips the cache; serve that one behind the API key.
+ */
+export function createReadinessHandler(checker, { details = false } = {}) {
+    return async (req, res) => {
+        try {
+            const result = await checker.check({ refresh: details && req.query.refresh === 'true' });
+            res.status(result.status === 'not-ready' ? 503 : 200).json(details ? result : summarize(result));
+        } catch (error) {
+            log.error('Error checking readiness', error);
+            res.status(503).json({ status: 'not-ready' });
+        }
+    };
+}
@@ -0,0 +1,259 @@
+import express from 'express';
+import { openJsonStore } from './store.js';
+import { isValidTimeZone, MAX_TIMER_MS, nextTimeInWindow, parseClockTime } from './time.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'retries' });
+
+// Call outcomes that earn another attempt
+export const RETRYABLE_OUTCOMES = ['busy', 'no-answer', 'failed', 'left-message', 'call-back-later'];
+
+export function loadRetryPolicy(env = process.env) {
+    const policy = {
+        maxAttempts: Number(env.RETRY_MAX_ATTEMPTS || 3),
+        backoffMinutes: Number(env.RETRY_BACKOFF_MINUTES || 30),
+        backoffMultiplier: Number(env.RETRY_BACKOFF_MULTIPLIER || 2),
+        window: {
+            start: env.RETRY_WINDOW_START || '09:00',
+            end: env.RETRY_WINDOW_END || '20:00',
+            timeZone: env.RETRY_WINDOW_TIMEZONE || 'America/New_York'
+        }
+    };
+
+    if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+        throw new Error('RETRY_MAX_ATTEMPTS must be a positive integer');
+    }
+    if (!(policy.backoffMinutes >= 0) || !(policy.backoffMultiplier >= 1)) {
+        throw new Error('RETRY_BACKOFF_MINUTES must be >= 0 and RETRY_BACKOFF_MULTIPLIER >= 1');
+    }
+    const start = parseClockTime(policy.window.start);
+    const end = parseClockTime(policy.window.end);
+    if (start === null || end === null || start >= end) {
+        throw new Error('RETRY_WINDOW_START and RETRY_WINDOW_END must be HH:MM with start before end');
+    }
+    if (!isValidTimeZone(policy.window.timeZone)) {
+        throw new Error(`Unknown RETRY_WINDOW_TIMEZONE: ${policy.window.timeZone}`);
+    }
+    return policy;
+}
+
+// Classify a CRM tag written by the agent into a retry decision
+export function classifyTag(tag) {
+    if (!tag) return null;
+    const value = tag.toLowerCase();
+    if (value.includes('confirm-yes') || value.includes('confirm-no')) return 'confirmed';
+    if (value.includes('left-message')) return 'left-message';
+    return null;
+}
+
+/**
+ * Tracks call attempts per phone number and re-dials contacts whose calls ended
+ * busy, unanswered, failed or in voicemail until they confirm or run out of attempts.
+ * `redial(entry)` is called when a retry falls due. Retry state is kept in
+ * DATA_DIR/retries.json and start() re-arms the retries scheduled before a restart.
+ */
+export function createRetryScheduler({
+    redial,
+    policy,
+    dataDir,
+    store = openJsonStore('retries', { dir: dataDir, defaults: { retries: {} } })
+}) {
+    // phoneNumber -> retry state; without a prototype so any number from a URL is safe to look up
+    const entries = store.data.retries = Object.assign(Object.create(null), store.data.retries);
+    const timers = new Map();
+
+    function clearTimer(phoneNumber) {
+        clearTimeout(timers.get(phoneNumber));
+        timers.delete(phoneNumber);
+    }
+
+    function computeNextAttempt(attempts, now = new Date()) {
+        const delayMinutes = policy.backoffMinutes * Math.pow(policy.backoffMultiplier, attempts - 1);
+        return nextTimeInWindow(new Date(now.getTime() + delayMinutes * 60000), policy.window);
+    }
+
+    // Called whenever a call is placed; a non-retry call starts a fresh series
+    function recordAttempt({
+        phoneNumber,
+        clientName,
+        userType,
+        campaignId = null,
+        contactId = null,
+        scriptId,
+        scriptVersion,
+        eventId,
+        variables,
+        agent,
+        isRetry = false
+    }) {
+        let entry = entries[phoneNumber];
+        if (!entry || !isRetry) {
+            clearTimer(phoneNumber);
+            entry = {
+                phoneNumber,
+                attempts: 0,
+                status: 'active',
+                nextAttemptAt: null,
+                lastOutcome: null,
+                history: []
+            };
+            entries[phoneNumber] = entry;
+        }
+        Object.assign(entry, { clientName, userType, campaignId, contactId, scriptId, scriptVersion, eventId, variables, agent });
+        entry.attempts++;
+        entry.status = 'active';
+        entry.nextAttemptAt = null;
+        entry.history.push({ event: 'attempt', attempt: entry.attempts, at: new Date().toISOString() });
+        store.save();
+        return entry;
+    }
+
+    function handleOutcome(phoneNumber, outcome) {
+        const entry = entries[phoneNumber];
+        if (!entry) return null;
+        entry.history.push({ event: 'outcome', outcome, at: new Date().toISOString() });
+        store.save();
+
+        if (outcome === 'confirmed') {
+            return stop(phoneNumber, 'confirmed');
+        }
+        if (!RETRYABLE_OUTCOMES.includes(outcome)) {
+            return entry;
+        }
+        entry.lastOutcome = outcome;
+
+        // Busy and then left-message for the same call should only schedule once
+        if (entry.status === 'scheduled' || entry.status === 'stopped') {
+            return entry;
+        }
+        if (entry.attempts >= policy.maxAttempts) {
+            entry.status = 'exhausted';
+            log.info('No retries left', { phoneNumber, attempts: entry.attempts });
+            return entry;
+        }
+
+        const nextAttemptAt = computeNextAttempt(entry.attempts);
+        schedule(entry, nextAttemptAt);
+        log.info('Retry scheduled', {
+            phoneNumber,
+            attempt: entry.attempts + 1,
+            maxAttempts: policy.maxAttempts,
+            at: entry.nextAttemptAt,
+            outcome
+        });
+        return entry;
+    }
+
+    function schedule(entry, at) {
+        entry.status = 'scheduled';
+        entry.nextAttemptAt = at.toISOString();
+        store.save();
+        arm(entry.phoneNumber);
+    }
+
+    // Wake up when the retry falls due; far-off retries wake up early and re-arm
+    function arm(phoneNumber) {
+        clearTimer(phoneNumber);
+        const delay = new Date(entries[phoneNumber].nextAttemptAt).getTime() - Date.now();
+        const timer = setTimeout(() => {
+            timers.delete(phoneNumber);
+            if (delay > MAX_TIMER_MS) {
+                if (entries[phoneNumber]?.status === 'scheduled') arm(phoneNumber);
+                return;
+            }
+            fire(phoneNumber);
+        }, Math.min(Math.max(delay, 0), MAX_TIMER_MS));
+        // Pending retries alone shouldn't keep the process alive
+        timer.unref();
+        timers.set(phoneNumber, timer);
+    }
+
+    async function fire(phoneNumber) {
+        timers.delete(phoneNumber);
+        const entry = entries[phoneNumber];
+        if (!entry || entry.status !== 'scheduled') return;
+
+        entry.status = 'dialing';
+        entry.nextAttemptAt = null;
+        store.save();
+        const attemptsBefore = entry.attempts;
+        try {
+            await redial({ ...entry });
+        } catch (error) {
+            log.error('Retry failed', { phoneNumber, error: error.message });
+            entry.history.push({ event: 'retry-error', error: error.message, at: new Date().toISOString() });
+            store.save();
+            // Outside the recipient's calling hours: try again when they open, without using up an attempt
+            if (error.retryAt && entry.attempts === attemptsBefore) {
+                schedule(entry, new Date(error.retryAt));
+                log.info('Retry deferred', { phoneNumber, at: entry.nextAttemptAt });
+                return;
+            }
+            // Only schedule again if the failure used up an attempt, otherwise we would loop forever
+            if (entry.attempts > attemptsBefore) {
+                handleOutcome(phoneNumber, 'failed');
+            } else {
+                stop(phoneNumber, `retry failed: ${error.message}`);
+            }
+        }
+    }
+
+    function stop(phoneNumber, reason) {
+        const entry = entries[phoneNumber];
+        if (!entry) return null;
+        clearTimer(phoneNumber);
+        entry.status = 'stopped';
+        entry.stopReason = reason;
+        entry.nextAttemptAt = null;
+        store.save();
+        log.info('Retries stopped', { phoneNumber, stopReason: reason });
+        return entry;
+    }
+
+    // Pick up the retries scheduled before a restart; those that fell due meanwhile are dialed now
+    function start() {
+        for (const entry of Object.values(entries)) {
+            if (entry.status === 'dialing') {
+                // The redial may have placed a call already; not dialed again to avoid a duplicate
+                stop(entry.phoneNumber, 'interrupted by a restart while dialing');
+            } else if (entry.status === 'scheduled') {
+                arm(entry.phoneNumber);
+            }
+        }
+    }
+
+    function stopTimers() {
+        for (const phoneNumber of timers.keys()) {
+            clearTimer(phoneNumber);
+        }
+    }
+
+    return {
+        policy,
+        recordAttempt,
+        handleOutcome,
+        stop,
+        start,
+        stopTimers,
+        get: phoneNumber => entries[phoneNumber] || null,
+        list: () => Object.values(entries)
+    };
+}
+
+export function createRetryRouter(scheduler) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        res.json({ policy: scheduler.policy, retries: scheduler.list() });
+    });
+
+    router.delete('/:phoneNumber', (req, res) => {
+        const entry = scheduler.stop(req.params.phoneNumber, 'cancelled');
+        if (!entry) {
+            return res.status(404).json({ error: 'No retry state for that phone number' });
+        }
+        res.json(entry);
+    });
+
+    return router;
+}
@@ -0,0 +1,253 @@
+import crypto from 'node:crypto';
+import express from 'express';
+import { openJsonStore } from './store.js';
+import { isValidTimeZone, MAX_TIMER_MS, zonedTimeToDate } from './time.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'scheduler' });
+
+const LOCAL_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/;
+
+export const JOB_STATUSES = ['scheduled', 'running', 'done', 'failed', 'expired', 'cancelled'];
+
+export class JobError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'JobError';
+        this.status = status;
+    }
+}
+
+// "2025-05-20T08:00" in a time zone, or an absolute ISO timestamp
+export function resolveRunAt({ runAt, localTime, timeZone }) {
+    if (localTime) {
+        const match = LOCAL_TIME_PATTERN.exec(localTime);
+        if (!match) {
+            throw new JobError('localTime must look like 2025-05-20T08:00');
+        }
+        if (!isValidTimeZone(timeZone || '')) {
+            throw new JobError(`Unknown timeZone for localTime: ${timeZone}`);
+        }
+        const [, year, month, day, hour, minute] = match.map(Number);
+        return zonedTimeToDate({ year, month, day, hour, minute }, timeZone);
+    }
+    const date = new Date(runAt);
+    if (!runAt || Number.isNaN(date.getTime())) {
+        throw new JobError('runAt must be an ISO timestamp, or give localTime (with the recipient\'s timeZone)');
+    }
+    return date;
+}
+
+/**
+ * Persistent scheduler for calls and SMS at a future moment. Jobs are stored in
+ * DATA_DIR/jobs.json; jobs that fell due while the process was down run on startup.
+ * A job is written as "running" before its handler starts, so a crash mid-run leaves
+ * it failed ("interrupted") rather than running it a second time.
+ *
+ * `handlers` maps a job type to { validate(payload) -> payload, run(payload, job) }.
+ * `run` may throw an error with a `retryAt` to put the job off until then.
+ */
+export function createJobScheduler({ handlers, dataDir, store = openJsonStore('jobs', { dir: dataDir, defaults: { jobs: [] } }) }) {
+    const { jobs } = store.data;
+    let timer = null;
+    // True while due jobs are being run; arming waits until they are done
+    let draining = false;
+
+    function now() {
+        return new Date().toISOString();
+    }
+
+    function persist() {
+        store.save();
+        store.flush();
+    }
+
+    function finish(job, status, fields = {}) {
+        Object.assign(job, { status, finishedAt: now(), ...fields });
+        persist();
+    }
+
+    async function run(job) {
+        // Cancelled while waiting behind other due jobs
+        if (job.status !== 'scheduled') return;
+        if (job.notAfter && Date.now() > new Date(job.notAfter).getTime()) {
+            log.info('Job expired', { jobId: job.id, type: job.type, runAt: job.runAt, notAfter: job.notAfter });
+            return finish(job, 'expired');
+        }
+
+        job.status = 'running';
+        job.startedAt = now();
+        job.attempts = (job.attempts || 0) + 1;
+        persist();
+        log.info('Running job', { jobId: job.id, type: job.type, runAt: job.runAt });
+
+        try {
+            const result = await handlers[job.type].run(job.payload, job);
+            finish(job, 'done', { result: result ?? null, error: null });
+        } catch (error) {
+            if (error.retryAt) {
+                log.info('Job deferred', { jobId: job.id, type: job.type, retryAt: error.retryAt, error: error.message });
+                Object.assign(job, { status: 'scheduled', runAt: error.retryAt, error: error.message });
+                persist();
+            } else {
+                log.error('Job failed', { jobId: job.id, type: job.type, error: error.message });
+                finish(job, 'failed', { error: error.message });
+            }
+        }
+    }
+
+    function runDue() {
+        timer = null;
+        draining = true;
+        const due = jobs.filter(job => job.status === 'scheduled' && new Date(job.runAt).getTime() <= Date.now());
+        // Run one after another so a burst of due calls doesn't hit Twilio all at once
+        due.reduce((chain, job) => chain.then(() => run(job)), Promise.resolve())
+            .catch(error => log.error('Error running scheduled jobs', error))
+            .finally(() => {
+                draining = false;
+                arm();
+            });
+    }
+
+    // Wake up for the next due job
+    function arm() {
+        if (draining) return;
+        clearTimeout(timer);
+        timer = null;
+        const next = jobs
+            .filter(job => job.status === 'scheduled')
+            .reduce((earliest, job) => Math.min(earliest, new Date(job.runAt).getTime()), Infinity);
+        if (next === Infinity) return;
+        timer = setTimeout(runDue, Math.min(Math.max(next - Date.now(), 0), MAX_TIMER_MS));
+        timer.unref();
+    }
+
+    function schedule({ type, runAt, localTime, timeZone, notAfter, ...payload }) {
+        const handler = handlers[type];
+        if (!handler) {
+            throw new JobError(`type must be one of: ${Object.keys(handlers).join(', ')}`);
+        }
+        const validated = handler.validate(payload);
+        const zone = timeZone || validated.timeZone;
+        const at = resolveRunAt({ runAt, localTime, timeZone: zone });
+        if (notAfter !== undefined && Number.isNaN(new Date(notAfter).getTime())) {
+            throw new JobError('notAfter must be an ISO timestamp');
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            runAt: at.toISOString(),
+            timeZone: zone || null,
+            notAfter: notAfter ? new Date(notAfter).toISOString() : null,
+            payload: validated,
+            status: 'scheduled',
+            attempts: 0,
+            result: null,
+            error: null,
+            createdAt: now(),
+            startedAt: null,
+            finishedAt: null
+        };
+        jobs.push(job);
+        persist();
+        log.info('Scheduled job', { jobId: job.id, type, runAt: job.runAt });
+        arm();
+        return job;
+    }
+
+    function get(id) {
+        const job = jobs.find(j => j.id === id);
+        if (!job) {
+            throw new JobError('Job not found', 404);
+        }
+        return job;
+    }
+
+    function cancel(id) {
+        const job = get(id);
+        if (job.status !== 'scheduled') {
+            throw new JobError(`Cannot cancel a ${job.status} job`, 409);
+        }
+        finish(job, 'cancelled');
+        arm();
+        return job;
+    }
+
+    function list({ status, type } = {}) {
+        return jobs
+            .filter(job => (!status || job.status === status) && (!type || job.type === type))
+            .sort((a, b) => a.runAt.localeCompare(b.runAt));
+    }
+
+    // Pick up where the last process left off
+    function start() {
+        for (const job of jobs) {
+            if (job.status === 'running') {
+                job.status = 'failed';
+                job.error = 'Interrupted by a restart while running; not run again to avoid a duplicate';
+                job.finishedAt = now();
+            }
+        }
+        persist();
+        const overdue = jobs.filter(job => job.status === 'scheduled' && new Date(job.runAt).getTime() <= Date.now());
+        if (overdue.length > 0) {
+            log.info('Running jobs that fell due while stopped', { count: overdue.length });
+        }
+        runDue();
+    }
+
+    function stop() {
+        clearTimeout(timer);
+        timer = null;
+    }
+
+    return { schedule, get, cancel, list, start, stop };
+}
+
+function sendError(res, error) {
+    if (error instanceof JobError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    log.error('Error in job route', error);
+    res.status(500).json({ error: 'Job request failed', message: error.message });
+}
+
+export function createJobRouter(scheduler) {
+    const router = express.Router();
+
+    router.post('/', (req, res) => {
+        try {
+            res.status(201).json(scheduler.schedule(req.body || {}));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.get('/', (req, res) => {
+        const { status, type } = req.query;
+        if (status && !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+        }
+        const jobs = scheduler.list({ status, type });
+        res.json({ count: jobs.length, jobs });
+    });
+
+    router.get('/:id', (req, res) => {
+        try {
+            res.json(scheduler.get(req.params.id));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.delete('/:id', (req, res) => {
+        try {
+            res.json(scheduler.cancel(req.params.id));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+}
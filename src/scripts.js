@@ -0,0 +1,294 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import express from 'express';
+import { logger } from './logger.js';
+
+// Call scripts live in <SCRIPTS_DIR>/<scriptId>/v<version>.md. Each file has a front
+// matter block (name, event, variables, defaults, agent) followed by the prompt template. Templates use
+// {{variable}} placeholders and {{#branch VIP, ...}}...{{/branch}} blocks selected by userType;
+// a {{#branch default}} block is used when no other branch matches.
+
+const log = logger.child({ module: 'scripts' });
+
+const DEFAULT_SCRIPTS_DIR = fileURLToPath(new URL('../scripts', import.meta.url));
+const SCRIPT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const VERSION_FILE_PATTERN = /^v(\d+)\.md$/;
+const BRANCH_PATTERN = /\{\{#branch\s+([^}]+)\}\}\n?([\s\S]*?)\{\{\/branch\}\}\n?/g;
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w.]*)\s*\}\}/g;
+
+export class ScriptError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'ScriptError';
+        this.status = status;
+        Object.assign(this, details);
+    }
+}
+
+function parseFrontMatterValue(value) {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        return JSON.parse(trimmed);
+    }
+    return trimmed;
+}
+
+export function parseScriptFile(text) {
+    const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/.exec(text);
+    if (!match) {
+        throw new ScriptError('Script file must start with a --- front matter block');
+    }
+
+    const meta = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        if (!line.trim() || line.trim().startsWith('#')) continue;
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            throw new ScriptError(`Invalid front matter line: ${line}`);
+        }
+        try {
+            meta[line.slice(0, separator).trim()] = parseFrontMatterValue(line.slice(separator + 1));
+        } catch (error) {
+            throw new ScriptError(`Invalid front matter value for ${line.slice(0, separator).trim()}: ${error.message}`);
+        }
+    }
+
+    return {
+        name: meta.name || '',
+        event: meta.event || null,
+        variables: Array.isArray(meta.variables) ? meta.variables : [],
+        defaults: meta.defaults && typeof meta.defaults === 'object' ? meta.defaults : {},
+        // Agent settings (voice, model, ...) for calls with this script
+        agent: meta.agent && typeof meta.agent === 'object' ? meta.agent : {},
+        template: match[2]
+    };
+}
+
+export function serializeScript({ name, event, variables, defaults, agent, template }) {
+    return [
+        '---',
+        `name: ${name || ''}`,
+        ...(event ? [`event: ${event}`] : []),
+        `variables: ${JSON.stringify(variables || [])}`,
+        `defaults: ${JSON.stringify(defaults || {})}`,
+        ...(agent && Object.keys(agent).length > 0 ? [`agent: ${JSON.stringify(agent)}`] : []),
+        '---',
+        template
+    ].join('\n');
+}
+
+// Check the template's branch blocks are balanced and return the variables it references
+export function validateTemplate(template) {
+    const opens = (template.match(/\{\{#branch\b/g) || []).length;
+    const closes = (template.match(/\{\{\/branch\}\}/g) || []).length;
+    if (opens !== closes) {
+        throw new ScriptError('Template has unbalanced {{#branch}} / {{/branch}} blocks');
+    }
+    const withoutBranches = template.replace(BRANCH_PATTERN, '');
+    if (withoutBranches.includes('{{#branch') || withoutBranches.includes('{{/branch}}')) {
+        throw new ScriptError('Branch blocks cannot be nested');
+    }
+    return [...new Set([...template.matchAll(VARIABLE_PATTERN)].map(m => m[1]))];
+}
+
+function selectBranches(template, userType) {
+    const wanted = (userType || '').toLowerCase();
+    let matched = false;
+    for (const branch of template.matchAll(BRANCH_PATTERN)) {
+        const names = branch[1].split(',').map(n => n.trim().toLowerCase());
+        if (names.includes(wanted)) matched = true;
+    }
+
+    return template.replace(BRANCH_PATTERN, (block, names, body) => {
+        const list = names.split(',').map(n => n.trim().toLowerCase());
+        const include = matched ? list.includes(wanted) : list.includes('default');
+        return include ? body : '';
+    });
+}
+
+function lookup(variables, name) {
+    return name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables);
+}
+
+function renderText(template, values, declared, label) {
+    const text = selectBranches(template, values.userType);
+    const referenced = [...new Set([...text.matchAll(VARIABLE_PATTERN)].map(m => m[1]))];
+    const required = [...new Set([...declared, ...referenced])];
+
+    const missing = required.filter(name => {
+        const value = lookup(values, name);
+        return value === undefined || value === null || value === '';
+    });
+    if (missing.length > 0) {
+        throw new ScriptError(`${label} is missing variables: ${missing.join(', ')}`, 400, { missing });
+    }
+
+    return text.replace(VARIABLE_PATTERN, (placeholder, name) => String(lookup(values, name)));
+}
+
+/**
+ * Render a script for one call. Throws a ScriptError listing every declared or
+ * referenced variable that has no value, so no call is placed with a broken prompt.
+ */
+export function renderScript(script, variables) {
+    const values = { ...script.defaults, ...variables };
+    return renderText(script.template, values, script.variables, `Script ${script.id} v${script.version}`);
+}
+
+// Render a short template outside a script (e.g. an SMS reply) with the same placeholder and branch syntax
+export function renderTemplate(template, variables, label = 'Template') {
+    return renderText(template, variables, [], label);
+}
+
+// `validateAgent(agent)` checks a script's agent settings before it is saved and returns them normalized
+export function createScriptStore({ dir = DEFAULT_SCRIPTS_DIR, validateAgent = agent => agent } = {}) {
+    function scriptDir(id) {
+        if (!SCRIPT_ID_PATTERN.test(id || '')) {
+            throw new ScriptError(`Invalid script ID: ${id}`);
+        }
+        return path.join(dir, id);
+    }
+
+    async function listVersions(id) {
+        try {
+            const files = await fs.readdir(scriptDir(id));
+            return files
+                .map(file => VERSION_FILE_PATTERN.exec(file))
+                .filter(Boolean)
+                .map(match => Number(match[1]))
+                .sort((a, b) => a - b);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async function getScript(id, version) {
+        const versions = await listVersions(id);
+        if (versions.length === 0) {
+            throw new ScriptError(`Script not found: ${id}`, 404);
+        }
+        const selected = version ? Number(version) : versions[versions.length - 1];
+        if (!versions.includes(selected)) {
+            throw new ScriptError(`Script ${id} has no version ${version}`, 404);
+        }
+
+        const text = await fs.readFile(path.join(scriptDir(id), `v${selected}.md`), 'utf8');
+        return { id, version: selected, versions, ...parseScriptFile(text) };
+    }
+
+    async function listScripts() {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const scripts = [];
+        for (const entry of entries) {
+            if (!entry.isDirectory() || !SCRIPT_ID_PATTERN.test(entry.name)) continue;
+            const versions = await listVersions(entry.name);
+            if (versions.length === 0) continue;
+            const latest = await getScript(entry.name);
+            scripts.push({ id: entry.name, name: latest.name, latestVersion: latest.version, versions });
+        }
+        return scripts;
+    }
+
+    // Scripts are never edited in place; saving always writes the next version
+    async function saveScript(id, { name, event = null, variables = [], defaults = {}, agent = {}, template }) {
+        if (typeof template !== 'string' || !template.trim()) {
+            throw new ScriptError('template is required');
+        }
+        if (!Array.isArray(variables) || variables.some(v => typeof v !== 'string')) {
+            throw new ScriptError('variables must be a list of variable names');
+        }
+        if (!defaults || typeof defaults !== 'object' || Array.isArray(defaults)) {
+            throw new ScriptError('defaults must be an object');
+        }
+        validateTemplate(template);
+        let agentSettings;
+        try {
+            agentSettings = validateAgent(agent || {});
+        } catch (error) {
+            throw new ScriptError(error.message);
+        }
+
+        const versions = await listVersions(id);
+        const version = (versions[versions.length - 1] || 0) + 1;
+        await fs.mkdir(scriptDir(id), { recursive: true });
+        await fs.writeFile(
+            path.join(scriptDir(id), `v${version}.md`),
+            serializeScript({ name, event, variables, defaults, agent: agentSettings, template }),
+            { flag: 'wx' }
+        );
+        log.info('Saved script', { scriptId: id, version });
+        return getScript(id, version);
+    }
+
+    return { getScript, listScripts, saveScript };
+}
+
+function sendError(res, error) {
+    if (error instanceof ScriptError) {
+        return res.status(error.status).json({ error: error.message, missing: error.missing });
+    }
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    log.error('Error in script route', error);
+    res.status(500).json({ error: 'Script request failed', message: error.message });
+}
+
+// `buildVariables(script, variables)` lets the app add the values a real call would get (event details etc.)
+export function createScriptRouter(store, { buildVariables = async (script, variables) => variables } = {}) {
+    const router = express.Router();
+    const rawScript = express.text({ type: ['text/markdown', 'text/plain'], limit: '1mb' });
+
+    router.get('/', async (req, res) => {
+        try {
+            res.json({ scripts: await store.listScripts() });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        try {
+            res.json(await store.getScript(req.params.id, req.query.version));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Accepts either JSON ({ name, event, variables, defaults, template }) or a raw script file
+    router.put('/:id', rawScript, async (req, res) => {
+        try {
+            const input = typeof req.body === 'string' ? parseScriptFile(req.body) : req.body;
+            const script = await store.saveScript(req.params.id, input);
+            res.status(201).json(script);
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Preview a rendered prompt without placing a call
+    router.post('/:id/render', async (req, res) => {
+        try {
+            const script = await store.getScript(req.params.id, req.body.version);
+            const variables = await buildVariables(script, req.body.variables || {});
+            res.json({
+                id: script.id,
+                version: script.version,
+                prompt: renderScript(script, variables)
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,207 @@
+import express from 'express';
+import { openJsonStore } from './store.js';
+import { renderTemplate } from './scripts.js';
+import { buildEventVariables } from './events.js';
+import { formatPhoneNumber } from './phone.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'sequences' });
+
+// Outcomes that settle whether someone is coming
+export const CONFIRMED_OUTCOMES = ['confirmYes', 'confirmNo', 'vipConfirmYes', 'vipConfirmNo'];
+
+function stateKey(eventId, phoneNumber) {
+    return `${eventId}:${phoneNumber}`;
+}
+
+/**
+ * Runs each event's follow-up `sequence` per contact: steps fire on call outcomes
+ * ("on": "confirmYes", optionally the `count`-th time) or a set time before a session
+ * ("before": { "session": "mainEvent", "minutes": 30 }), after `delayMinutes`, and are
+ * skipped at send time unless the contact's outcomes still fit `when` / `unless`.
+ * Steps are queued on the job scheduler as "sequence" jobs so they survive restarts;
+ * each step runs at most once per contact.
+ */
+export function createSequenceEngine({
+    eventStore,
+    scheduler,
+    sendSms,
+    placeCall,
+    dataDir,
+    store = openJsonStore('sequences', { dir: dataDir, defaults: { contacts: {} } })
+}) {
+    const { contacts } = store.data;
+
+    function now() {
+        return new Date().toISOString();
+    }
+
+    function queueStep(state, step, runAt, notAfter = null) {
+        const job = scheduler.schedule({
+            type: 'sequence',
+            runAt: runAt.toISOString(),
+            notAfter: notAfter?.toISOString(),
+            eventId: state.eventId,
+            phoneNumber: state.phoneNumber,
+            stepId: step.id
+        });
+        state.steps[step.id] = { status: 'scheduled', send: step.send, jobId: job.id, runAt: job.runAt };
+        log.info('Sequence step queued', { eventId: state.eventId, phoneNumber: state.phoneNumber, stepId: step.id, runAt: job.runAt });
+    }
+
+    // Start (or refresh) a contact's sequence when they are called for an event
+    function enroll({ event, clientName, phoneNumber, userType }) {
+        if (!event?.sequence.length) return null;
+
+        const key = stateKey(event.id, phoneNumber);
+        let state = contacts[key];
+        if (!state) {
+            state = { eventId: event.id, phoneNumber, enrolledAt: now(), status: 'active', outcomes: [], steps: {} };
+            contacts[key] = state;
+        }
+        Object.assign(state, { clientName, userType, updatedAt: now() });
+
+        for (const step of event.sequence.filter(s => s.before && !state.steps[s.id])) {
+            const session = event.sessions.find(s => s.id === step.before.session);
+            const runAt = new Date(session.startsAt.getTime() - step.before.minutes * 60000);
+            if (runAt.getTime() > Date.now()) {
+                queueStep(state, step, runAt, session.startsAt);
+            }
+        }
+        store.save();
+        return state;
+    }
+
+    // Called for every outcome recorded for a call (status callback, agent tag or SMS reply)
+    async function handleOutcome({ eventId, phoneNumber, outcome, source }) {
+        const state = contacts[stateKey(eventId, phoneNumber)];
+        if (!state || state.status !== 'active' || !outcome) return;
+
+        state.outcomes.push({ outcome, source, at: now() });
+        state.updatedAt = now();
+        const count = state.outcomes.filter(o => o.outcome === outcome).length;
+
+        const event = await eventStore.getEvent(eventId);
+        for (const step of event.sequence) {
+            if (step.on === outcome && step.count === count && !state.steps[step.id]) {
+                queueStep(state, step, new Date(Date.now() + step.delayMinutes * 60000));
+            }
+        }
+        store.save();
+    }
+
+    function shouldSkip(step, state) {
+        const seen = state.outcomes.map(o => o.outcome);
+        const latest = seen[seen.length - 1];
+        if (step.when && !step.when.includes(latest)) {
+            return `latest outcome is ${latest || 'none'}, not one of ${step.when.join(', ')}`;
+        }
+        const blocking = (step.unless || []).find(outcome => seen.includes(outcome));
+        if (blocking) {
+            return `contact already has outcome ${blocking}`;
+        }
+        return null;
+    }
+
+    // Job handler for "sequence" jobs
+    async function runStep({ eventId, phoneNumber, stepId }) {
+        const state = contacts[stateKey(eventId, phoneNumber)];
+        const event = await eventStore.getEvent(eventId);
+        const step = event.sequence.find(s => s.id === stepId);
+        if (!state || !step) {
+            throw new Error(`No sequence step ${stepId} for ${phoneNumber} in event ${eventId}`);
+        }
+        const record = state.steps[stepId] || (state.steps[stepId] = { send: step.send });
+
+        const skipReason = state.status !== 'active' ? `sequence ${state.status}` : shouldSkip(step, state);
+        if (skipReason) {
+            Object.assign(record, { status: 'skipped', reason: skipReason, at: now() });
+            store.save();
+            return { skipped: skipReason };
+        }
+
+        try {
+            let result;
+            if (step.send === 'sms') {
+                const text = renderTemplate(step.template, {
+                    ...buildEventVariables(event),
+                    clientName: state.clientName,
+                    userType: state.userType
+                }, `Sequence step ${step.id}`);
+                result = { messageSid: await sendSms(phoneNumber, text) };
+            } else {
+                result = { callSid: await placeCall(state, { eventId, scriptId: step.scriptId }) };
+            }
+            Object.assign(record, { status: 'sent', ...result, at: now() });
+            return result;
+        } catch (error) {
+            // Calls outside calling hours are put off by the scheduler, not failed
+            Object.assign(record, error.retryAt
+                ? { status: 'scheduled', runAt: error.retryAt }
+                : { status: 'failed', error: error.message, at: now() });
+            throw error;
+        } finally {
+            state.updatedAt = now();
+            store.save();
+        }
+    }
+
+    // Stop a contact's remaining steps, e.g. at their request
+    function stop(eventId, phoneNumber) {
+        const state = contacts[stateKey(eventId, phoneNumber)];
+        if (!state) return null;
+        state.status = 'stopped';
+        for (const record of Object.values(state.steps)) {
+            if (record.status === 'scheduled' && record.jobId) {
+                try {
+                    scheduler.cancel(record.jobId);
+                    record.status = 'cancelled';
+                } catch (error) {
+                    // Already running or finished
+                }
+            }
+        }
+        state.updatedAt = now();
+        store.save();
+        return state;
+    }
+
+    return {
+        enroll,
+        handleOutcome,
+        runStep,
+        stop,
+        get: (eventId, phoneNumber) => contacts[stateKey(eventId, phoneNumber)] || null,
+        list: ({ eventId, phoneNumber } = {}) => Object.values(contacts).filter(state =>
+            (!eventId || state.eventId === eventId) && (!phoneNumber || state.phoneNumber === phoneNumber)
+        )
+    };
+}
+
+export function createSequenceRouter(engine, { phoneConfig } = {}) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        const phoneNumber = req.query.phoneNumber ? formatPhoneNumber(req.query.phoneNumber, phoneConfig) : undefined;
+        const sequences = engine.list({ eventId: req.query.eventId, phoneNumber });
+        res.json({ count: sequences.length, sequences });
+    });
+
+    router.get('/:eventId/:phoneNumber', (req, res) => {
+        const state = engine.get(req.params.eventId, formatPhoneNumber(req.params.phoneNumber, phoneConfig));
+        if (!state) {
+            return res.status(404).json({ error: 'No sequence for that contact and event' });
+        }
+        res.json(state);
+    });
+
+    router.post('/:eventId/:phoneNumber/stop', (req, res) => {
+        const state = engine.stop(req.params.eventId, formatPhoneNumber(req.params.phoneNumber, phoneConfig));
+        if (!state) {
+            return res.status(404).json({ error: 'No sequence for that contact and event' });
+        }
+        res.json(state);
+    });
+
+    return router;
+}
@@ -0,0 +1,293 @@
+import crypto from 'node:crypto';
+import express from 'express';
+import twilio from 'twilio';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'simulation' });
+
+// Twilio callbacks a simulated call goes through. `answeredBy` is what answering machine
+// detection reports to /call-answered, `attendance` is a recordAttendance call by the agent.
+export const SIMULATION_SCENARIOS = {
+    'busy': [{ status: 'initiated' }, { status: 'ringing' }, { status: 'busy' }],
+    'no-answer': [{ status: 'initiated' }, { status: 'ringing' }, { status: 'no-answer' }],
+    'failed': [{ status: 'initiated' }, { status: 'failed' }],
+    'completed': [{ status: 'initiated' }, { status: 'ringing' }, { status: 'in-progress', answeredBy: 'human' }, { status: 'completed' }],
+    'confirmed': [
+        { status: 'initiated' },
+        { status: 'ringing' },
+        { status: 'in-progress', answeredBy: 'human' },
+        { attendance: 'attending' },
+        { status: 'completed' }
+    ],
+    'declined': [
+        { status: 'initiated' },
+        { status: 'ringing' },
+        { status: 'in-progress', answeredBy: 'human' },
+        { attendance: 'not-attending' },
+        { status: 'completed' }
+    ],
+    'voicemail': [
+        { status: 'initiated' },
+        { status: 'ringing' },
+        { status: 'in-progress', answeredBy: 'machine_end_beep' },
+        { status: 'completed' }
+    ]
+};
+
+// Stand-in credentials so the service starts without real Twilio and Ultravox accounts
+export const SIMULATION_DEFAULTS = {
+    TWILIO_ACCOUNT_SID: 'ACsimulation',
+    TWILIO_AUTH_TOKEN: 'simulation',
+    // Twilio's magic "valid" test number
+    TWILIO_PHONE_NUMBER: '+15005550006',
+    ULTRAVOX_API_KEY: 'simulation'
+};
+
+export function isSimulationMode(env = process.env) {
+    return env.SIMULATION_MODE === 'true';
+}
+
+// SIMULATION_SCENARIOS=busy,confirmed,no-answer: calls take these in turn
+export function loadSimulationConfig(env = process.env) {
+    const scenarios = (env.SIMULATION_SCENARIOS || 'confirmed').split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = scenarios.filter(name => !SIMULATION_SCENARIOS[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown SIMULATION_SCENARIOS: ${unknown.join(', ')} (expected ${Object.keys(SIMULATION_SCENARIOS).join(', ')})`);
+    }
+    const stepDelayMs = Number(env.SIMULATION_STEP_MS || 1000);
+    if (!(stepDelayMs >= 0)) {
+        throw new Error('SIMULATION_STEP_MS must be a number of milliseconds');
+    }
+    return { scenarios, stepDelayMs };
+}
+
+function fakeSid(prefix) {
+    return `${prefix}${crypto.randomBytes(16).toString('hex')}`;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Local stand-ins for Twilio and Ultravox. `twilio` has the parts of the Twilio client
+ * this service uses (calls.create, calls(sid).update, messages.create) and
+ * `createUltravoxCall` answers like POST /api/calls and `ultravox.fetch` like reading a call
+ * and its messages, for transcripts. Every placed call replays a scenario
+ * against our own webhooks over HTTP, signed with the auth token like Twilio would sign
+ * them, so tagging, retries, sequences and the dashboard run exactly as for a real call.
+ *
+ * Callback URLs are built from the public base URL (`getBaseUrl`) and are signed as such,
+ * but sent to `localBaseUrl`.
+ */
+export function createSimulator({ config, authToken, apiKey, getBaseUrl, localBaseUrl }) {
+    const calls = new Map();
+    const messages = [];
+    // Ultravox sessions by callId, so their transcripts can be served
+    const sessions = new Map();
+    let nextScenario = 0;
+
+    function toLocalUrl(url) {
+        const base = getBaseUrl();
+        return url.startsWith(base) ? `${localBaseUrl}${url.slice(base.length)}` : url;
+    }
+
+    async function postTwilioWebhook(url, params) {
+        const signature = twilio.getExpectedTwilioSignature(authToken, url, params);
+        const response = await fetch(toLocalUrl(url), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': signature },
+            body: new URLSearchParams(params)
+        });
+        if (!response.ok) {
+            throw new Error(`${new URL(url).pathname} answered ${response.status}`);
+        }
+        return response.text();
+    }
+
+    async function recordAttendance(call, attendance) {
+        const response = await fetch(`${localBaseUrl}/api/attendance`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey },
+            body: JSON.stringify({ phoneNumber: call.to, attendance })
+        });
+        if (!response.ok) {
+            throw new Error(`/api/attendance answered ${response.status}: ${await response.text()}`);
+        }
+    }
+
+    async function runStep(call, step) {
+        if (step.attendance) {
+            log.info('Agent records attendance', { callSid: call.sid, attendance: step.attendance });
+            return recordAttendance(call, step.attendance);
+        }
+
+        const params = { CallSid: call.sid, AccountSid: 'ACsimulation', To: call.to, From: call.from, CallStatus: step.status };
+        if (step.answeredBy && call.params.machineDetection) {
+            params.AnsweredBy = step.answeredBy;
+            call.answeredBy = step.answeredBy;
+        }
+        // The answer webhook is what connects the call (or plays the voicemail)
+        if (step.status === 'in-progress' && call.params.url) {
+            await postTwilioWebhook(call.params.url, params);
+        }
+        if (step.status === 'completed') {
+            params.CallDuration = String(Math.round((Date.now() - call.createdAt) / 1000));
+            if (call.answeredBy) params.AnsweredBy = call.answeredBy;
+        }
+        log.info('Call status', { callSid: call.sid, status: step.status, answeredBy: params.AnsweredBy });
+        call.status = step.status;
+        if (call.params.statusCallback) {
+            await postTwilioWebhook(call.params.statusCallback, params);
+        }
+    }
+
+    async function replay(sid, scenario) {
+        const call = calls.get(sid);
+        call.scenario = scenario;
+        call.replays += 1;
+        const run = call.replays;
+        for (const step of SIMULATION_SCENARIOS[scenario]) {
+            await delay(config.stepDelayMs);
+            // Hung up, or replayed again meanwhile
+            if (call.hungUp || call.replays !== run) return;
+            try {
+                await runStep(call, step);
+            } catch (error) {
+                log.error('Scenario step failed', { callSid: sid, scenario, error: error.message });
+                return;
+            }
+        }
+    }
+
+    function createCall(params) {
+        const call = {
+            sid: fakeSid('CA'),
+            to: params.to,
+            from: params.from,
+            params,
+            scenario: config.scenarios[nextScenario++ % config.scenarios.length],
+            status: 'queued',
+            answeredBy: null,
+            hungUp: false,
+            replays: 0,
+            createdAt: Date.now()
+        };
+        calls.set(call.sid, call);
+        log.info('Placed call', { callSid: call.sid, to: call.to, scenario: call.scenario });
+        // After the caller has recorded the call, like a real callback would arrive
+        setImmediate(() => replay(call.sid, call.scenario));
+        return { sid: call.sid, status: 'queued', to: call.to, from: call.from };
+    }
+
+    function updateCall(sid, { status }) {
+        const call = calls.get(sid);
+        if (!call) {
+            throw new Error(`The requested resource /Calls/${sid} was not found`);
+        }
+        if (status === 'completed' || status === 'canceled') {
+            call.hungUp = true;
+            call.status = status;
+            log.info('Hung up', { callSid: sid });
+            runStep(call, { status }).catch(error => log.error('Hang-up callback failed', { callSid: sid, error: error.message }));
+        }
+        return { sid, status: call.status };
+    }
+
+    const fakeTwilio = Object.assign(sid => ({ update: async params => updateCall(sid, params) }), {
+        create: async params => createCall(params)
+    });
+
+    async function createMessage({ to, from, body }) {
+        const message = { sid: fakeSid('SM'), to, from, body, status: 'sent', at: new Date().toISOString() };
+        messages.push(message);
+        log.info('Sent SMS', { sid: message.sid, to, body });
+        return message;
+    }
+
+    async function createUltravoxCall(callConfig) {
+        const callId = crypto.randomUUID();
+        sessions.set(callId, { callId, created: new Date().toISOString(), firstSpeaker: callConfig.firstSpeaker });
+        log.info('Created Ultravox call', {
+            callId,
+            tools: callConfig.selectedTools.length,
+            promptLength: callConfig.systemPrompt.length
+        });
+        return { callId, joinUrl: `wss://simulation.invalid/calls/${callId}`, created: new Date().toISOString() };
+    }
+
+    // Answers the Ultravox GETs the transcript service makes: a session has ended by the time
+    // it is asked about, with a short exchange as its transcript
+    async function fetchUltravox(url) {
+        const { pathname } = new URL(url);
+        const [, callId, messagesPath] = pathname.match(/^\/api\/calls\/([^/]+)(\/messages)?$/) || [];
+        const session = sessions.get(callId);
+        if (!session) {
+            return Response.json({ detail: 'Not found.' }, { status: 404 });
+        }
+        if (messagesPath) {
+            const agentFirst = session.firstSpeaker === 'FIRST_SPEAKER_AGENT';
+            const results = [
+                { role: 'MESSAGE_ROLE_AGENT', text: 'Hi, this is Claire calling about the event. (simulated)', medium: 'MESSAGE_MEDIUM_VOICE' },
+                { role: 'MESSAGE_ROLE_USER', text: 'Hello? (simulated)', medium: 'MESSAGE_MEDIUM_VOICE' }
+            ];
+            return Response.json({ results: agentFirst ? results : results.reverse(), next: null });
+        }
+        session.ended ||= new Date().toISOString();
+        return Response.json({ callId, joined: session.created, ended: session.ended, endReason: 'hangup', summary: 'Simulated call' });
+    }
+
+    function listCalls() {
+        return [...calls.values()].map(({ params, ...call }) => ({ ...call, createdAt: new Date(call.createdAt).toISOString() }));
+    }
+
+    return {
+        twilio: {
+            calls: fakeTwilio,
+            messages: { create: createMessage },
+            // Account lookup for the readiness check; the simulated account is always usable
+            api: { v2010: { accounts: sid => ({ fetch: async () => ({ sid, status: 'active' }) }) } }
+        },
+        createUltravoxCall,
+        // Same interface as the Ultravox outbound client, for the transcript service
+        ultravox: { fetch: fetchUltravox },
+        replay: (sid, scenario) => {
+            const call = calls.get(sid);
+            if (!call) return null;
+            call.hungUp = false;
+            replay(sid, scenario);
+            return call;
+        },
+        listCalls,
+        listMessages: () => messages
+    };
+}
+
+export function createSimulationRouter(simulator) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        res.json({
+            scenarios: Object.fromEntries(Object.entries(SIMULATION_SCENARIOS).map(([name, steps]) =>
+                [name, steps.map(step => step.status || `attendance: ${step.attendance}`)]
+            )),
+            calls: simulator.listCalls(),
+            messages: simulator.listMessages()
+        });
+    });
+
+    // Play a scenario (again) against a simulated call, e.g. to try a different outcome
+    router.post('/calls/:callSid/replay', (req, res) => {
+        const scenario = req.body.scenario;
+        if (!SIMULATION_SCENARIOS[scenario]) {
+            return res.status(400).json({ error: `scenario must be one of: ${Object.keys(SIMULATION_SCENARIOS).join(', ')}` });
+        }
+        const call = simulator.replay(req.params.callSid, scenario);
+        if (!call) {
+            return res.status(404).json({ error: 'No simulated call with that SID' });
+        }
+        res.status(202).json({ callSid: call.sid, scenario });
+    });
+
+    return router;
+}
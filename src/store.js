@@ -0,0 +1,78 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { logger } from './logger.js';
+
+// Small embedded persistence layer: each store is one JSON document under DATA_DIR that
+// is loaded at startup, mutated in memory and written back atomically (temp file + rename).
+// Writes are batched so a burst of status callbacks costs one write, and flushAll() is
+// called on shutdown so nothing pending is lost.
+
+const log = logger.child({ module: 'store' });
+
+const DEFAULT_DATA_DIR = fileURLToPath(new URL('../data', import.meta.url));
+const WRITE_DELAY_MS = 100;
+
+const openStores = new Set();
+
+// DATA_DIR from the app's environment; simulation runs keep their own data so rehearsals
+// never mix with real calls
+export function getDataDir(env = process.env) {
+    if (env.DATA_DIR) return env.DATA_DIR;
+    return env.SIMULATION_MODE === 'true' ? path.join(DEFAULT_DATA_DIR, 'simulation') : DEFAULT_DATA_DIR;
+}
+
+export function openJsonStore(name, { dir = getDataDir(), defaults = {} } = {}) {
+    const file = path.join(dir, `${name}.json`);
+    fs.mkdirSync(dir, { recursive: true });
+
+    let data;
+    try {
+        data = { ...structuredClone(defaults), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            // Never silently start over on top of a file we failed to read
+            throw new Error(`Failed to load ${file}: ${error.message}`);
+        }
+        data = structuredClone(defaults);
+    }
+
+    let timer = null;
+    let dirty = false;
+
+    function flush() {
+        clearTimeout(timer);
+        timer = null;
+        if (!dirty) return;
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data));
+        fs.renameSync(tmp, file);
+        dirty = false;
+    }
+
+    function save() {
+        dirty = true;
+        if (timer) return;
+        timer = setTimeout(() => {
+            try {
+                flush();
+            } catch (error) {
+                log.error('Failed to write store', { file, error });
+            }
+        }, WRITE_DELAY_MS);
+    }
+
+    const store = { file, data, save, flush };
+    openStores.add(store);
+    return store;
+}
+
+export function flushAll() {
+    for (const store of openStores) {
+        try {
+            store.flush();
+        } catch (error) {
+            log.error('Failed to write store', { file: store.file, error });
+        }
+    }
+}
@@ -0,0 +1,99 @@
+// Time zone helpers built on Intl so we don't need a date library
+
+// setTimeout can't wait longer than ~24.8 days; far-off timers re-arm in steps of this size
+export const MAX_TIMER_MS = 6 * 60 * 60 * 1000;
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            weekday: 'short'
+        }));
+    }
+    return formatterCache.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Wall-clock parts of a date in the given time zone
+export function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: parts.weekday
+    };
+}
+
+// Offset of the time zone from UTC at the given instant, in milliseconds
+export function getTimeZoneOffset(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Convert a wall-clock time in a time zone to a Date
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offset = getTimeZoneOffset(new Date(guess), timeZone);
+    const candidate = guess - offset;
+    // Re-check once in case the guess and the result fall on different sides of a DST change
+    const correctedOffset = getTimeZoneOffset(new Date(candidate), timeZone);
+    return new Date(guess - correctedOffset);
+}
+
+// Parse "HH:MM" into minutes after midnight
+export function parseClockTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+    if (!match) return null;
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+    return hours * 60 + minutes;
+}
+
+// Earliest instant at or after `date` that falls inside the daily [start, end) window
+export function nextTimeInWindow(date, { start, end, timeZone }) {
+    const startMinutes = parseClockTime(start);
+    const endMinutes = parseClockTime(end);
+    const parts = getZonedParts(date, timeZone);
+    const minutes = parts.hour * 60 + parts.minute;
+
+    if (minutes >= startMinutes && minutes < endMinutes) {
+        return date;
+    }
+
+    // Before the window opens today, or after it closed and we move on to tomorrow
+    const dayOffset = minutes < startMinutes ? 0 : 1;
+    const nextDay = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + dayOffset));
+    return zonedTimeToDate({
+        year: nextDay.getUTCFullYear(),
+        month: nextDay.getUTCMonth() + 1,
+        day: nextDay.getUTCDate(),
+        hour: Math.floor(startMinutes / 60),
+        minute: startMinutes % 60
+    }, timeZone);
+}
@@ -0,0 +1,258 @@
+import crypto from 'node:crypto';
+import express from 'express';
+import { openJsonStore } from './store.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'transcripts' });
+
+const ULTRAVOX_API_URL = 'https://api.ultravox.ai/api';
+
+// Ultravox can take a few seconds after Twilio's "completed" to mark the call ended
+const FETCH_ATTEMPTS = 5;
+const FETCH_RETRY_DELAY_MS = 10000;
+
+const ROLE_NAMES = {
+    MESSAGE_ROLE_AGENT: 'agent',
+    MESSAGE_ROLE_USER: 'user',
+    MESSAGE_ROLE_TOOL_CALL: 'tool-call',
+    MESSAGE_ROLE_TOOL_RESULT: 'tool-result'
+};
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class TranscriptError extends Error {
+    constructor(message, status = 404) {
+        super(message);
+        this.name = 'TranscriptError';
+        this.status = status;
+    }
+}
+
+/**
+ * Fetches what was said on a call from Ultravox once it ends, either when /call-status
+ * reports "completed" or when Ultravox's call.ended webhook arrives, and stores the
+ * transcript next to the call record.
+ *
+ * `client` is the Ultravox outbound client (or the simulator's stand-in): anything with
+ * `fetch(url, options)` returning a Response.
+ */
+export function createTranscriptService({
+    apiKey,
+    callLog,
+    client,
+    dataDir,
+    store = openJsonStore('transcripts', { dir: dataDir, defaults: { transcripts: {} } }),
+    retryDelayMs = FETCH_RETRY_DELAY_MS
+}) {
+    const { transcripts } = store.data;
+    const inFlight = new Map();
+
+    async function ultravoxGet(pathname) {
+        const response = await client.fetch(`${ULTRAVOX_API_URL}${pathname}`, {
+            headers: { 'X-API-Key': apiKey }
+        });
+        if (response.status === 404) {
+            throw new TranscriptError('Ultravox has no record of this call');
+        }
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Ultravox API error: ${response.status} ${response.statusText} - ${errorText}`);
+        }
+        return response.json();
+    }
+
+    async function fetchMessages(ultravoxCallId) {
+        const messages = [];
+        let next = `/calls/${ultravoxCallId}/messages?pageSize=200`;
+        while (next) {
+            const page = await ultravoxGet(next);
+            for (const message of page.results || []) {
+                messages.push({
+                    role: ROLE_NAMES[message.role] || message.role,
+                    text: message.text || '',
+                    toolName: message.toolName || undefined,
+                    medium: message.medium,
+                    startSeconds: message.timespan?.start ? parseFloat(message.timespan.start) : undefined
+                });
+            }
+            // `next` is an absolute URL; keep only the part after /api
+            next = page.next ? page.next.slice(page.next.indexOf('/api/') + 4) : null;
+        }
+        return messages;
+    }
+
+    // `waitForEnd` polls Ultravox until it marks the call ended; without it a call that hasn't
+    // ended is a 409 rather than a request held open for the better part of a minute
+    async function fetchTranscript(callSid, { waitForEnd = true } = {}) {
+        const record = callLog.get(callSid);
+        // Dial failures and voicemails read by Twilio never had an Ultravox session
+        if (!record?.ultravoxCallId) {
+            throw new TranscriptError(`No transcript: no Ultravox session was recorded for ${callSid}`);
+        }
+
+        let call;
+        const attempts = waitForEnd ? FETCH_ATTEMPTS : 1;
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            call = await ultravoxGet(`/calls/${record.ultravoxCallId}`);
+            if (call.ended || attempt === attempts) break;
+            await delay(retryDelayMs);
+        }
+        if (!call.ended && !waitForEnd) {
+            throw new TranscriptError('The call is still in progress; its transcript is available once it ends', 409);
+        }
+
+        const messages = await fetchMessages(record.ultravoxCallId);
+        const durationSeconds = call.joined && call.ended
+            ? Math.round((new Date(call.ended) - new Date(call.joined)) / 1000)
+            : null;
+
+        const transcript = {
+            callSid,
+            ultravoxCallId: record.ultravoxCallId,
+            joinedAt: call.joined || null,
+            endedAt: call.ended || null,
+            durationSeconds,
+            endReason: call.endReason || null,
+            summary: call.summary || call.shortSummary || null,
+            messages,
+            fetchedAt: new Date().toISOString()
+        };
+        transcripts[callSid] = transcript;
+        store.save();
+
+        callLog.update(callSid, {
+            durationSeconds,
+            endReason: transcript.endReason,
+            summary: transcript.summary,
+            transcriptAvailable: true
+        });
+        log.info('Stored transcript', {
+            callSid,
+            correlationId: callLog.get(callSid)?.correlationId,
+            messages: messages.length,
+            endReason: transcript.endReason
+        });
+        return transcript;
+    }
+
+    // Safe to call from several triggers; only one fetch per call runs at a time
+    function ingest(callSid) {
+        if (!inFlight.has(callSid)) {
+            const promise = fetchTranscript(callSid).finally(() => inFlight.delete(callSid));
+            inFlight.set(callSid, promise);
+        }
+        return inFlight.get(callSid);
+    }
+
+    // Status callbacks shouldn't wait on Ultravox, so failures are only logged
+    function ingestInBackground(callSid) {
+        ingest(callSid).catch(error => {
+            if (error instanceof TranscriptError) {
+                log.info('No transcript for call', { callSid, error: error.message });
+                return;
+            }
+            log.error('Error fetching transcript', { callSid, correlationId: callLog.get(callSid)?.correlationId, error: error.message });
+        });
+    }
+
+    async function getTranscript(callSid) {
+        if (transcripts[callSid]) return transcripts[callSid];
+        const record = callLog.get(callSid);
+        if (!record) return null;
+        // Fetch on demand for calls that ended before the transcript was stored; the background
+        // ingest is the one that waits for calls to end
+        return fetchTranscript(callSid, { waitForEnd: false });
+    }
+
+    return { ingest, ingestInBackground, getTranscript };
+}
+
+// Ultravox signs HMAC-SHA256(secret, body + timestamp); the header may carry several signatures during rotation
+export function verifyUltravoxSignature({ secrets, rawBody, timestamp, signatureHeader }) {
+    if (!timestamp || !signatureHeader) return false;
+    const age = Date.now() - new Date(timestamp).getTime();
+    if (!(age < 60000 && age > -60000)) return false;
+
+    const signatures = signatureHeader.split(',').map(s => s.trim());
+    return secrets.some(secret => {
+        const expected = crypto.createHmac('sha256', secret).update(rawBody + timestamp).digest('hex');
+        return signatures.some(signature =>
+            signature.length === expected.length &&
+            crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+        );
+    });
+}
+
+// Register our call.ended webhook with Ultravox, through the outbound `client`, unless it is already there
+export async function registerUltravoxWebhook({ apiKey, url, secret, client }) {
+    const headers = { 'X-API-Key': apiKey, 'Content-Type': 'application/json' };
+    const listResponse = await client.fetch(`${ULTRAVOX_API_URL}/webhooks`, { headers });
+    if (!listResponse.ok) {
+        throw new Error(`Failed to list Ultravox webhooks: ${listResponse.status} ${listResponse.statusText}`);
+    }
+    const { results = [] } = await listResponse.json();
+    if (results.some(webhook => webhook.url === url)) {
+        log.info('Ultravox webhook already registered', { url });
+        return;
+    }
+
+    const createResponse = await client.fetch(`${ULTRAVOX_API_URL}/webhooks`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ url, events: ['call.ended'], secrets: [secret] })
+    });
+    if (!createResponse.ok) {
+        const errorText = await createResponse.text();
+        throw new Error(`Failed to register Ultravox webhook: ${createResponse.status} - ${errorText}`);
+    }
+    log.info('Registered Ultravox webhook', { url });
+}
+
+export function createTranscriptRouter(service) {
+    const router = express.Router();
+
+    router.get('/:callSid/transcript', async (req, res) => {
+        try {
+            const transcript = await service.getTranscript(req.params.callSid);
+            if (!transcript) {
+                return res.status(404).json({ error: 'Call not found' });
+            }
+            res.json(transcript);
+        } catch (error) {
+            if (error instanceof TranscriptError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            log.error('Error getting transcript', { callSid: req.params.callSid, error });
+            res.status(502).json({ error: 'Failed to fetch transcript', message: error.message });
+        }
+    });
+
+    return router;
+}
+
+export function createUltravoxWebhookHandler({ service, callLog, secrets }) {
+    return (req, res) => {
+        const valid = verifyUltravoxSignature({
+            secrets,
+            rawBody: req.rawBody || '',
+            timestamp: req.get('X-Ultravox-Webhook-Timestamp'),
+            signatureHeader: req.get('X-Ultravox-Webhook-Signature')
+        });
+        if (!valid) {
+            return res.status(403).json({ error: 'Invalid Ultravox webhook signature' });
+        }
+
+        const { event, call } = req.body;
+        if (event === 'call.ended' && call?.callId) {
+            const record = callLog.findByUltravoxCallId(call.callId);
+            if (record?.callSid) {
+                service.ingestInBackground(record.callSid);
+            } else {
+                log.warn('Ultravox call.ended for unknown call', { ultravoxCallId: call.callId });
+            }
+        }
+        res.sendStatus(204);
+    };
+}
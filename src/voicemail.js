@@ -0,0 +1,90 @@
+import twilio from 'twilio';
+import { renderTemplate } from './scripts.js';
+import { buildEventVariables } from './events.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'voicemail' });
+
+// What happens when Twilio's answering machine detection hears a machine:
+//   message - play the event's pre-rendered voicemail text with Twilio <Say>, then hang up
+//   agent   - connect a separate Ultravox session running the voicemail-only script
+//   off     - no detection; the agent is connected straight away, as before
+export const VOICEMAIL_MODES = ['message', 'agent', 'off'];
+
+const DEFAULT_VOICEMAIL = 'Hi {{clientName}}, this is Claire from {{eventName}}. We\'re calling to confirm your attendance. We\'ll try you again soon, or you can reply YES to our text to confirm. Thank you!';
+
+export function getVoicemailMode(env = process.env) {
+    const mode = (env.VOICEMAIL_MODE || 'message').toLowerCase();
+    if (!VOICEMAIL_MODES.includes(mode)) {
+        throw new Error(`VOICEMAIL_MODE must be one of: ${VOICEMAIL_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+// Twilio's AnsweredBy values with DetectMessageEnd: human, unknown, fax and machine_end_*
+export function isMachine(answeredBy) {
+    return (answeredBy || '').startsWith('machine');
+}
+
+// The event's `voicemail` template (or a generic one) filled in for this recipient
+export function renderVoicemail(event, { clientName, userType }) {
+    const variables = {
+        eventName: 'our event',
+        ...(event ? buildEventVariables(event) : {}),
+        clientName,
+        userType
+    };
+    try {
+        return renderTemplate(event?.voicemail || DEFAULT_VOICEMAIL, variables, 'Voicemail');
+    } catch (error) {
+        log.error('Error rendering voicemail', { eventId: event?.id, error: error.message });
+        return renderTemplate(DEFAULT_VOICEMAIL, variables, 'Voicemail');
+    }
+}
+
+/**
+ * Twilio's answer webhook for outbound calls placed with answering machine detection.
+ * Humans are connected to the Ultravox session created when the call was placed (its
+ * joinUrl rides along in the query string); machines get the voicemail flow. The
+ * detection result is stored on the call so /call-status can tag the left-message outcome.
+ */
+export function createAnswerHandler({ mode, callLog, eventStore, startVoicemailSession, voice = 'Polly.Joanna' }) {
+    return async (req, res) => {
+        const callSid = req.body.CallSid;
+        const answeredBy = req.body.AnsweredBy || 'unknown';
+        const { joinUrl, clientName, userType, eventId, phoneNumber } = req.query;
+        const response = new twilio.twiml.VoiceResponse();
+        const record = callLog.get(callSid);
+        const correlationId = record?.correlationId;
+        res.locals.correlationId = correlationId;
+        log.info('Call answered', { callSid, correlationId, answeredBy });
+
+        try {
+            if (answeredBy === 'fax') {
+                callLog.update(callSid, { answeredBy });
+                response.hangup();
+            } else if (!isMachine(answeredBy)) {
+                callLog.update(callSid, { answeredBy });
+                response.connect().stream({ url: joinUrl });
+            } else {
+                const event = eventId ? await eventStore.getEvent(eventId) : null;
+                if (mode === 'agent') {
+                    // The agent settings the call was placed with, so the message sounds like the agent would,
+                    // and its correlation ID so the session's logs lead back to the call
+                    const session = await startVoicemailSession({ event, clientName, userType, phoneNumber, agent: record?.agent, correlationId });
+                    // The voicemail session is the one whose transcript is worth keeping
+                    callLog.update(callSid, { answeredBy, voicemail: mode, ultravoxCallId: session.callId });
+                    response.connect().stream({ url: session.joinUrl });
+                } else {
+                    callLog.update(callSid, { answeredBy, voicemail: mode });
+                    response.say({ voice }, renderVoicemail(event, { clientName, userType }));
+                    response.hangup();
+                }
+            }
+        } catch (error) {
+            log.error('Error handling answer', { callSid, correlationId, error });
+            response.hangup();
+        }
+        res.type('text/xml').send(response.toString());
+    };
+}
@@ -0,0 +1,408 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_KEY, startTestApp, wait } from './helpers.js';
+
+// The API-key-protected routes operators use to run and inspect the service
+describe('admin routes', () => {
+    let ctx;
+    let scriptsDir;
+
+    before(async () => {
+        // Script edits go to a copy so the tests never touch scripts/
+        scriptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confirm-attendance-scripts-'));
+        fs.cpSync(new URL('../scripts', import.meta.url), scriptsDir, { recursive: true });
+        ctx = await startTestApp({ env: { SCRIPTS_DIR: scriptsDir } });
+    });
+
+    after(async () => {
+        await ctx.close();
+        fs.rmSync(scriptsDir, { recursive: true, force: true });
+    });
+
+    async function invite(phoneNumber) {
+        const response = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber });
+        assert.equal(response.status, 200);
+        return response.body.callSid;
+    }
+
+    it('/health answers without an API key', async () => {
+        const response = await fetch(`${ctx.baseUrl}/health`);
+        assert.equal(response.status, 200);
+        assert.deepEqual(await response.json(), { status: 'ok' });
+    });
+
+    it('protects every admin route with the API key', async () => {
+        for (const pathname of ['/calls', '/campaigns', '/retries', '/jobs', '/sequences', '/scripts', '/events', '/crm/export.csv', '/compliance/dnc', '/dashboard/snapshot', '/numbers']) {
+            const response = await fetch(`${ctx.baseUrl}${pathname}`);
+            assert.equal(response.status, 401, pathname);
+        }
+        const bearer = await fetch(`${ctx.baseUrl}/events`, { headers: { Authorization: `Bearer ${API_KEY}` } });
+        assert.equal(bearer.status, 200);
+    });
+
+    it('has no simulation routes outside simulation mode', async () => {
+        assert.equal((await ctx.api('GET', '/simulation')).status, 404);
+    });
+
+    describe('/events', () => {
+        it('lists events and shows one with its script variables', async () => {
+            const { events } = (await ctx.api('GET', '/events')).body;
+            assert.ok(events.some(event => event.id === 've0525'));
+
+            const event = (await ctx.api('GET', '/events/ve0525')).body;
+            assert.equal(event.tags.busy, 've0525flash-call-busy');
+            assert.equal(event.variables.eventName, 'The Visibility Event');
+        });
+
+        it('answers 404 for unknown events and 400 for bad IDs', async () => {
+            assert.equal((await ctx.api('GET', '/events/nope')).status, 404);
+            assert.equal((await ctx.api('GET', '/events/..%2Fpackage')).status, 400);
+        });
+    });
+
+    describe('/scripts', () => {
+        it('lists scripts and gets a version', async () => {
+            const { scripts } = (await ctx.api('GET', '/scripts')).body;
+            assert.ok(scripts.some(script => script.id === 've0525'));
+            assert.equal((await ctx.api('GET', '/scripts/ve0525?version=1')).body.version, 1);
+        });
+
+        it('saves a new version and renders it', async () => {
+            const saved = await ctx.api('PUT', '/scripts/test-script', {
+                name: 'Test',
+                variables: ['clientName'],
+                template: 'Say hello to {{clientName}}.'
+            });
+            assert.equal(saved.status, 201);
+            assert.equal(saved.body.version, 1);
+
+            const rendered = await ctx.api('POST', '/scripts/test-script/render', { variables: { clientName: 'Jane' } });
+            assert.equal(rendered.body.prompt, 'Say hello to Jane.');
+        });
+
+        it('refuses to render with missing variables', async () => {
+            const response = await ctx.api('POST', '/scripts/test-script/render', { variables: {} });
+            assert.equal(response.status, 400);
+        });
+
+        it('answers 404 for unknown scripts', async () => {
+            assert.equal((await ctx.api('GET', '/scripts/nope')).status, 404);
+        });
+    });
+
+    describe('/calls', () => {
+        it('lists and filters the call log', async () => {
+            const callSid = await invite('2125550501');
+            await invite('2125550502');
+
+            const { calls } = (await ctx.api('GET', '/calls?phoneNumber=%2B12125550501')).body;
+            assert.deepEqual(calls.map(call => call.callSid), [callSid]);
+            assert.equal((await ctx.api('GET', '/calls?limit=1')).body.count, 1);
+        });
+
+        it('validates its filters', async () => {
+            assert.equal((await ctx.api('GET', '/calls?limit=0')).status, 400);
+            assert.equal((await ctx.api('GET', '/calls?since=yesterday')).status, 400);
+        });
+
+        it('answers 404 for unknown calls', async () => {
+            assert.equal((await ctx.api('GET', '/calls/CAnope')).status, 404);
+        });
+
+        it('serves the transcript once the call completed', async () => {
+            const callSid = await invite('2125550503');
+            await ctx.twilioWebhook(`/call-status?clientName=Jane%20Doe&phoneNumber=%2B12125550503&eventId=ve0525`, {
+                CallSid: callSid,
+                CallStatus: 'completed',
+                AnsweredBy: 'human'
+            });
+            await wait(50);
+            const transcript = await ctx.api('GET', `/calls/${callSid}/transcript`);
+            assert.equal(transcript.status, 200);
+            assert.equal(transcript.body.endReason, 'hangup');
+        });
+
+        it('answers 409 at once for calls still in progress', async () => {
+            const callSid = await invite('2125550505');
+            ctx.ultravox.callsInProgress = true;
+            try {
+                const started = Date.now();
+                const transcript = await ctx.api('GET', `/calls/${callSid}/transcript`);
+                assert.equal(transcript.status, 409);
+                assert.match(transcript.body.error, /still in progress/);
+                assert.ok(Date.now() - started < 1000);
+            } finally {
+                ctx.ultravox.callsInProgress = false;
+            }
+            assert.equal((await ctx.api('GET', `/calls/${callSid}`)).body.transcriptAvailable, undefined);
+        });
+
+        it('answers 404 for calls that never had an Ultravox session', async () => {
+            ctx.ultravox.failCalls = true;
+            try {
+                assert.equal((await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550504' })).status, 500);
+            } finally {
+                ctx.ultravox.failCalls = false;
+            }
+            const [failed] = (await ctx.api('GET', '/calls?phoneNumber=%2B12125550504')).body.calls;
+            assert.equal(failed.status, 'dial-failed');
+
+            const transcript = await ctx.api('GET', `/calls/${failed.id}/transcript`);
+            assert.equal(transcript.status, 404);
+            assert.match(transcript.body.error, /no Ultravox session was recorded/);
+        });
+    });
+
+    describe('/campaigns', () => {
+        it('creates a campaign, rejects bad contacts and dials the rest once started', async () => {
+            const created = await ctx.api('POST', '/campaigns', {
+                name: 'Day one',
+                contacts: [
+                    { clientName: 'Ann Lee', phoneNumber: '2125550511' },
+                    { clientName: 'Bad Number', phoneNumber: '12345' }
+                ]
+            });
+            assert.equal(created.status, 201);
+            assert.equal(created.body.status, 'draft');
+            assert.equal(created.body.rejected.length, 1);
+
+            const csv = await fetch(`${ctx.baseUrl}/campaigns/${created.body.id}/contacts`, {
+                method: 'POST',
+                headers: { 'X-API-Key': API_KEY, 'Content-Type': 'text/csv' },
+                body: 'clientName,phoneNumber\nBo Ray,2125550512\n'
+            });
+            assert.equal((await csv.json()).added, 1);
+
+            const started = await ctx.api('POST', `/campaigns/${created.body.id}/start`);
+            assert.equal(started.body.status, 'running');
+            await wait(50);
+            assert.ok(ctx.twilio.placed.some(call => call.to === '+12125550511'));
+
+            const detail = (await ctx.api('GET', `/campaigns/${created.body.id}`)).body;
+            assert.equal(detail.contacts.length, 2);
+            assert.equal((await ctx.api('POST', `/campaigns/${created.body.id}/cancel`)).body.status, 'cancelled');
+        });
+
+        it('retries a contact whose dial failed outright', async () => {
+            const created = await ctx.api('POST', '/campaigns', {
+                name: 'Ultravox outage',
+                contacts: [{ clientName: 'Cy Park', phoneNumber: '2125550513' }]
+            });
+            ctx.ultravox.failCalls = true;
+            try {
+                await ctx.api('POST', `/campaigns/${created.body.id}/start`);
+                await wait(50);
+            } finally {
+                ctx.ultravox.failCalls = false;
+            }
+
+            const [contact] = (await ctx.api('GET', `/campaigns/${created.body.id}`)).body.contacts;
+            assert.equal(contact.state, 'failed');
+            const { retries } = (await ctx.api('GET', '/retries')).body;
+            const retry = retries.find(entry => entry.phoneNumber === '+12125550513');
+            assert.equal(retry.status, 'scheduled');
+            assert.equal(retry.lastOutcome, 'failed');
+            assert.equal(retry.contactId, contact.id);
+            await ctx.api('POST', `/campaigns/${created.body.id}/cancel`);
+        });
+
+        it('validates campaign settings', async () => {
+            assert.equal((await ctx.api('POST', '/campaigns', { concurrency: 0 })).status, 400);
+            assert.equal((await ctx.api('POST', '/campaigns', { defaultRegion: 'XX' })).status, 400);
+            assert.equal((await ctx.api('GET', '/campaigns/nope')).status, 404);
+        });
+    });
+
+    describe('/retries', () => {
+        it('lists retry state with the policy and cancels it', async () => {
+            await invite('2125550521');
+            const { policy, retries } = (await ctx.api('GET', '/retries')).body;
+            assert.equal(typeof policy.maxAttempts, 'number');
+            assert.ok(retries.some(entry => entry.phoneNumber === '+12125550521'));
+
+            const cancelled = await ctx.api('DELETE', `/retries/${encodeURIComponent('+12125550521')}`);
+            assert.equal(cancelled.body.status, 'stopped');
+            assert.equal((await ctx.api('DELETE', '/retries/%2B19995550000')).status, 404);
+        });
+    });
+
+    describe('/jobs', () => {
+        it('schedules, lists and cancels jobs', async () => {
+            const runAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+            const created = await ctx.api('POST', '/jobs', { type: 'sms', phoneNumber: '2125550531', message: 'Reminder', runAt });
+            assert.equal(created.status, 201);
+            assert.equal(created.body.payload.phoneNumber, '+12125550531');
+            assert.equal(created.body.timeZone, 'America/New_York');
+
+            assert.ok((await ctx.api('GET', '/jobs?status=scheduled')).body.jobs.some(job => job.id === created.body.id));
+            assert.equal((await ctx.api('GET', `/jobs/${created.body.id}`)).body.status, 'scheduled');
+            assert.equal((await ctx.api('DELETE', `/jobs/${created.body.id}`)).body.status, 'cancelled');
+        });
+
+        it('runs jobs when they fall due', async () => {
+            const created = await ctx.api('POST', '/jobs', { type: 'sms', phoneNumber: '2125550532', message: 'Now', runAt: new Date().toISOString() });
+            await wait(100);
+            assert.equal((await ctx.api('GET', `/jobs/${created.body.id}`)).body.status, 'done');
+            assert.ok(ctx.twilio.sent.some(message => message.to === '+12125550532' && message.body === 'Now'));
+        });
+
+        it('validates jobs', async () => {
+            assert.equal((await ctx.api('POST', '/jobs', { type: 'fax' })).status, 400);
+            assert.equal((await ctx.api('POST', '/jobs', { type: 'sms', phoneNumber: '12345', message: 'Hi', runAt: new Date().toISOString() })).status, 400);
+            const offList = await ctx.api('POST', '/jobs', { type: 'call', clientName: 'Jane Doe', phoneNumber: '2125550533', agent: { model: 'other' }, runAt: new Date().toISOString() });
+            assert.equal(offList.status, 400);
+            assert.match(offList.body.error, /model must be one of/);
+            assert.equal((await ctx.api('GET', '/jobs?status=nope')).status, 400);
+            assert.equal((await ctx.api('GET', '/jobs/nope')).status, 404);
+        });
+    });
+
+    describe('/sequences', () => {
+        it('shows and stops a contact\'s follow-up sequence', async () => {
+            await invite('2125550541');
+            const { sequences } = (await ctx.api('GET', '/sequences?phoneNumber=2125550541')).body;
+            assert.equal(sequences.length, 1);
+            assert.equal(sequences[0].eventId, 've0525');
+
+            assert.equal((await ctx.api('GET', '/sequences/ve0525/2125550541')).status, 200);
+            assert.equal((await ctx.api('POST', '/sequences/ve0525/2125550541/stop')).status, 200);
+            assert.equal((await ctx.api('GET', '/sequences/ve0525/2125550549')).status, 404);
+        });
+    });
+
+    describe('/compliance', () => {
+        it('manages the do-not-call list', async () => {
+            assert.equal((await ctx.api('POST', '/compliance/dnc', { phoneNumber: '2125550551', reason: 'Complaint' })).status, 201);
+            assert.equal((await ctx.api('GET', '/compliance/check/2125550551')).body.allowed, false);
+            assert.equal((await ctx.api('DELETE', '/compliance/dnc/2125550551')).status, 200);
+            assert.equal((await ctx.api('DELETE', '/compliance/dnc/2125550551')).status, 404);
+            assert.equal((await ctx.api('POST', '/compliance/dnc', { phoneNumber: 'nope' })).status, 400);
+        });
+
+        it('reports a number\'s time zone and calling hours', async () => {
+            const check = (await ctx.api('GET', '/compliance/check/2125550552')).body;
+            assert.equal(check.allowed, true);
+            assert.deepEqual(check.timeZones, ['America/New_York']);
+            assert.equal((await ctx.api('GET', '/compliance/check/nope')).status, 400);
+        });
+    });
+
+    it('/crm/export.csv answers 404 for adapters without an export', async () => {
+        const response = await ctx.api('GET', '/crm/export.csv');
+        assert.equal(response.status, 404);
+        assert.match(response.body.error, /fake/);
+    });
+
+    describe('/dashboard', () => {
+        it('serves the page with the API key in the query string', async () => {
+            const response = await fetch(`${ctx.baseUrl}/dashboard?apiKey=${API_KEY}`);
+            assert.equal(response.status, 200);
+            assert.match(await response.text(), /<title>Call Monitor<\/title>/);
+        });
+
+        it('shows active calls and hangs them up', async () => {
+            const callSid = await invite('2125550561');
+            const snapshot = (await ctx.api('GET', '/dashboard/snapshot')).body;
+            assert.ok(snapshot.activeCalls.some(call => call.callSid === callSid));
+
+            const hungUp = await ctx.api('POST', `/dashboard/calls/${callSid}/hangup`);
+            assert.equal(hungUp.status, 200);
+            assert.deepEqual(ctx.twilio.updates.at(-1), { sid: callSid, status: 'completed' });
+
+            await ctx.twilioWebhook(`/call-status?clientName=Jane%20Doe&phoneNumber=%2B12125550561&eventId=ve0525`, {
+                CallSid: callSid,
+                CallStatus: 'completed'
+            });
+            assert.equal((await ctx.api('POST', `/dashboard/calls/${callSid}/hangup`)).status, 409);
+            assert.equal((await ctx.api('POST', '/dashboard/calls/CAnope/hangup')).status, 404);
+        });
+
+        it('streams snapshots', async () => {
+            const controller = new AbortController();
+            const response = await fetch(`${ctx.baseUrl}/dashboard/stream?apiKey=${API_KEY}`, { signal: controller.signal });
+            assert.match(response.headers.get('content-type'), /text\/event-stream/);
+            const reader = response.body.getReader();
+            const { value } = await reader.read();
+            assert.match(new TextDecoder().decode(value), /^retry: 3000\nevent: snapshot\ndata: \{/);
+            controller.abort();
+        });
+    });
+});
+
+describe('transcripts in simulation mode', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestApp({ env: { SIMULATION_MODE: 'true' } });
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('come from the simulator rather than Ultravox', async () => {
+        const callSid = (await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550505' })).body.callSid;
+        await ctx.twilioWebhook('/call-status?clientName=Jane%20Doe&phoneNumber=%2B12125550505', { CallSid: callSid, CallStatus: 'completed' });
+        await wait(50);
+
+        const transcript = await ctx.api('GET', `/calls/${callSid}/transcript`);
+        assert.equal(transcript.status, 200);
+        assert.equal(transcript.body.summary, 'Simulated call');
+        assert.deepEqual(transcript.body.messages.map(message => message.role), ['user', 'agent']);
+        assert.deepEqual(ctx.ultravox.requests, []);
+    });
+});
+
+describe('/ultravox-webhook', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestApp({ env: { ULTRAVOX_WEBHOOK_SECRET: 'new-secret,old-secret' } });
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    // Signed the way Ultravox signs: HMAC-SHA256(secret, body + timestamp)
+    function deliver(payload, { secret = 'new-secret', timestamp = new Date().toISOString() } = {}) {
+        const body = JSON.stringify(payload);
+        return fetch(`${ctx.baseUrl}/ultravox-webhook`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Ultravox-Webhook-Timestamp': timestamp,
+                'X-Ultravox-Webhook-Signature': crypto.createHmac('sha256', secret).update(body + timestamp).digest('hex')
+            },
+            body
+        });
+    }
+
+    it('fetches the transcript when a call ends', async () => {
+        const { callSid } = (await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550506' })).body;
+        const { ultravoxCallId } = (await ctx.api('GET', `/calls/${callSid}`)).body;
+
+        // Signed with the secret being rotated out
+        const response = await deliver({ event: 'call.ended', call: { callId: ultravoxCallId } }, { secret: 'old-secret' });
+        assert.equal(response.status, 204);
+        await wait(50);
+        assert.ok(ctx.ultravox.requests.some(request => request.url === `https://api.ultravox.ai/api/calls/${ultravoxCallId}`));
+        assert.equal((await ctx.api('GET', `/calls/${callSid}`)).body.transcriptAvailable, true);
+    });
+
+    it('acknowledges calls it doesn\'t know', async () => {
+        const before = ctx.ultravox.requests.length;
+        assert.equal((await deliver({ event: 'call.ended', call: { callId: 'unknown' } })).status, 204);
+        assert.equal(ctx.ultravox.requests.length, before);
+    });
+
+    it('rejects bad and stale signatures', async () => {
+        const payload = { event: 'call.ended', call: { callId: 'uv-1' } };
+        assert.equal((await deliver(payload, { secret: 'wrong' })).status, 403);
+        assert.equal((await deliver(payload, { timestamp: new Date(Date.now() - 5 * 60 * 1000).toISOString() })).status, 403);
+    });
+});
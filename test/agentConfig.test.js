@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    AgentConfigError,
+    loadAgentConfig,
+    resolveAgentSettings,
+    toUltravoxSettings,
+    validateAgentOverrides
+} from '../src/agentConfig.js';
+
+const ENV = {
+    TWILIO_PHONE_NUMBER: '+15005550006',
+    ALLOWED_VOICES: 'voice-ph, voice-warm',
+    ALLOWED_LANGUAGES: 'en,fil',
+    ALLOWED_CALLER_IDS: '+639171230000'
+};
+
+describe('loadAgentConfig', () => {
+    it('always allows the defaults and adds the allow-lists', () => {
+        const config = loadAgentConfig(ENV);
+        assert.deepEqual(config.defaults, {
+            model: 'fixie-ai/ultravox-70B',
+            voice: 'b0e6b5c1-3100-44d5-8578-9015aa3023ae',
+            temperature: 0.4,
+            firstSpeaker: 'user',
+            maxDuration: null,
+            language: null,
+            callerId: null
+        });
+        assert.deepEqual(config.allowed.voice, ['b0e6b5c1-3100-44d5-8578-9015aa3023ae', 'voice-ph', 'voice-warm']);
+        assert.deepEqual(config.allowed.model, ['fixie-ai/ultravox-70B']);
+        assert.deepEqual(config.allowed.callerId, ['+15005550006', '+639171230000']);
+        // The whole caller ID pool may be chosen
+        assert.deepEqual(loadAgentConfig(ENV, { callerIds: ['+15005550006', '+12125550100'] }).allowed.callerId,
+            ['+15005550006', '+12125550100', '+639171230000']);
+    });
+
+    it('reads and checks the defaults', () => {
+        const config = loadAgentConfig({ ...ENV, ULTRAVOX_TEMPERATURE: '0', ULTRAVOX_FIRST_SPEAKER: 'agent', ULTRAVOX_MAX_DURATION_SECONDS: '900' });
+        assert.equal(config.defaults.temperature, 0);
+        assert.equal(config.defaults.firstSpeaker, 'agent');
+        assert.equal(config.defaults.maxDuration, 900);
+
+        assert.throws(() => loadAgentConfig({ ...ENV, ULTRAVOX_TEMPERATURE: '2' }), /Invalid agent default: temperature/);
+        assert.throws(() => loadAgentConfig({ ...ENV, ALLOWED_CALLER_IDS: '212-555-0100' }), /ALLOWED_CALLER_IDS must be E.164/);
+        assert.throws(() => loadAgentConfig({ ...ENV, ALLOWED_LANGUAGES: 'English' }), /ALLOWED_LANGUAGES/);
+        assert.throws(() => loadAgentConfig({ ...ENV, MAX_CALL_DURATION_SECONDS: '-1' }), /MAX_CALL_DURATION_SECONDS/);
+    });
+});
+
+describe('validateAgentOverrides', () => {
+    const config = loadAgentConfig(ENV);
+
+    it('normalizes what it is given and leaves out the rest', () => {
+        assert.deepEqual(validateAgentOverrides(config, { voice: 'voice-ph', temperature: '0.7', firstSpeaker: 'FIRST_SPEAKER_AGENT', maxDuration: 300 }), {
+            voice: 'voice-ph',
+            temperature: 0.7,
+            firstSpeaker: 'agent',
+            maxDuration: 300
+        });
+        assert.deepEqual(validateAgentOverrides(config, undefined), {});
+        assert.deepEqual(validateAgentOverrides(config, { voice: '' }), {});
+    });
+
+    it('refuses values off the allow-lists and out of range, naming the field', () => {
+        const cases = [
+            [{ model: 'fixie-ai/ultravox-premium' }, 'model', /model must be one of: fixie-ai\/ultravox-70B \(see ALLOWED_MODELS\)/],
+            [{ voice: 'someone-else' }, 'voice', /voice must be one of/],
+            [{ callerId: '+12125550100' }, 'callerId', /ALLOWED_CALLER_IDS/],
+            [{ temperature: 1.5 }, 'temperature', /from 0 to 1/],
+            [{ temperature: 'warm' }, 'temperature', /from 0 to 1/],
+            [{ firstSpeaker: 'nobody' }, 'firstSpeaker', /user or agent/],
+            [{ maxDuration: 5 }, 'maxDuration', /from 10 to 3600/],
+            [{ maxDuration: 4000 }, 'maxDuration', /from 10 to 3600/],
+            [{ pitch: 'high' }, 'pitch', /Unknown agent settings: pitch/]
+        ];
+        for (const [overrides, field, message] of cases) {
+            assert.throws(() => validateAgentOverrides(config, overrides), error => {
+                assert.ok(error instanceof AgentConfigError);
+                assert.equal(error.status, 400);
+                assert.equal(error.field, field);
+                assert.match(error.message, message);
+                return true;
+            });
+        }
+        assert.throws(() => validateAgentOverrides(config, 'voice-ph'), /agent must be an object/);
+    });
+
+    it('says so when nothing can be chosen', () => {
+        assert.throws(() => validateAgentOverrides(loadAgentConfig({ TWILIO_PHONE_NUMBER: '+15005550006' }), { language: 'en' }),
+            /language can't be set: ALLOWED_LANGUAGES is empty/);
+    });
+});
+
+describe('resolveAgentSettings', () => {
+    it('applies each layer over the defaults in order', () => {
+        const config = loadAgentConfig(ENV);
+        const settings = resolveAgentSettings(config, { voice: 'voice-ph', language: 'fil' }, { voice: 'voice-warm' }, undefined);
+        assert.equal(settings.voice, 'voice-warm');
+        assert.equal(settings.language, 'fil');
+        // Left to the caller ID pool unless something picks one
+        assert.equal(settings.callerId, null);
+        assert.equal(resolveAgentSettings(config, { callerId: '+639171230000' }).callerId, '+639171230000');
+
+        assert.deepEqual(toUltravoxSettings({ ...settings, maxDuration: 600 }), {
+            model: 'fixie-ai/ultravox-70B',
+            voice: 'voice-warm',
+            temperature: 0.4,
+            firstSpeaker: 'FIRST_SPEAKER_USER',
+            maxDuration: '600s',
+            languageHint: 'fil'
+        });
+    });
+});
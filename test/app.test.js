@@ -0,0 +1,57 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConfigError, createApp } from '../src/app.js';
+import { startTestApp, TEST_ENV, wait } from './helpers.js';
+
+describe('createApp', () => {
+    let dataDir;
+
+    before(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confirm-attendance-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('throws a ConfigError listing missing settings instead of exiting', () => {
+        const { TWILIO_AUTH_TOKEN, API_KEYS, ...env } = TEST_ENV;
+        assert.throws(() => createApp({ env: { ...env, DATA_DIR: dataDir, CRM_PROVIDER: 'json' } }), error => {
+            assert.ok(error instanceof ConfigError);
+            assert.deepEqual(error.missing, ['TWILIO_AUTH_TOKEN', 'API_KEYS']);
+            return true;
+        });
+    });
+
+    it('requires the settings of the selected CRM', () => {
+        assert.throws(() => createApp({ env: { ...TEST_ENV, DATA_DIR: dataDir, CRM_PROVIDER: 'ghl' } }), error => {
+            assert.deepEqual(error.missing, ['GHL_API_KEY', 'GHL_LOCATION_ID']);
+            return true;
+        });
+    });
+
+    it('needs no credentials in simulation mode', () => {
+        const { app, stop } = createApp({ env: { SIMULATION_MODE: 'true', API_KEYS: 'k', DATA_DIR: dataDir } });
+        assert.equal(typeof app.listen, 'function');
+        stop();
+    });
+
+    it('keeps its data in the DATA_DIR of the env it is given', async () => {
+        const ctx = await startTestApp();
+        try {
+            await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550701' });
+            // Stores write shortly after a change
+            await wait(150);
+            assert.ok(fs.existsSync(path.join(ctx.dataDir, 'calls.json')));
+        } finally {
+            await ctx.close();
+        }
+    });
+
+    it('rejects an invalid VOICEMAIL_MODE', () => {
+        assert.throws(() => createApp({ env: { ...TEST_ENV, DATA_DIR: dataDir, CRM_PROVIDER: 'json', VOICEMAIL_MODE: 'sing' } }), /VOICEMAIL_MODE/);
+    });
+});
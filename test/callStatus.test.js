@@ -0,0 +1,131 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, statusCallbackPath, wait } from './helpers.js';
+
+describe('/call-status', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestApp();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    async function placeCall(phoneNumber, clientName = 'Jane Doe') {
+        const response = await ctx.api('POST', '/initiate-call', { clientName, phoneNumber });
+        assert.equal(response.status, 200);
+        const placed = ctx.twilio.placed.find(call => call.sid === response.body.callSid);
+        return { callSid: response.body.callSid, path: statusCallbackPath(placed), to: placed.to };
+    }
+
+    function statusUpdate(call, CallStatus, extra = {}) {
+        return ctx.twilioWebhook(call.path, { CallSid: call.callSid, CallStatus, To: call.to, ...extra });
+    }
+
+    async function retryFor(phoneNumber) {
+        const { retries } = (await ctx.api('GET', '/retries')).body;
+        return retries.find(entry => entry.phoneNumber === phoneNumber);
+    }
+
+    function tagsFor(phoneNumber) {
+        return ctx.crm.tags.filter(entry => entry.phoneNumber === phoneNumber).map(entry => entry.tag);
+    }
+
+    it('tags busy calls with the event\'s busy tag and schedules a retry', async () => {
+        const call = await placeCall('2125550101');
+        for (const status of ['initiated', 'ringing', 'busy']) {
+            assert.equal((await statusUpdate(call, status)).status, 200);
+        }
+
+        assert.deepEqual(tagsFor('+12125550101'), ['events -> ve0525flash-call-busy']);
+        const record = (await ctx.api('GET', `/calls/${call.callSid}`)).body;
+        assert.equal(record.status, 'busy');
+        assert.deepEqual(record.statusHistory.map(entry => entry.status), ['queued', 'initiated', 'ringing', 'busy']);
+        assert.deepEqual(record.outcomes, ['busy']);
+
+        const retry = await retryFor('+12125550101');
+        assert.equal(retry.status, 'scheduled');
+        assert.equal(retry.lastOutcome, 'busy');
+    });
+
+    it('tags unanswered calls with the event\'s no-answer tag', async () => {
+        const call = await placeCall('2125550102');
+        await statusUpdate(call, 'ringing');
+        await statusUpdate(call, 'no-answer');
+
+        assert.deepEqual(tagsFor('+12125550102'), ['events -> ve0525flash-call-no-answer']);
+        const record = (await ctx.api('GET', `/calls/${call.callSid}`)).body;
+        assert.deepEqual(record.outcomes, ['noAnswer']);
+        assert.equal((await retryFor('+12125550102')).lastOutcome, 'no-answer');
+    });
+
+    it('does not tag calls a person answered', async () => {
+        const call = await placeCall('2125550103');
+        await statusUpdate(call, 'in-progress');
+        await statusUpdate(call, 'completed', { CallDuration: '42', AnsweredBy: 'human' });
+
+        assert.deepEqual(tagsFor('+12125550103'), []);
+        const record = (await ctx.api('GET', `/calls/${call.callSid}`)).body;
+        assert.equal(record.status, 'completed');
+        assert.equal(record.statusHistory.at(-1).duration, 42);
+    });
+
+    it('tags calls a machine answered as left-message', async () => {
+        const call = await placeCall('2125550104');
+        await statusUpdate(call, 'completed', { AnsweredBy: 'machine_end_beep' });
+
+        assert.deepEqual(tagsFor('+12125550104'), ['events -> ve0525flash-call-left-message']);
+        assert.equal((await retryFor('+12125550104')).lastOutcome, 'left-message');
+    });
+
+    it('retries failed calls without tagging them', async () => {
+        const call = await placeCall('2125550105');
+        await statusUpdate(call, 'failed');
+
+        assert.deepEqual(tagsFor('+12125550105'), []);
+        assert.equal((await ctx.api('GET', `/calls/${call.callSid}`)).body.status, 'failed');
+        assert.equal((await retryFor('+12125550105')).lastOutcome, 'failed');
+    });
+
+    it('ignores canceled calls', async () => {
+        const call = await placeCall('2125550106');
+        await statusUpdate(call, 'canceled');
+
+        assert.deepEqual(tagsFor('+12125550106'), []);
+        const retry = await retryFor('+12125550106');
+        assert.equal(retry.lastOutcome, null);
+        assert.equal(retry.nextAttemptAt, null);
+    });
+
+    it('never moves a call back from a final status when callbacks arrive out of order', async () => {
+        const call = await placeCall('2125550107');
+        await statusUpdate(call, 'completed');
+        await statusUpdate(call, 'ringing');
+
+        const record = (await ctx.api('GET', `/calls/${call.callSid}`)).body;
+        assert.equal(record.status, 'completed');
+        assert.deepEqual(record.statusHistory.map(entry => entry.status), ['queued', 'completed', 'ringing']);
+    });
+
+    it('leaves the CRM alone for calls without an event', async () => {
+        const response = await ctx.twilioWebhook('/call-status?clientName=Nobody&phoneNumber=%2B12125550108', {
+            CallSid: 'CAunknown',
+            CallStatus: 'busy',
+            To: '+12125550108'
+        });
+        assert.equal(response.status, 200);
+        assert.deepEqual(tagsFor('+12125550108'), []);
+    });
+
+    it('rejects callbacks without a valid Twilio signature', async () => {
+        const call = await placeCall('2125550109');
+        const params = { CallSid: call.callSid, CallStatus: 'busy' };
+
+        assert.equal((await ctx.twilioWebhook(call.path, params, { signature: '' })).status, 401);
+        assert.equal((await ctx.twilioWebhook(call.path, params, { signature: 'bm90IGEgc2lnbmF0dXJl' })).status, 403);
+        await wait(10);
+        assert.deepEqual(tagsFor('+12125550109'), []);
+    });
+});
@@ -0,0 +1,392 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { signRequest } from '../src/auth.js';
+import { API_KEY, PUBLIC_URL, startTestApp, wait } from './helpers.js';
+
+describe('/initiate-call', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestApp();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('requires an API key', async () => {
+        assert.equal((await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550201' }, {
+            headers: { 'X-API-Key': '' }
+        })).status, 401);
+        assert.equal((await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550201' }, {
+            headers: { 'X-API-Key': 'wrong-key' }
+        })).status, 403);
+        assert.equal(ctx.twilio.placed.length, 0);
+    });
+
+    it('accepts an HMAC signature only for the method, path and query it was made for', async () => {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const signed = (method, url, body = '') => ({
+            'X-API-Key': '',
+            'X-Timestamp': timestamp,
+            'X-Signature': `sha256=${signRequest(API_KEY, timestamp, method, url, body)}`
+        });
+
+        const body = { clientName: 'Jane Doe', phoneNumber: '2125550202' };
+        const response = await ctx.api('POST', '/initiate-call', body, { headers: signed('POST', '/initiate-call', JSON.stringify(body)) });
+        assert.equal(response.status, 200);
+
+        // An empty-body signature for one endpoint doesn't authorize a call on another
+        const headers = signed('GET', '/calls');
+        assert.equal((await ctx.api('GET', '/calls', undefined, { headers })).status, 200);
+        assert.equal((await ctx.api('GET', '/initiate-call?clientName=Jane%20Doe&phoneNumber=2125550203', undefined, { headers })).status, 403);
+        assert.equal((await ctx.api('GET', '/calls?status=queued', undefined, { headers })).status, 403);
+        assert.equal((await ctx.api('DELETE', '/calls', undefined, { headers })).status, 403);
+        assert.equal(ctx.twilio.placed.filter(call => call.to === '+12125550203').length, 0);
+    });
+
+    it('requires clientName and phoneNumber', async () => {
+        for (const body of [{}, { clientName: 'Jane Doe' }, { phoneNumber: '2125550201' }]) {
+            const response = await ctx.api('POST', '/initiate-call', body);
+            assert.equal(response.status, 400);
+            assert.match(response.body.error, /clientName and phoneNumber/);
+        }
+    });
+
+    it('rejects invalid phone numbers with the reason', async () => {
+        const response = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '12345' });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.reason, 'invalid');
+    });
+
+    it('rejects an unknown defaultRegion', async () => {
+        const response = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550201', defaultRegion: 'XX' });
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /defaultRegion/);
+    });
+
+    it('rejects variables that are not an object', async () => {
+        const response = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550201', variables: ['a'] });
+        assert.equal(response.status, 400);
+        assert.match(response.body.error, /variables/);
+    });
+
+    it('places the call through Twilio with the Ultravox session and status callback', async () => {
+        const response = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '(212) 555-0202' });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.success, true);
+
+        const placed = ctx.twilio.placed.find(call => call.sid === response.body.callSid);
+        assert.equal(placed.to, '+12125550202');
+        assert.equal(placed.from, '+15005550006');
+        assert.equal(placed.machineDetection, 'DetectMessageEnd');
+        assert.equal(placed.statusCallback, `${PUBLIC_URL}/call-status?clientName=Jane%20Doe&phoneNumber=%2B12125550202&eventId=ve0525`);
+        const answerUrl = new URL(placed.url);
+        assert.equal(answerUrl.pathname, '/call-answered');
+        assert.match(answerUrl.searchParams.get('joinUrl'), /^wss:\/\/ultravox\.test\/join\//);
+
+        const created = ctx.ultravox.requests.filter(request => request.method === 'POST').at(-1);
+        assert.match(created.body.systemPrompt, /Jane Doe/);
+        assert.deepEqual(created.body.selectedTools.map(tool => tool.temporaryTool.modelToolName).sort(),
+            ['addContact', 'doNotCall', 'recordAttendance', 'sendSMS']);
+
+        const record = (await ctx.api('GET', `/calls/${response.body.callSid}`)).body;
+        assert.equal(record.phoneNumber, '+12125550202');
+        assert.equal(record.eventId, 've0525');
+        assert.equal(record.status, 'queued');
+    });
+
+    it('gives each call a correlation ID, or keeps the caller\'s', async () => {
+        const response = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550206' });
+        assert.match(response.body.correlationId, /^[0-9a-f-]{36}$/);
+        assert.equal(response.headers.get('x-correlation-id'), response.body.correlationId);
+        assert.equal((await ctx.api('GET', `/calls/${response.body.callSid}`)).body.correlationId, response.body.correlationId);
+
+        const kept = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550207' }, {
+            headers: { 'X-Correlation-Id': 'crm-workflow-42' }
+        });
+        assert.equal(kept.body.correlationId, 'crm-workflow-42');
+
+        const replaced = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550208' }, {
+            headers: { 'X-Correlation-Id': 'not valid <script>' }
+        });
+        assert.notEqual(replaced.body.correlationId, 'not valid <script>');
+    });
+
+    it('accepts GET with query parameters', async () => {
+        const response = await ctx.api('GET', '/initiate-call?clientName=Sam%20Lee&phoneNumber=639171234567&userType=VIP');
+        assert.equal(response.status, 200);
+        const placed = ctx.twilio.placed.find(call => call.sid === response.body.callSid);
+        assert.equal(placed.to, '+639171234567');
+        assert.equal(new URL(placed.url).searchParams.get('userType'), 'VIP');
+    });
+
+    it('reads national numbers in defaultRegion', async () => {
+        const response = await ctx.api('POST', '/initiate-call', { clientName: 'Sam Lee', phoneNumber: '0917 123 4568', defaultRegion: 'PH' });
+        assert.equal(response.status, 200);
+        assert.equal(ctx.twilio.placed.find(call => call.sid === response.body.callSid).to, '+639171234568');
+    });
+
+    it('refuses numbers on the do-not-call list', async () => {
+        assert.equal((await ctx.api('POST', '/compliance/dnc', { phoneNumber: '2125550203' })).status, 201);
+        const response = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550203' });
+        assert.equal(response.status, 403);
+        assert.equal(response.body.reason, 'do-not-call');
+        assert.equal(ctx.twilio.placed.some(call => call.to === '+12125550203'), false);
+    });
+
+    it('reports unknown scripts', async () => {
+        const response = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550204', scriptId: 'nope' });
+        assert.equal(response.status, 404);
+    });
+
+    it('logs a dial failure when Ultravox is unavailable', async () => {
+        ctx.ultravox.failCalls = true;
+        const before = ctx.ultravox.requests.filter(request => request.method === 'POST').length;
+        try {
+            const response = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550205' });
+            assert.equal(response.status, 500);
+            assert.match(response.body.message, /ultravox API error: 500/);
+            assert.equal(ctx.ultravox.requests.filter(request => request.method === 'POST').length - before, 4);
+        } finally {
+            ctx.ultravox.failCalls = false;
+        }
+        const { calls } = (await ctx.api('GET', '/calls?phoneNumber=%2B12125550205')).body;
+        assert.equal(calls[0].status, 'dial-failed');
+    });
+});
+
+describe('/call-answered', () => {
+    let ctx;
+    let call;
+
+    before(async () => {
+        ctx = await startTestApp();
+        const response = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550211' });
+        call = ctx.twilio.placed.find(placed => placed.sid === response.body.callSid);
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    function answer(AnsweredBy) {
+        return ctx.twilioWebhook(call.url.slice(PUBLIC_URL.length), { CallSid: call.sid, AnsweredBy });
+    }
+
+    it('connects people to the agent', async () => {
+        const response = await answer('human');
+        assert.match(response.body, /<Connect><Stream url="wss:\/\/ultravox\.test\/join\/\d+"\/><\/Connect>/);
+        assert.equal((await ctx.api('GET', `/calls/${call.sid}`)).body.answeredBy, 'human');
+    });
+
+    it('leaves the event\'s voicemail for machines', async () => {
+        const response = await answer('machine_end_beep');
+        assert.match(response.body, /<Say voice="Polly.Joanna">Hi Jane Doe, this is Claire from The Visibility Event/);
+        assert.match(response.body, /<Hangup\/>/);
+        assert.equal((await ctx.api('GET', `/calls/${call.sid}`)).body.voicemail, 'message');
+    });
+
+    it('hangs up on fax machines', async () => {
+        const response = await answer('fax');
+        assert.match(response.body, /<Response><Hangup\/><\/Response>/);
+    });
+
+    it('requires a Twilio signature', async () => {
+        const response = await ctx.twilioWebhook(call.url.slice(PUBLIC_URL.length), { CallSid: call.sid, AnsweredBy: 'human' }, {
+            signature: ''
+        });
+        assert.equal(response.status, 401);
+    });
+});
+
+describe('/voice-inbound', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestApp();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('connects callers returning a call with what we know about them', async () => {
+        await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550221', userType: 'VIP' });
+
+        const response = await ctx.twilioWebhook('/voice-inbound', { CallSid: 'CAinbound1', From: '+12125550221', To: '+15005550006' });
+        assert.match(response.body, /<Connect><Stream url="wss:\/\/ultravox\.test\/join\/\d+"\/><\/Connect>/);
+
+        const created = ctx.ultravox.requests.filter(request => request.method === 'POST').at(-1);
+        assert.equal(created.body.firstSpeaker, 'FIRST_SPEAKER_AGENT');
+        assert.match(created.body.systemPrompt, /Jane Doe/);
+
+        const record = (await ctx.api('GET', '/calls/CAinbound1')).body;
+        assert.equal(record.direction, 'inbound');
+        assert.equal(record.clientName, 'Jane Doe');
+        assert.equal(record.userType, 'VIP');
+    });
+
+    it('looks unknown callers up in the CRM', async () => {
+        ctx.crm.contacts.set('+12125550222', { id: 'contact-crm', name: 'Pat Kim', phone: '+12125550222' });
+        await ctx.twilioWebhook('/voice-inbound', { CallSid: 'CAinbound2', From: '+12125550222', To: '+15005550006' });
+        assert.equal((await ctx.api('GET', '/calls/CAinbound2')).body.clientName, 'Pat Kim');
+    });
+
+    it('still answers callers nobody knows', async () => {
+        const response = await ctx.twilioWebhook('/voice-inbound', { CallSid: 'CAinbound3', From: '+12125550223', To: '+15005550006' });
+        assert.match(response.body, /<Connect>/);
+        assert.equal((await ctx.api('GET', '/calls/CAinbound3')).body.clientName, null);
+    });
+
+    it('apologizes when the agent can\'t be reached', async () => {
+        ctx.ultravox.failCalls = true;
+        try {
+            const response = await ctx.twilioWebhook('/voice-inbound', { CallSid: 'CAinbound4', From: '+12125550224', To: '+15005550006' });
+            assert.match(response.body, /<Say>Sorry, we can't take your call right now/);
+        } finally {
+            ctx.ultravox.failCalls = false;
+        }
+    });
+});
+
+describe('/initiate-call agent settings', () => {
+    let ctx;
+    let scriptsDir;
+
+    before(async () => {
+        // A script with its own agent settings, saved next to copies of the real ones
+        scriptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confirm-attendance-scripts-'));
+        fs.cpSync(new URL('../scripts', import.meta.url), scriptsDir, { recursive: true });
+        ctx = await startTestApp({
+            env: {
+                SCRIPTS_DIR: scriptsDir,
+                ALLOWED_VOICES: 'voice-ph,voice-warm',
+                ALLOWED_LANGUAGES: 'fil',
+                ALLOWED_CALLER_IDS: '+639171230000',
+                // Machines get a voicemail from the agent, so its session can be checked too
+                VOICEMAIL_MODE: 'agent'
+            }
+        });
+    });
+
+    after(async () => {
+        await ctx.close();
+        fs.rmSync(scriptsDir, { recursive: true, force: true });
+    });
+
+    function lastUltravoxCall() {
+        return ctx.ultravox.requests.filter(request => request.method === 'POST').at(-1).body;
+    }
+
+    it('uses the configured defaults', async () => {
+        const response = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550221' });
+        assert.equal(response.status, 200);
+        const created = lastUltravoxCall();
+        assert.equal(created.model, 'fixie-ai/ultravox-70B');
+        assert.equal(created.voice, 'b0e6b5c1-3100-44d5-8578-9015aa3023ae');
+        assert.equal(created.temperature, 0.4);
+        assert.equal(created.firstSpeaker, 'FIRST_SPEAKER_USER');
+        assert.equal(created.maxDuration, undefined);
+    });
+
+    it('applies allowed overrides to the Ultravox session and the caller ID', async () => {
+        const agent = { voice: 'voice-ph', temperature: 0.7, firstSpeaker: 'agent', maxDuration: 300, language: 'fil', callerId: '+639171230000' };
+        const response = await ctx.api('POST', '/initiate-call', { clientName: 'Sam Lee', phoneNumber: '639171234570', agent });
+        assert.equal(response.status, 200);
+
+        const created = lastUltravoxCall();
+        assert.equal(created.voice, 'voice-ph');
+        assert.equal(created.temperature, 0.7);
+        assert.equal(created.firstSpeaker, 'FIRST_SPEAKER_AGENT');
+        assert.equal(created.maxDuration, '300s');
+        assert.equal(created.languageHint, 'fil');
+        assert.equal(ctx.twilio.placed.find(call => call.sid === response.body.callSid).from, '+639171230000');
+
+        const record = (await ctx.api('GET', `/calls/${response.body.callSid}`)).body;
+        assert.equal(record.agent.voice, 'voice-ph');
+        assert.equal(record.agent.callerId, '+639171230000');
+    });
+
+    it('accepts overrides in the query string', async () => {
+        const response = await ctx.api('GET', '/initiate-call?clientName=Sam%20Lee&phoneNumber=2125550222&agent[voice]=voice-warm&agent[temperature]=0.5');
+        assert.equal(response.status, 200);
+        assert.equal(lastUltravoxCall().voice, 'voice-warm');
+        assert.equal(lastUltravoxCall().temperature, 0.5);
+    });
+
+    it('refuses settings off the allow-lists before anything is dialed', async () => {
+        const before = ctx.ultravox.requests.length;
+        for (const [agent, field] of [
+            [{ model: 'fixie-ai/ultravox-premium' }, 'model'],
+            [{ callerId: '+12125550100' }, 'callerId'],
+            [{ temperature: 3 }, 'temperature'],
+            [{ speed: 2 }, 'speed']
+        ]) {
+            const response = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550223', agent });
+            assert.equal(response.status, 400);
+            assert.equal(response.body.field, field);
+        }
+        assert.equal(ctx.ultravox.requests.length, before);
+        assert.equal(ctx.twilio.placed.some(call => call.to === '+12125550223'), false);
+        assert.equal((await ctx.api('GET', '/retries')).body.retries.some(entry => entry.phoneNumber === '+12125550223'), false);
+    });
+
+    it('takes a script\'s settings, which the request can override', async () => {
+        const refused = await ctx.api('PUT', '/scripts/ph-script', { template: 'Hello {{clientName}}.', agent: { voice: 'unknown' } });
+        assert.equal(refused.status, 400);
+        assert.match(refused.body.error, /voice must be one of/);
+
+        const saved = await ctx.api('PUT', '/scripts/ph-script', { template: 'Hello {{clientName}}.', agent: { voice: 'voice-ph', language: 'fil' } });
+        assert.equal(saved.status, 201);
+        assert.deepEqual(saved.body.agent, { voice: 'voice-ph', language: 'fil' });
+        assert.match(fs.readFileSync(path.join(scriptsDir, 'ph-script', 'v1.md'), 'utf8'), /^agent: \{"voice":"voice-ph","language":"fil"\}$/m);
+
+        await ctx.api('POST', '/initiate-call', { clientName: 'Sam Lee', phoneNumber: '2125550224', scriptId: 'ph-script' });
+        assert.equal(lastUltravoxCall().voice, 'voice-ph');
+        assert.equal(lastUltravoxCall().languageHint, 'fil');
+
+        await ctx.api('POST', '/initiate-call', { clientName: 'Sam Lee', phoneNumber: '2125550225', scriptId: 'ph-script', agent: { voice: 'voice-warm' } });
+        assert.equal(lastUltravoxCall().voice, 'voice-warm');
+        assert.equal(lastUltravoxCall().languageHint, 'fil');
+    });
+
+    it('leaves voicemails with the call\'s settings and answers call-backs with the script\'s', async () => {
+        // The call placed with request overrides earlier
+        const placed = ctx.twilio.placed.find(call => call.to === '+639171234570');
+        const answered = await ctx.twilioWebhook(placed.url.slice(PUBLIC_URL.length), { CallSid: placed.sid, AnsweredBy: 'machine_end_beep' });
+        assert.match(answered.body, /<Connect><Stream/);
+        assert.equal(lastUltravoxCall().voice, 'voice-ph');
+        assert.equal(lastUltravoxCall().temperature, 0.7);
+        assert.equal(lastUltravoxCall().languageHint, 'fil');
+        assert.deepEqual(lastUltravoxCall().selectedTools, [{ toolName: 'hangUp' }]);
+
+        // A call-back on the script that has its own settings
+
+        await ctx.twilioWebhook('/voice-inbound', { CallSid: 'CAagent1', From: '+12125550225', To: '+15005550006' });
+        assert.equal(lastUltravoxCall().voice, 'voice-ph');
+        assert.equal(lastUltravoxCall().languageHint, 'fil');
+        assert.equal((await ctx.api('GET', '/calls/CAagent1')).body.agent.voice, 'voice-ph');
+    });
+
+    it('keeps a campaign\'s settings for its calls', async () => {
+        assert.equal((await ctx.api('POST', '/campaigns', { agent: { voice: 'unknown' } })).status, 400);
+
+        const created = await ctx.api('POST', '/campaigns', {
+            name: 'VIPs',
+            agent: { temperature: '0.6' },
+            contacts: [{ clientName: 'Ann Lee', phoneNumber: '2125550226', userType: 'VIP' }]
+        });
+        assert.equal(created.status, 201);
+        assert.deepEqual(created.body.script.agent, { temperature: 0.6 });
+
+        await ctx.api('POST', `/campaigns/${created.body.id}/start`);
+        await wait(50);
+        assert.ok(ctx.twilio.placed.some(call => call.to === '+12125550226'));
+        assert.equal(lastUltravoxCall().temperature, 0.6);
+        await ctx.api('POST', `/campaigns/${created.body.id}/cancel`);
+    });
+});
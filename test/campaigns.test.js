@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCampaignManager } from '../src/campaigns.js';
+import { wait } from './helpers.js';
+
+// A manager whose calls are placed by a counter; `store` is shared to act out a restart
+function createTestManager(store) {
+    let placed = 0;
+    const manager = createCampaignManager({
+        store,
+        placeCall: async () => `CA${++placed}`,
+        resolveScript: async () => ({ id: 'default', version: 1 })
+    });
+    return manager;
+}
+
+// What a restart reads back from campaigns.json
+function reload(store) {
+    return { data: JSON.parse(JSON.stringify(store.data)), save() {} };
+}
+
+describe('campaign manager', () => {
+    it('finds its campaigns and their calls again after a restart', async () => {
+        const store = { data: { campaigns: {}, callIndex: {} }, save() {} };
+        const before = createTestManager(store);
+        const campaign = await before.createCampaign({ name: 'Day one' });
+        const { added: [first] } = before.addContacts(campaign.id, [{ clientName: 'Ann Lee', phoneNumber: '+12125550801' }]);
+        before.start(campaign.id);
+        await wait(10);
+        before.stopTimers();
+
+        const after = createTestManager(reload(store));
+        after.restore();
+        assert.equal(after.getCampaign(campaign.id).name, 'Day one');
+        // The status callback of the call placed before the restart still reaches its contact
+        assert.equal(after.handleCallStatus('CA1', 'no-answer'), true);
+        assert.equal(after.getCampaign(campaign.id).contacts[0].state, 'failed');
+        // And a retry can put the contact back in the queue
+        assert.equal(after.requeueContact(campaign.id, first.id).state, 'dialing');
+        after.stopTimers();
+    });
+
+    it('does not dial again a contact interrupted while dialing', async () => {
+        const store = { data: { campaigns: {}, callIndex: {} }, save() {} };
+        const manager = createTestManager(store);
+        const campaign = await manager.createCampaign({});
+        manager.addContacts(campaign.id, [{ clientName: 'Ann Lee', phoneNumber: '+12125550802' }]);
+        Object.assign(campaign.contacts[0], { state: 'dialing', attempts: 1 });
+        campaign.status = 'running';
+
+        const restarted = createTestManager(reload(store));
+        restarted.restore();
+        const [contact] = restarted.getCampaign(campaign.id).contacts;
+        assert.equal(contact.state, 'failed');
+        assert.match(contact.error, /Interrupted by a restart/);
+        assert.equal(contact.attempts, 1);
+        restarted.stopTimers();
+    });
+
+    it('does not mistake inherited names for campaign ids', () => {
+        const manager = createTestManager({ data: { campaigns: {}, callIndex: {} }, save() {} });
+        assert.throws(() => manager.getCampaign('constructor'), { status: 404 });
+        assert.equal(manager.handleCallStatus('toString', 'completed'), false);
+    });
+});
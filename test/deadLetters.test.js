@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDeadLetterQueue } from '../src/deadLetters.js';
+import { createFakeCrm, startTestApp, statusCallbackPath } from './helpers.js';
+
+// A queue kept in memory whose replays wait until the test lets them finish
+function createTestQueue() {
+    const sent = [];
+    const pending = [];
+    const queue = createDeadLetterQueue({
+        store: { data: { letters: [] }, save() {} },
+        handlers: {
+            'crm-tag': {
+                replay: payload => new Promise(resolve => {
+                    sent.push(payload.tag);
+                    pending.push(resolve);
+                })
+            }
+        }
+    });
+    const finishAll = () => pending.splice(0).forEach(resolve => resolve());
+    return { queue, sent, finishAll };
+}
+
+describe('dead-letter queue', () => {
+    it('keeps the other letters when one is discarded while it is replayed', async () => {
+        const { queue, sent, finishAll } = createTestQueue();
+        const first = queue.add('crm-tag', { tag: 'first' }, new Error('GHL down'));
+        queue.add('crm-tag', { tag: 'second' }, new Error('GHL down'));
+
+        const retried = queue.retry(first.id);
+        queue.discard(first.id);
+        finishAll();
+        await retried;
+
+        assert.deepEqual(sent, ['first']);
+        assert.deepEqual(queue.list().map(letter => letter.payload.tag), ['second']);
+    });
+
+    it('sends a letter once when it is retried during a replay pass', async () => {
+        const { queue, sent, finishAll } = createTestQueue();
+        const first = queue.add('crm-tag', { tag: 'first' }, new Error('GHL down'));
+        queue.add('crm-tag', { tag: 'second' }, new Error('GHL down'));
+        queue.add('crm-tag', { tag: 'third' }, new Error('GHL down'));
+
+        const pass = queue.replayPending();
+        const retried = queue.retry(first.id);
+        // The pass moves on to the next letter each time the current one is through
+        for (let turn = 0; turn < 10 && queue.list().length > 0; turn++) {
+            finishAll();
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        await Promise.all([pass, retried]);
+
+        assert.deepEqual(sent, ['first', 'second', 'third']);
+        assert.deepEqual(queue.list(), []);
+    });
+
+    it('skips letters discarded after a pass began', async () => {
+        const { queue, sent, finishAll } = createTestQueue();
+        queue.add('crm-tag', { tag: 'first' }, new Error('GHL down'));
+        const second = queue.add('crm-tag', { tag: 'second' }, new Error('GHL down'));
+
+        const pass = queue.replayPending();
+        queue.discard(second.id);
+        finishAll();
+        assert.equal(await pass, 1);
+        assert.deepEqual(sent, ['first']);
+    });
+});
+
+describe('dead-lettered tag writes', () => {
+    it('redo only the steps that failed when replayed', async () => {
+        const crm = createFakeCrm();
+        let lookups = 0;
+        const findOrCreateContact = crm.findOrCreateContact;
+        crm.findOrCreateContact = async params => {
+            lookups += 1;
+            return findOrCreateContact(params);
+        };
+        // The note fails once, after the contact was found and tagged
+        let noteFailures = 1;
+        const addNote = crm.addNote;
+        crm.addNote = async (contact, body) => {
+            if (noteFailures-- > 0) throw new Error('CRM unavailable');
+            return addNote(contact, body);
+        };
+
+        const ctx = await startTestApp({ crm });
+        try {
+            const response = await ctx.api('POST', '/initiate-call', { clientName: 'Lee Park', phoneNumber: '2125550614' });
+            const placed = ctx.twilio.placed.find(call => call.sid === response.body.callSid);
+            await ctx.twilioWebhook(statusCallbackPath(placed), { CallSid: placed.sid, CallStatus: 'busy', To: placed.to });
+
+            const { deadLetters } = (await ctx.api('GET', '/dead-letters?status=pending')).body;
+            assert.equal(deadLetters.length, 1);
+            assert.equal(deadLetters[0].payload.tagged, true);
+
+            assert.equal((await ctx.api('POST', `/dead-letters/${deadLetters[0].id}/retry`)).status, 200);
+            assert.equal(lookups, 1);
+            assert.deepEqual(crm.tags.filter(tag => tag.phoneNumber === '+12125550614').map(tag => tag.tag), ['events -> ve0525flash-call-busy']);
+            assert.equal(crm.notes.filter(note => note.phoneNumber === '+12125550614').length, 1);
+        } finally {
+            await ctx.close();
+        }
+    });
+});
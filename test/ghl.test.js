@@ -0,0 +1,188 @@
+import http from 'node:http';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGhlAdapter, GhlError } from '../src/crm/ghl.js';
+import { startTestApp, statusCallbackPath } from './helpers.js';
+
+// Local stand-in for the GHL API (what GHL_API_URL is for); records requests, answers from `contacts`.
+// Setting `outage` makes tag writes fail with 500 as if GHL were down.
+function startFakeGhl() {
+    const requests = [];
+    const contacts = [];
+    const fake = { outage: false };
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : null;
+            requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization, body });
+            res.setHeader('Content-Type', 'application/json');
+
+            const url = new URL(req.url, 'http://ghl.test');
+            if (req.headers.authorization !== 'Bearer ghl-key') {
+                res.statusCode = 401;
+                return res.end(JSON.stringify({ msg: 'Invalid API key' }));
+            }
+            if (req.method === 'GET' && url.pathname === '/contacts/') {
+                return res.end(JSON.stringify({ contacts: contacts.slice(0, Number(url.searchParams.get('limit'))) }));
+            }
+            if (req.method === 'GET' && url.pathname === '/contacts/search') {
+                const query = url.searchParams.get('query');
+                return res.end(JSON.stringify({ contacts: contacts.filter(contact => contact.phone.replace(/\D/g, '') === query) }));
+            }
+            if (req.method === 'POST' && url.pathname === '/contacts') {
+                const contact = { id: `ghl-${contacts.length + 1}`, ...body };
+                contacts.push(contact);
+                return res.end(JSON.stringify({ contact }));
+            }
+            if (fake.outage && url.pathname.endsWith('/tags')) {
+                res.statusCode = 500;
+                return res.end(JSON.stringify({ message: 'Service unavailable' }));
+            }
+            if (url.pathname === '/contacts/broken/tags') {
+                res.statusCode = 422;
+                return res.end(JSON.stringify({ message: 'Unprocessable' }));
+            }
+            res.end('');
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(Object.assign(fake, {
+            url: `http://127.0.0.1:${server.address().port}`,
+            requests,
+            contacts,
+            close: () => new Promise(done => server.close(done))
+        })));
+    });
+}
+
+describe('GHL adapter', () => {
+    let ghl;
+    let adapter;
+
+    before(async () => {
+        ghl = await startFakeGhl();
+        adapter = createGhlAdapter({ apiKey: 'ghl-key', locationId: 'loc-1', baseUrl: ghl.url });
+    });
+
+    after(async () => {
+        await ghl.close();
+    });
+
+    it('needs an API key and location', () => {
+        assert.throws(() => createGhlAdapter({ apiKey: 'ghl-key' }), /GHL_API_KEY and GHL_LOCATION_ID/);
+    });
+
+    it('creates contacts it can\'t find, splitting the name', async () => {
+        const contact = await adapter.findOrCreateContact({ phoneNumber: '+12125550601', name: 'Mary Ann Smith' });
+        assert.equal(contact.id, 'ghl-1');
+
+        const [search, create] = ghl.requests.slice(-2);
+        assert.equal(search.url, '/contacts/search?query=12125550601');
+        assert.equal(search.authorization, 'Bearer ghl-key');
+        assert.deepEqual(create.body, { firstName: 'Mary', lastName: 'Ann Smith', phone: '+12125550601', locationId: 'loc-1' });
+    });
+
+    it('finds existing contacts and fills in their name', async () => {
+        ghl.contacts.push({ id: 'ghl-existing', phone: '+1 212-555-0602', firstName: 'Pat', lastName: 'Kim' });
+        const contact = await adapter.findOrCreateContact({ phoneNumber: '+12125550602', name: 'Someone Else' });
+        assert.equal(contact.id, 'ghl-existing');
+        assert.equal(contact.name, 'Pat Kim');
+        assert.equal(ghl.requests.at(-1).method, 'GET');
+    });
+
+    it('applies the tag without the legacy prefix and removes the old ones', async () => {
+        await adapter.applyOutcomeTag({ id: 'ghl-1' }, 'update: events -> ve0525-confirm-yes', {
+            removeTags: ['events -> ve0525-confirm-call-initiated']
+        });
+        const [add, remove] = ghl.requests.slice(-2);
+        assert.deepEqual(add, { method: 'POST', url: '/contacts/ghl-1/tags', authorization: 'Bearer ghl-key', body: { tags: ['ve0525-confirm-yes'] } });
+        assert.deepEqual(remove.body, { tags: ['ve0525-confirm-call-initiated'] });
+        assert.equal(remove.method, 'DELETE');
+    });
+
+    it('raises a GhlError with the status when GHL refuses', async () => {
+        await assert.rejects(adapter.applyOutcomeTag({ id: 'broken' }, 'x'), error => {
+            assert.ok(error instanceof GhlError);
+            assert.equal(error.status, 422);
+            assert.match(error.message, /Unprocessable/);
+            return true;
+        });
+    });
+
+    it('verifies its credentials with a one-contact listing', async () => {
+        assert.deepEqual(await adapter.verifyAccess(), { locationId: 'loc-1' });
+        assert.equal(ghl.requests.at(-1).url, '/contacts/?locationId=loc-1&limit=1');
+
+        const revoked = createGhlAdapter({ apiKey: 'old-key', locationId: 'loc-1', baseUrl: ghl.url });
+        await assert.rejects(revoked.verifyAccess(), error => error instanceof GhlError && error.status === 401);
+    });
+
+    it('tags busy calls in GHL end to end', async () => {
+        const ctx = await startTestApp({
+            crm: null,
+            env: { CRM_PROVIDER: 'ghl', GHL_API_KEY: 'ghl-key', GHL_LOCATION_ID: 'loc-1', GHL_API_URL: ghl.url }
+        });
+        try {
+            const response = await ctx.api('POST', '/initiate-call', { clientName: 'Lee Park', phoneNumber: '2125550603' });
+            const placed = ctx.twilio.placed.find(call => call.sid === response.body.callSid);
+            await ctx.twilioWebhook(statusCallbackPath(placed), { CallSid: placed.sid, CallStatus: 'busy', To: placed.to });
+
+            const contact = ghl.contacts.find(item => item.phone === '+12125550603');
+            assert.deepEqual(ghl.requests.filter(request => request.url === `/contacts/${contact.id}/tags`).map(request => request.body),
+                [{ tags: ['ve0525flash-call-busy'] }]);
+            const note = ghl.requests.find(request => request.url === `/contacts/${contact.id}/notes`);
+            assert.match(note.body.body, new RegExp(`Attendance call ${placed.sid}: tagged "events -> ve0525flash-call-busy"`));
+        } finally {
+            await ctx.close();
+        }
+    });
+
+    it('dead-letters tag writes during a GHL outage and replays them', async () => {
+        const ctx = await startTestApp({
+            crm: null,
+            env: { CRM_PROVIDER: 'ghl', GHL_API_KEY: 'ghl-key', GHL_LOCATION_ID: 'loc-1', GHL_API_URL: ghl.url }
+        });
+        ghl.outage = true;
+        try {
+            const response = await ctx.api('POST', '/initiate-call', { clientName: 'Lee Park', phoneNumber: '2125550604' });
+            const placed = ctx.twilio.placed.find(call => call.sid === response.body.callSid);
+            const status = await ctx.twilioWebhook(statusCallbackPath(placed), { CallSid: placed.sid, CallStatus: 'no-answer', To: placed.to });
+            assert.equal(status.status, 200);
+
+            const { deadLetters, circuits } = (await ctx.api('GET', '/dead-letters?status=pending')).body;
+            assert.equal(deadLetters.length, 1);
+            assert.equal(deadLetters[0].type, 'crm-tag');
+            assert.equal(deadLetters[0].payload.phoneNumber, '+12125550604');
+            assert.equal(deadLetters[0].payload.tag, 'events -> ve0525flash-call-no-answer');
+            assert.match(deadLetters[0].error, /500/);
+            assert.deepEqual(circuits.map(circuit => circuit.name).sort(), ['crm', 'twilio', 'ultravox']);
+
+            const failed = await ctx.api('POST', `/dead-letters/${deadLetters[0].id}/retry`);
+            assert.equal(failed.status, 502);
+            assert.equal((await ctx.api('GET', `/dead-letters/${deadLetters[0].id}`)).body.attempts, 1);
+
+            ghl.outage = false;
+            const replay = await ctx.api('POST', '/dead-letters/retry');
+            assert.deepEqual(replay.body, { replayed: 1, remaining: 0 });
+            const contact = ghl.contacts.find(item => item.phone === '+12125550604');
+            assert.deepEqual(ghl.requests.filter(request => request.url === `/contacts/${contact.id}/tags` && request.method === 'POST').at(-1).body,
+                { tags: ['ve0525flash-call-no-answer'] });
+            assert.equal((await ctx.api('GET', `/dead-letters/${deadLetters[0].id}`)).status, 404);
+        } finally {
+            ghl.outage = false;
+            await ctx.close();
+        }
+    });
+
+    it('validates dead-letter filters', async () => {
+        const ctx = await startTestApp();
+        try {
+            assert.equal((await ctx.api('GET', '/dead-letters?status=lost')).status, 400);
+            assert.equal((await ctx.api('DELETE', '/dead-letters/nope')).status, 404);
+            assert.equal((await ctx.api('GET', '/dead-letters', undefined, { headers: { 'X-API-Key': '' } })).status, 401);
+        } finally {
+            await ctx.close();
+        }
+    });
+});
@@ -0,0 +1,201 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import twilio from 'twilio';
+import { createApp } from '../src/app.js';
+
+export const API_KEY = 'test-api-key';
+export const AUTH_TOKEN = 'test-auth-token';
+// Twilio signs the public URL, which differs from the local one the tests send to
+export const PUBLIC_URL = 'https://calls.example.test';
+
+export const TEST_ENV = {
+    TWILIO_ACCOUNT_SID: 'ACtest',
+    TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+    TWILIO_PHONE_NUMBER: '+15005550006',
+    ULTRAVOX_API_KEY: 'test-ultravox-key',
+    API_KEYS: API_KEY,
+    SERVER_BASE_URL: PUBLIC_URL,
+    // Any time of day is inside calling hours, so tests don't depend on the clock
+    CALLING_HOURS_START: '00:00',
+    CALLING_HOURS_END: '23:59',
+    // Retries of failed provider requests shouldn't slow the tests down
+    OUTBOUND_RETRY_DELAY_MS: '1',
+    OUTBOUND_MAX_RETRY_DELAY_MS: '5'
+};
+
+// Stand-in for the parts of the Twilio client the app uses; records what was asked of it.
+// `accountStatus` is what an account lookup reports (suspended accounts can't place calls).
+export function createFakeTwilio() {
+    const placed = [];
+    const sent = [];
+    const updates = [];
+    const calls = Object.assign(sid => ({
+        update: async params => {
+            updates.push({ sid, ...params });
+            return { sid, status: params.status };
+        }
+    }), {
+        create: async params => {
+            const call = { sid: `CA${String(placed.length + 1).padStart(32, '0')}`, status: 'queued' };
+            placed.push({ ...params, sid: call.sid });
+            return call;
+        }
+    });
+    const messages = {
+        create: async params => {
+            const message = { sid: `SM${String(sent.length + 1).padStart(32, '0')}`, status: 'queued' };
+            sent.push({ ...params, sid: message.sid });
+            return message;
+        }
+    };
+    const fake = { calls, messages, placed, sent, updates, accountStatus: 'active' };
+    fake.api = { v2010: { accounts: sid => ({ fetch: async () => ({ sid, status: fake.accountStatus }) }) } };
+    return fake;
+}
+
+// In-memory CRM adapter with the same interface as src/crm/*. Set `accessError` to have
+// verifyAccess() fail with it, as if the credentials had been revoked.
+export function createFakeCrm() {
+    const contacts = new Map();
+    const tags = [];
+    const notes = [];
+    return {
+        name: 'fake',
+        contacts,
+        tags,
+        notes,
+        accessError: null,
+        async verifyAccess() {
+            if (this.accessError) throw new Error(this.accessError);
+            return { contacts: contacts.size };
+        },
+        async findContact({ phoneNumber }) {
+            return contacts.get(phoneNumber) || null;
+        },
+        async findOrCreateContact({ phoneNumber, name }) {
+            if (!contacts.has(phoneNumber)) {
+                contacts.set(phoneNumber, { id: `contact-${contacts.size + 1}`, name, phone: phoneNumber });
+            }
+            return contacts.get(phoneNumber);
+        },
+        async applyOutcomeTag(contact, tag, { removeTags = [] } = {}) {
+            tags.push({ phoneNumber: contact.phone, tag, removeTags });
+        },
+        async addNote(contact, body) {
+            notes.push({ phoneNumber: contact.phone, body });
+        }
+    };
+}
+
+// Answers Ultravox API requests and passes everything else (the tests' own requests) through.
+// Set `failCalls` to have call creation answer 500, `rejectKey` to have every request answer 401
+// and `callsInProgress` to have calls not ended yet.
+function mockUltravox() {
+    const realFetch = globalThis.fetch;
+    const requests = [];
+    const mock = { requests, failCalls: false, rejectKey: false, callsInProgress: false };
+    let created = 0;
+    globalThis.fetch = async (url, options = {}) => {
+        const target = url.toString();
+        if (!target.startsWith('https://api.ultravox.ai/')) {
+            return realFetch(url, options);
+        }
+        const body = options.body ? JSON.parse(options.body) : null;
+        requests.push({ url: target, method: options.method || 'GET', body });
+        if (mock.rejectKey) {
+            return Response.json({ detail: 'Invalid API key' }, { status: 401 });
+        }
+        if (target.endsWith('/api/calls') && options.method === 'POST') {
+            if (mock.failCalls) {
+                return new Response('upstream unavailable', { status: 500 });
+            }
+            created += 1;
+            return Response.json({ callId: `uv-${created}`, joinUrl: `wss://ultravox.test/join/${created}` });
+        }
+        // Calls have ended unless `callsInProgress`, so transcript fetches don't wait for them
+        const callMatch = target.match(/\/api\/calls\/([^/?]+)$/);
+        if (callMatch) {
+            const now = new Date().toISOString();
+            if (mock.callsInProgress) {
+                return Response.json({ callId: callMatch[1], joined: now, ended: null });
+            }
+            return Response.json({ callId: callMatch[1], joined: now, ended: now, endReason: 'hangup' });
+        }
+        return Response.json({ results: [] });
+    };
+    mock.restore = () => { globalThis.fetch = realFetch; };
+    return mock;
+}
+
+/**
+ * Builds the app with fake Twilio, Ultravox and CRM on a random port and a fresh DATA_DIR.
+ * Pass `crm: null` to use the adapter CRM_PROVIDER selects instead. Call close() when done.
+ */
+export async function startTestApp({ env = {}, crm = createFakeCrm() } = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confirm-attendance-test-'));
+
+    const fakeTwilio = createFakeTwilio();
+    const ultravox = mockUltravox();
+    const { app, stop } = createApp({ env: { ...TEST_ENV, DATA_DIR: dataDir, ...env }, twilioClient: fakeTwilio, crmAdapter: crm });
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    async function parse(response) {
+        const text = await response.text();
+        let body = text;
+        try {
+            body = JSON.parse(text);
+        } catch {
+            // TwiML, CSV and HTML stay text
+        }
+        return { status: response.status, headers: response.headers, body };
+    }
+
+    // Request with the API key; `body` is sent as JSON
+    async function api(method, pathname, body, { headers = {} } = {}) {
+        const response = await fetch(`${baseUrl}${pathname}`, {
+            method,
+            headers: {
+                'X-API-Key': API_KEY,
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        return parse(response);
+    }
+
+    // Form-encoded POST signed like Twilio signs its webhooks
+    async function twilioWebhook(pathname, params, { signature } = {}) {
+        const response = await fetch(`${baseUrl}${pathname}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'X-Twilio-Signature': signature ?? twilio.getExpectedTwilioSignature(AUTH_TOKEN, `${PUBLIC_URL}${pathname}`, params)
+            },
+            body: new URLSearchParams(params)
+        });
+        return parse(response);
+    }
+
+    async function close() {
+        await new Promise(resolve => server.close(resolve));
+        stop();
+        ultravox.restore();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    return { baseUrl, api, twilioWebhook, twilio: fakeTwilio, crm, ultravox, dataDir, close };
+}
+
+// Path and query of the status callback URL a placed call gave Twilio
+export function statusCallbackPath(placedCall) {
+    return placedCall.statusCallback.slice(PUBLIC_URL.length);
+}
+
+export function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
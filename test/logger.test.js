@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, maskPhone, redact } from '../src/logger.js';
+
+function captureLogger(options) {
+    const lines = [];
+    const log = createLogger({ ...options, write: (level, line) => lines.push({ level, entry: JSON.parse(line) }) });
+    return { log, lines };
+}
+
+describe('redact', () => {
+    it('masks phone numbers to their last four digits', () => {
+        assert.equal(maskPhone('+12125550101'), '***0101');
+        assert.deepEqual(redact({ phoneNumber: '+12125550101', To: '(212) 555-0102', callSid: 'CA123' }), {
+            phoneNumber: '***0101',
+            To: '***0102',
+            callSid: 'CA123'
+        });
+    });
+
+    it('masks E.164 numbers inside other strings', () => {
+        assert.equal(redact('No retries left for +12125550101 after 3 attempts'), 'No retries left for ***0101 after 3 attempts');
+        assert.equal(redact('2025-05-20T09:00:00Z'), '2025-05-20T09:00:00Z');
+    });
+
+    it('masks numbers written without a "+" inside free text', () => {
+        assert.deepEqual(redact({ error: '"2125550101" is not a valid phone number (numbers without a country code are read as US)' }), {
+            error: '"***0101" is not a valid phone number (numbers without a country code are read as US)'
+        });
+        assert.equal(redact('Call 639171234567 back'), 'Call ***4567 back');
+        // Ids and short numbers stay readable
+        assert.equal(redact('CA1234567890abcdef after 3 attempts, job 42'), 'CA1234567890abcdef after 3 attempts, job 42');
+    });
+
+    it('replaces message bodies with their length', () => {
+        assert.deepEqual(redact({ from: '+12125550101', body: 'YES see you there' }), { from: '***0101', body: '[17 chars]' });
+        assert.deepEqual(redact({ phoneNumber: '+12125550101', reason: 'Call +12125550102 instead' }), {
+            phoneNumber: '***0101',
+            reason: '[25 chars]'
+        });
+    });
+
+    it('keeps what matters from errors', () => {
+        const error = Object.assign(new Error('Could not reach +12125550101'), { code: 'ECONNRESET' });
+        const redacted = redact({ error });
+        assert.equal(redacted.error.message, 'Could not reach ***0101');
+        assert.equal(redacted.error.code, 'ECONNRESET');
+        assert.match(redacted.error.stack, /Could not reach \*\*\*0101/);
+    });
+});
+
+describe('createLogger', () => {
+    it('writes one JSON entry per call with the bindings of its children', () => {
+        const { log, lines } = captureLogger({ level: 'info', bindings: { module: 'app' } });
+        log.child({ correlationId: 'abc' }).info('Placing call', { phoneNumber: '+12125550101' });
+        assert.equal(lines.length, 1);
+        const { level, entry } = lines[0];
+        assert.equal(level, 'info');
+        assert.equal(entry.msg, 'Placing call');
+        assert.equal(entry.module, 'app');
+        assert.equal(entry.correlationId, 'abc');
+        assert.equal(entry.phoneNumber, '***0101');
+        assert.ok(!Number.isNaN(Date.parse(entry.time)));
+    });
+
+    it('drops entries below its level', () => {
+        const { log, lines } = captureLogger({ level: 'warn' });
+        log.debug('a');
+        log.info('b');
+        log.warn('c');
+        log.error('d', new Error('boom'));
+        assert.deepEqual(lines.map(line => line.entry.msg), ['c', 'd']);
+        assert.equal(lines[1].entry.error.message, 'boom');
+    });
+});
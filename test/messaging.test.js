@@ -0,0 +1,143 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './helpers.js';
+
+describe('/send-sms and /api/sms-webhook', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestApp();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('sends to the E.164 number and logs the message', async () => {
+        const response = await ctx.api('POST', '/send-sms', { phoneNumber: '(212) 555-0301', message: 'See you soon' });
+        assert.equal(response.status, 200);
+        const sent = ctx.twilio.sent.find(message => message.sid === response.body.messageSid);
+        assert.equal(sent.to, '+12125550301');
+        assert.equal(sent.from, '+15005550006');
+        assert.equal(sent.body, 'See you soon');
+    });
+
+    it('requires phoneNumber and message', async () => {
+        assert.equal((await ctx.api('POST', '/send-sms', { phoneNumber: '2125550301' })).status, 400);
+        assert.equal((await ctx.api('POST', '/send-sms', { message: 'Hi' })).status, 400);
+    });
+
+    it('refuses invalid numbers and landlines', async () => {
+        const invalid = await ctx.api('POST', '/send-sms', { phoneNumber: '12345', message: 'Hi' });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.reason, 'invalid');
+
+        const landline = await ctx.api('POST', '/send-sms', { phoneNumber: '+442079460000', message: 'Hi' });
+        assert.equal(landline.status, 400);
+        assert.equal(landline.body.reason, 'landline');
+    });
+
+    it('does not text numbers that opted out', async () => {
+        await ctx.api('POST', '/compliance/dnc', { phoneNumber: '2125550302' });
+        const response = await ctx.api('POST', '/send-sms', { phoneNumber: '2125550302', message: 'Hi' });
+        assert.equal(response.status, 403);
+        assert.equal(response.body.reason, 'do-not-call');
+    });
+
+    it('takes the agent\'s sendSMS tool call as recipient in the body or query', async () => {
+        const fromBody = await ctx.api('POST', '/api/sms-webhook', { recipient: '+12125550303', message: 'Details' });
+        assert.equal(fromBody.status, 200);
+        assert.equal(fromBody.body.success, true);
+
+        const fromQuery = await ctx.api('POST', '/api/sms-webhook?recipient=%2B12125550304&message=Details', {});
+        assert.equal(fromQuery.status, 200);
+        assert.deepEqual(ctx.twilio.sent.slice(-2).map(message => message.to), ['+12125550303', '+12125550304']);
+    });
+
+    it('answers the tool call with the reason a number was refused', async () => {
+        const missing = await ctx.api('POST', '/api/sms-webhook', { recipient: '+12125550305' });
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.success, false);
+
+        const invalid = await ctx.api('POST', '/api/sms-webhook', { recipient: 'nope', message: 'Details' });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.reason, 'invalid');
+    });
+});
+
+describe('/sms-inbound', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestApp();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    async function invite(phoneNumber, userType = 'non-VIP') {
+        const response = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber, userType });
+        assert.equal(response.status, 200);
+        return response.body.callSid;
+    }
+
+    function reply(From, Body) {
+        return ctx.twilioWebhook('/sms-inbound', { MessageSid: `SMin${Date.now()}`, From, To: '+15005550006', Body });
+    }
+
+    it('confirms attendance on YES and tags the contact', async () => {
+        const callSid = await invite('2125550311');
+        const response = await reply('+12125550311', 'Yes!');
+        assert.match(response.headers.get('content-type'), /text\/xml/);
+        assert.match(response.body, /<Message>Thanks Jane Doe, you're confirmed for The Visibility Event!/);
+        assert.deepEqual(ctx.crm.tags.filter(entry => entry.phoneNumber === '+12125550311').map(entry => entry.tag),
+            ['events -> ve0525-confirm-yes']);
+        assert.deepEqual((await ctx.api('GET', `/calls/${callSid}`)).body.outcomes, ['confirmYes']);
+    });
+
+    it('uses the VIP tag for VIP guests', async () => {
+        await invite('2125550312', 'VIP');
+        await reply('+12125550312', 'no sorry');
+        assert.deepEqual(ctx.crm.tags.filter(entry => entry.phoneNumber === '+12125550312').map(entry => entry.tag),
+            ['events -> ve0525-vip-tuesday-confirm-no']);
+    });
+
+    it('answers anything else with the help text', async () => {
+        await invite('2125550313');
+        const response = await reply('+12125550313', 'what time is it?');
+        assert.match(response.body, /<Message>Reply YES to confirm your place at The Visibility Event/);
+        assert.equal(ctx.crm.tags.some(entry => entry.phoneNumber === '+12125550313'), false);
+    });
+
+    it('puts STOP senders on the do-not-call list and START takes them off', async () => {
+        await invite('2125550314');
+        const stop = await reply('+12125550314', 'STOP');
+        assert.equal(stop.body, '<?xml version="1.0" encoding="UTF-8"?><Response/>');
+        const { entries } = (await ctx.api('GET', '/compliance/dnc')).body;
+        assert.equal(entries.find(entry => entry.phoneNumber === '+12125550314').source, 'sms');
+        assert.equal((await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550314' })).status, 403);
+
+        await reply('+12125550314', 'start');
+        assert.equal((await ctx.api('GET', '/compliance/dnc')).body.entries.some(entry => entry.phoneNumber === '+12125550314'), false);
+    });
+
+    it('tells unknown senders there is no invitation', async () => {
+        const response = await reply('+12125550315', 'yes');
+        assert.match(response.body, /couldn't find an invitation/);
+    });
+
+    it('logs inbound messages against the call', async () => {
+        const callSid = await invite('2125550316');
+        await reply('+12125550316', 'help');
+        const { messages } = (await ctx.api('GET', `/calls/${callSid}`)).body;
+        const inbound = messages.find(message => message.direction === 'inbound');
+        assert.equal(inbound.body, 'help');
+        assert.equal(inbound.action, 'help');
+    });
+
+    it('requires a Twilio signature', async () => {
+        const response = await ctx.twilioWebhook('/sms-inbound', { From: '+12125550311', Body: 'yes' }, { signature: 'bad' });
+        assert.equal(response.status, 403);
+    });
+});
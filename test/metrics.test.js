@@ -0,0 +1,74 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetrics } from '../src/metrics.js';
+import { startTestApp, statusCallbackPath } from './helpers.js';
+
+describe('metrics registry', () => {
+    it('renders counters and histograms in the Prometheus text format', () => {
+        const metrics = createMetrics();
+        const calls = metrics.counter('calls_total', 'Calls by status', { labelNames: ['status'] });
+        const latency = metrics.histogram('latency_seconds', 'Latency', { labelNames: ['provider'], buckets: [0.1, 1] });
+        calls.inc({ status: 'busy' });
+        calls.inc({ status: 'busy' });
+        calls.inc({ status: 'say "hi"' });
+        latency.observe({ provider: 'twilio' }, 0.05);
+        latency.observe({ provider: 'twilio' }, 0.5);
+
+        assert.equal(metrics.render(), [
+            '# HELP calls_total Calls by status',
+            '# TYPE calls_total counter',
+            'calls_total{status="busy"} 2',
+            'calls_total{status="say \\"hi\\""} 1',
+            '# HELP latency_seconds Latency',
+            '# TYPE latency_seconds histogram',
+            'latency_seconds_bucket{provider="twilio",le="0.1"} 1',
+            'latency_seconds_bucket{provider="twilio",le="1"} 2',
+            'latency_seconds_bucket{provider="twilio",le="+Inf"} 2',
+            'latency_seconds_sum{provider="twilio"} 0.55',
+            'latency_seconds_count{provider="twilio"} 2',
+            ''
+        ].join('\n'));
+    });
+
+    it('records a missing label as none', () => {
+        const metrics = createMetrics();
+        const tags = metrics.counter('tags_total', 'Tags', { labelNames: ['outcome', 'result'] });
+        tags.inc({ result: 'applied' });
+        assert.equal(tags.get({ outcome: 'none', result: 'applied' }), 1);
+    });
+});
+
+describe('/metrics', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestApp();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('needs the API key', async () => {
+        assert.equal((await fetch(`${ctx.baseUrl}/metrics`)).status, 401);
+    });
+
+    it('counts calls by status, tags by outcome, SMS and provider latency', async () => {
+        const response = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550701' });
+        const placed = ctx.twilio.placed.find(call => call.sid === response.body.callSid);
+        await ctx.twilioWebhook(statusCallbackPath(placed), { CallSid: placed.sid, CallStatus: 'ringing', To: placed.to });
+        await ctx.twilioWebhook(statusCallbackPath(placed), { CallSid: placed.sid, CallStatus: 'busy', To: placed.to });
+        assert.equal((await ctx.api('POST', '/send-sms', { phoneNumber: '2125550701', message: 'Hello' })).status, 200);
+
+        const metrics = await ctx.api('GET', '/metrics');
+        assert.equal(metrics.status, 200);
+        assert.match(metrics.headers.get('content-type'), /^text\/plain/);
+        const text = metrics.body;
+        assert.match(text, /^calls_total\{status="ringing"\} 1$/m);
+        assert.match(text, /^calls_total\{status="busy"\} 1$/m);
+        assert.match(text, /^crm_tags_total\{outcome="busy",result="applied"\} 1$/m);
+        assert.match(text, /^sms_messages_total\{result="sent"\} 1$/m);
+        assert.match(text, /^provider_request_duration_seconds_count\{provider="twilio",result="ok"\} 2$/m);
+        assert.match(text, /^provider_request_duration_seconds_count\{provider="ultravox",result="ok"\} 1$/m);
+    });
+});
@@ -0,0 +1,203 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNumberPool, loadNumberPoolConfig, NumberPoolError } from '../src/numberPool.js';
+import { startTestApp } from './helpers.js';
+
+// The pool's usage kept in memory rather than in DATA_DIR
+function memoryStore() {
+    return { data: { day: null, usage: {} }, save() {} };
+}
+
+// A pool whose clock the test moves
+function createTestPool(env, start = '2026-10-19T10:00:00.000Z') {
+    const clock = { now: new Date(start) };
+    const pool = createNumberPool({ ...loadNumberPoolConfig(env), store: memoryStore(), now: () => clock.now });
+    return { pool, clock };
+}
+
+describe('loadNumberPoolConfig', () => {
+    it('reads TWILIO_PHONE_NUMBER and the pool with their daily caps', () => {
+        const { numbers } = loadNumberPoolConfig({
+            TWILIO_PHONE_NUMBER: '+15005550006',
+            TWILIO_NUMBER_POOL: '+12125550100:50, +639171230000',
+            NUMBER_POOL_DAILY_CAP: '200'
+        });
+        assert.deepEqual(numbers, [
+            { number: '+15005550006', country: 'US', nationalNumber: '5005550006', dailyCap: 200 },
+            { number: '+12125550100', country: 'US', nationalNumber: '2125550100', dailyCap: 50 },
+            { number: '+639171230000', country: 'PH', nationalNumber: '9171230000', dailyCap: 200 }
+        ]);
+        assert.equal(loadNumberPoolConfig({ TWILIO_PHONE_NUMBER: '+15005550006' }).numbers[0].dailyCap, null);
+    });
+
+    it('refuses numbers that are not E.164 and caps that are not positive integers', () => {
+        assert.throws(() => loadNumberPoolConfig({ TWILIO_NUMBER_POOL: '212-555-0100' }), /E.164 numbers such as \+12125550100 \(got 212-555-0100\)/);
+        assert.throws(() => loadNumberPoolConfig({ TWILIO_NUMBER_POOL: '+12125550100:lots' }), /daily cap of \+12125550100 must be a positive integer/);
+        assert.throws(() => loadNumberPoolConfig({ TWILIO_NUMBER_POOL: '+12125550100', NUMBER_POOL_DAILY_CAP: '0' }), /NUMBER_POOL_DAILY_CAP/);
+    });
+});
+
+describe('number pool', () => {
+    const ENV = { TWILIO_PHONE_NUMBER: '+15005550006', TWILIO_NUMBER_POOL: '+12125550100,+13105550100,+639171230000' };
+
+    it('calls from the recipient\'s country and area code when it can', () => {
+        const { pool } = createTestPool(ENV);
+        assert.equal(pool.take('+639171234567'), '+639171230000');
+        assert.equal(pool.take('+12125550123'), '+12125550100');
+        assert.equal(pool.take('+13105550123'), '+13105550100');
+        // No number from the UK: the least used of the rest
+        assert.equal(pool.take('+447700900123'), '+15005550006');
+    });
+
+    it('spreads recipients without a local number over the least used numbers', () => {
+        const { pool } = createTestPool({ TWILIO_NUMBER_POOL: '+12125550100,+13105550100' });
+        const picked = [pool.take('+14155550101'), pool.take('+14155550102'), pool.take('+14155550103'), pool.take('+14155550104')];
+        assert.deepEqual(picked, ['+12125550100', '+13105550100', '+12125550100', '+13105550100']);
+    });
+
+    it('moves on when a number reaches its cap and refuses once all have', () => {
+        const { pool, clock } = createTestPool({ TWILIO_NUMBER_POOL: '+12125550100:1,+13105550100:1' });
+        assert.equal(pool.take('+12125550123'), '+12125550100');
+        assert.equal(pool.take('+12125550124', { channel: 'sms' }), '+13105550100');
+        assert.throws(() => pool.take('+12125550125'), error => {
+            assert.ok(error instanceof NumberPoolError);
+            assert.equal(error.status, 429);
+            assert.equal(error.reason, 'number-pool-exhausted');
+            assert.equal(error.retryAt, '2026-10-20T00:00:00.000Z');
+            return true;
+        });
+
+        const { numbers } = pool.status();
+        assert.deepEqual(numbers.map(({ number, calls, sms, remaining }) => ({ number, calls, sms, remaining })), [
+            { number: '+12125550100', calls: 1, sms: 0, remaining: 0 },
+            { number: '+13105550100', calls: 0, sms: 1, remaining: 0 }
+        ]);
+
+        // The caps reset at midnight UTC
+        clock.now = new Date('2026-10-20T00:00:01.000Z');
+        assert.equal(pool.take('+12125550125'), '+12125550100');
+        assert.equal(pool.status().day, '2026-10-20');
+    });
+
+    it('uses a preferred number while it has room', () => {
+        const { pool } = createTestPool({ TWILIO_NUMBER_POOL: '+12125550100:1,+13105550100' });
+        assert.equal(pool.take('+13105550123', { preferred: '+12125550100' }), '+12125550100');
+        assert.equal(pool.take('+13105550124', { preferred: '+12125550100' }), '+13105550100');
+    });
+
+    it('holds explicitly chosen numbers to their cap too', () => {
+        const { pool } = createTestPool({ TWILIO_NUMBER_POOL: '+12125550100:1,+13105550100' });
+        assert.equal(pool.take('+13105550123', { number: '+12125550100' }), '+12125550100');
+        assert.throws(() => pool.take('+13105550124', { number: '+12125550100' }), error => {
+            assert.ok(error instanceof NumberPoolError);
+            assert.equal(error.reason, 'caller-id-capped');
+            assert.equal(error.retryAt, '2026-10-20T00:00:00.000Z');
+            assert.match(error.message, /\+12125550100 reached its daily cap of 1/);
+            return true;
+        });
+        assert.equal(pool.status().numbers[0].calls, 1);
+        // Numbers outside the pool (ALLOWED_CALLER_IDS) have no cap
+        assert.equal(pool.take('+13105550125', { number: '+639171230000' }), '+639171230000');
+    });
+});
+
+describe('caller ID pool in the app', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestApp({ env: { TWILIO_NUMBER_POOL: '+12125550100,+639171230000' } });
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('calls from a local number, texts from the same one and routes replies back to the call', async () => {
+        const response = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550401' });
+        assert.equal(response.status, 200);
+        const placed = ctx.twilio.placed.find(call => call.sid === response.body.callSid);
+        assert.equal(placed.from, '+12125550100');
+        assert.equal((await ctx.api('GET', `/calls/${response.body.callSid}`)).body.twilioNumber, '+12125550100');
+
+        const sms = await ctx.api('POST', '/send-sms', { phoneNumber: '+12125550401', message: 'See you there' });
+        assert.equal(sms.status, 200);
+        assert.equal(ctx.twilio.sent.find(message => message.sid === sms.body.messageSid).from, '+12125550100');
+
+        const reply = await ctx.twilioWebhook('/sms-inbound', { MessageSid: 'SMpool1', From: '+12125550401', To: '+12125550100', Body: 'help' });
+        assert.match(reply.body, /Reply YES to confirm your place at The Visibility Event/);
+        const { messages } = (await ctx.api('GET', `/calls/${response.body.callSid}`)).body;
+        assert.deepEqual(messages.map(message => message.direction), ['outbound', 'inbound']);
+    });
+
+    it('answers a call back with the call placed from the number they dialed', async () => {
+        const first = await ctx.api('POST', '/initiate-call', { clientName: 'Sam Lee', phoneNumber: '+639171234601' });
+        // A later call to them from the US number, which isn't the one they call back
+        await ctx.api('POST', '/initiate-call', { clientName: 'Samuel Lee', phoneNumber: '+639171234601', agent: { callerId: '+15005550006' } });
+        assert.equal(ctx.twilio.placed.find(call => call.sid === first.body.callSid).from, '+639171230000');
+
+        await ctx.twilioWebhook('/voice-inbound', { CallSid: 'CApool1', From: '+639171234601', To: '+639171230000' });
+        const inbound = (await ctx.api('GET', '/calls/CApool1')).body;
+        assert.equal(inbound.twilioNumber, '+639171230000');
+        assert.equal(inbound.clientName, 'Sam Lee');
+    });
+
+    it('does not count a dial that failed against its number', async () => {
+        const counts = async () => (await ctx.api('GET', '/numbers')).body.numbers.map(({ number, calls, sms }) => ({ number, calls, sms }));
+        const before = await counts();
+        ctx.ultravox.failCalls = true;
+        try {
+            const response = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550402' });
+            assert.equal(response.status, 500);
+        } finally {
+            ctx.ultravox.failCalls = false;
+        }
+        assert.deepEqual(await counts(), before);
+    });
+
+    it('shows each number\'s volume today', async () => {
+        const { numbers } = (await ctx.api('GET', '/numbers')).body;
+        assert.deepEqual(numbers.map(({ number, calls, sms }) => ({ number, calls, sms })), [
+            { number: '+15005550006', calls: 1, sms: 0 },
+            { number: '+12125550100', calls: 1, sms: 1 },
+            { number: '+639171230000', calls: 1, sms: 0 }
+        ]);
+    });
+});
+
+describe('caller ID pool at its daily caps', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestApp({ env: { NUMBER_POOL_DAILY_CAP: '1' } });
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('answers 429 until the caps reset, without counting a call attempt', async () => {
+        assert.equal((await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550411' })).status, 200);
+
+        const call = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550412' });
+        assert.equal(call.status, 429);
+        assert.equal(call.body.reason, 'number-pool-exhausted');
+        assert.ok(new Date(call.body.retryAt) > new Date());
+        assert.equal(ctx.twilio.placed.length, 1);
+        assert.equal((await ctx.api('GET', '/calls?phoneNumber=%2B12125550412')).body.count, 0);
+
+        const sms = await ctx.api('POST', '/send-sms', { phoneNumber: '+12125550411', message: 'See you there' });
+        assert.equal(sms.status, 429);
+        assert.equal(sms.body.retryAt, call.body.retryAt);
+    });
+
+    it('refuses a capped number picked as the caller ID', async () => {
+        const response = await ctx.api('POST', '/initiate-call', {
+            clientName: 'Jane Doe',
+            phoneNumber: '2125550413',
+            agent: { callerId: '+15005550006' }
+        });
+        assert.equal(response.status, 429);
+        assert.equal(response.body.reason, 'caller-id-capped');
+        assert.equal(ctx.twilio.placed.length, 1);
+    });
+});
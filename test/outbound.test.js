@@ -0,0 +1,181 @@
+import http from 'node:http';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitOpenError, createCircuitBreaker, createOutboundClient, loadOutboundPolicy, OutboundError } from '../src/outbound.js';
+
+const POLICY = loadOutboundPolicy({
+    OUTBOUND_TIMEOUT_MS: '50',
+    OUTBOUND_RETRY_DELAY_MS: '1',
+    OUTBOUND_MAX_RETRY_DELAY_MS: '5',
+    CIRCUIT_FAILURE_THRESHOLD: '2',
+    CIRCUIT_RESET_MS: '30'
+});
+
+// Answers each request with the next status in `statuses` (200 once they run out)
+function startFakeProvider() {
+    const provider = { statuses: [], requests: 0 };
+    const server = http.createServer((req, res) => {
+        provider.requests += 1;
+        res.statusCode = provider.statuses.shift() ?? 200;
+        res.end(res.statusCode === 200 ? '{"ok":true}' : 'nope');
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(Object.assign(provider, {
+            url: `http://127.0.0.1:${server.address().port}/thing`,
+            close: () => new Promise(done => server.close(done))
+        })));
+    });
+}
+
+function failWith(status) {
+    return Object.assign(new Error(`failed with ${status}`), { status });
+}
+
+describe('loadOutboundPolicy', () => {
+    it('has defaults', () => {
+        assert.deepEqual(loadOutboundPolicy({}), {
+            timeoutMs: 10000, maxRetries: 3, retryDelayMs: 500, maxRetryDelayMs: 8000, failureThreshold: 5, resetMs: 30000
+        });
+    });
+
+    it('rejects bad settings', () => {
+        assert.throws(() => loadOutboundPolicy({ OUTBOUND_TIMEOUT_MS: 'soon' }), /OUTBOUND_TIMEOUT_MS/);
+        assert.throws(() => loadOutboundPolicy({ OUTBOUND_MAX_RETRIES: '-1' }), /OUTBOUND_MAX_RETRIES/);
+        assert.throws(() => loadOutboundPolicy({ OUTBOUND_RETRY_DELAY_MS: '100', OUTBOUND_MAX_RETRY_DELAY_MS: '10' }), /OUTBOUND_MAX_RETRY_DELAY_MS/);
+        assert.throws(() => loadOutboundPolicy({ CIRCUIT_FAILURE_THRESHOLD: '0' }), /CIRCUIT_FAILURE_THRESHOLD/);
+    });
+});
+
+describe('outbound client', () => {
+    let provider;
+
+    before(async () => {
+        provider = await startFakeProvider();
+    });
+
+    after(async () => {
+        await provider.close();
+    });
+
+    it('retries server errors until the provider answers', async () => {
+        const client = createOutboundClient({ provider: 'test', policy: POLICY });
+        provider.requests = 0;
+        provider.statuses = [500, 502];
+        const response = await client.fetch(provider.url);
+        assert.equal(response.status, 200);
+        assert.equal(provider.requests, 3);
+        assert.equal(client.status().state, 'closed');
+    });
+
+    it('hands back client errors without retrying', async () => {
+        const client = createOutboundClient({ provider: 'test', policy: POLICY });
+        provider.requests = 0;
+        provider.statuses = [404];
+        assert.equal((await client.fetch(provider.url)).status, 404);
+        assert.equal(provider.requests, 1);
+    });
+
+    it('gives up after the last retry with the provider\'s answer', async () => {
+        const client = createOutboundClient({ provider: 'test', policy: { ...POLICY, failureThreshold: 10 } });
+        provider.requests = 0;
+        provider.statuses = [500, 500, 500, 500];
+        await assert.rejects(client.fetch(provider.url), error => {
+            assert.ok(error instanceof OutboundError);
+            assert.equal(error.status, 500);
+            assert.match(error.message, /test API error: 500 Internal Server Error - nope/);
+            return true;
+        });
+        assert.equal(provider.requests, 4);
+    });
+
+    it('only repeats a POST the provider never handled', async () => {
+        const client = createOutboundClient({ provider: 'test', policy: { ...POLICY, failureThreshold: 10 } });
+        provider.requests = 0;
+        provider.statuses = [500];
+        await assert.rejects(client.fetch(provider.url, { method: 'POST' }), /500/);
+        assert.equal(provider.requests, 1);
+
+        provider.requests = 0;
+        provider.statuses = [429, 503];
+        assert.equal((await client.fetch(provider.url, { method: 'POST' })).status, 200);
+        assert.equal(provider.requests, 3);
+    });
+
+    it('times out slow requests and aborts them', async () => {
+        const client = createOutboundClient({ provider: 'test', policy: { ...POLICY, maxRetries: 0 } });
+        let aborted = false;
+        await assert.rejects(client.run(signal => new Promise(() => {
+            signal.addEventListener('abort', () => { aborted = true; });
+        })), /timed out after 50ms/);
+        assert.equal(aborted, true);
+    });
+
+    it('does not repeat a timed out request that creates something', async () => {
+        const client = createOutboundClient({ provider: 'test', policy: POLICY });
+        let attempts = 0;
+        await assert.rejects(client.run(() => {
+            attempts += 1;
+            return new Promise(() => {});
+        }, { idempotent: false }), /timed out/);
+        assert.equal(attempts, 1);
+    });
+
+    it('retries SDK errors by their status', async () => {
+        const client = createOutboundClient({ provider: 'test', policy: POLICY });
+        const failures = [failWith(503)];
+        const result = await client.run(async () => {
+            if (failures.length) throw failures.shift();
+            return 'sent';
+        }, { idempotent: false });
+        assert.equal(result, 'sent');
+    });
+
+    it('fails fast while the circuit is open', async () => {
+        const client = createOutboundClient({ provider: 'test', policy: { ...POLICY, maxRetries: 0 } });
+        let attempts = 0;
+        const operation = async () => {
+            attempts += 1;
+            throw failWith(500);
+        };
+        await assert.rejects(client.run(operation), /failed with 500/);
+        await assert.rejects(client.run(operation), /failed with 500/);
+        assert.equal(client.status().state, 'open');
+
+        await assert.rejects(client.run(operation), error => {
+            assert.ok(error instanceof CircuitOpenError);
+            assert.equal(error.code, 'CIRCUIT_OPEN');
+            return true;
+        });
+        assert.equal(attempts, 2);
+    });
+});
+
+describe('circuit breaker', () => {
+    it('lets one trial request through after the reset time and closes on success', async () => {
+        const breaker = createCircuitBreaker({ name: 'test', failureThreshold: 1, resetMs: 20 });
+        const transitions = [];
+        breaker.onStateChange((state, previous) => transitions.push(`${previous}->${state}`));
+
+        breaker.recordFailure();
+        assert.equal(breaker.allowRequest(), false);
+        await new Promise(resolve => setTimeout(resolve, 25));
+        assert.equal(breaker.allowRequest(), true);
+        assert.equal(breaker.allowRequest(), false);
+        breaker.recordSuccess();
+        assert.equal(breaker.allowRequest(), true);
+        assert.deepEqual(transitions, ['closed->open', 'open->half-open', 'half-open->closed']);
+    });
+
+    it('reopens when the trial request fails', async () => {
+        const breaker = createCircuitBreaker({ name: 'test', failureThreshold: 3, resetMs: 20 });
+        breaker.recordFailure();
+        breaker.recordFailure();
+        assert.equal(breaker.status().state, 'closed');
+        breaker.recordFailure();
+        await new Promise(resolve => setTimeout(resolve, 25));
+        assert.equal(breaker.allowRequest(), true);
+        breaker.recordFailure();
+        assert.equal(breaker.status().state, 'open');
+        assert.ok(breaker.status().retryAt);
+    });
+});
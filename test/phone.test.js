@@ -0,0 +1,151 @@
+import { after, afterEach, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatPhoneNumber, isValidRegion, loadPhoneConfig, parsePhone, PhoneNumberError, requirePhoneNumber } from '../src/phone.js';
+import { startTestApp } from './helpers.js';
+
+describe('parsePhone', () => {
+    afterEach(() => {
+        delete process.env.DEFAULT_PHONE_REGION;
+        delete process.env.SUPPORTED_COUNTRIES;
+    });
+
+    it('reads the usual ways of writing a US number', () => {
+        for (const input of ['2125550101', '(212) 555-0101', '212.555.0101', '1-212-555-0101', '+1 212 555 0101', ' +12125550101 ']) {
+            assert.equal(formatPhoneNumber(input), '+12125550101', input);
+        }
+    });
+
+    it('reports the country and line type', () => {
+        assert.deepEqual(parsePhone('09171234567', { defaultRegion: 'PH' }), {
+            ok: true,
+            e164: '+639171234567',
+            country: 'PH',
+            type: 'MOBILE'
+        });
+    });
+
+    it('tries numbers with a country code but no "+" as international', () => {
+        assert.equal(formatPhoneNumber('639171234567'), '+639171234567');
+        assert.equal(formatPhoneNumber('44 7911 123456'), '+447911123456');
+    });
+
+    it('does not read a mistyped national number as international', () => {
+        // Not a US area code, but +241 555 0101 would be a number in Gabon
+        assert.equal(parsePhone('241 555 0101').reason, 'invalid');
+        // 1 mistyped as 7, but +7 301 555 0101 would be a number in Russia
+        assert.equal(parsePhone('7 301 555 0101').reason, 'invalid');
+    });
+
+    it('reads national numbers in the given or configured default region', () => {
+        assert.equal(formatPhoneNumber('09171234567'), null);
+        assert.equal(formatPhoneNumber('09171234567', { defaultRegion: 'ph' }), '+639171234567');
+
+        process.env.DEFAULT_PHONE_REGION = 'ph';
+        assert.equal(formatPhoneNumber('09171234567'), '+639171234567');
+    });
+
+    it('does not read a US number as national elsewhere', () => {
+        const result = parsePhone('2125550101', { defaultRegion: 'GB' });
+        assert.equal(result.ok, false);
+        assert.equal(result.reason, 'invalid');
+        assert.match(result.message, /read as GB/);
+    });
+
+    it('rejects missing and invalid numbers with a reason', () => {
+        for (const input of [undefined, null, '', '   ']) {
+            assert.equal(parsePhone(input).reason, 'missing');
+        }
+        for (const input of ['12345', '555-0101', 'not a number', '+1 212 555 01010']) {
+            assert.equal(parsePhone(input).reason, 'invalid', input);
+        }
+    });
+
+    it('accepts numbers given as numbers', () => {
+        assert.equal(formatPhoneNumber(2125550101), '+12125550101');
+    });
+
+    it('only allows SUPPORTED_COUNTRIES when it is set', () => {
+        process.env.SUPPORTED_COUNTRIES = 'us, ca';
+        assert.equal(formatPhoneNumber('+14165550123'), '+14165550123');
+        const result = parsePhone('+639171234567');
+        assert.equal(result.reason, 'unsupported-country');
+        assert.match(result.message, /PH/);
+    });
+
+    it('takes the region and allowed countries from the config it is given', () => {
+        const phoneConfig = loadPhoneConfig({ DEFAULT_PHONE_REGION: 'ph', SUPPORTED_COUNTRIES: 'PH' });
+        assert.deepEqual(phoneConfig, { defaultRegion: 'PH', supportedCountries: ['PH'] });
+        assert.equal(formatPhoneNumber('09171234567', phoneConfig), '+639171234567');
+        assert.equal(parsePhone('2125550101', phoneConfig).reason, 'invalid');
+        assert.equal(parsePhone('+12125550101', phoneConfig).reason, 'unsupported-country');
+    });
+
+    it('refuses landlines for SMS but not for calls', () => {
+        assert.equal(parsePhone('+442079460000').ok, true);
+        assert.equal(parsePhone('+442079460000', { purpose: 'sms' }).reason, 'landline');
+        assert.equal(parsePhone('+447911123456', { purpose: 'sms' }).ok, true);
+        // US numbers can't be told apart, so they are allowed
+        assert.equal(parsePhone('2125550101', { purpose: 'sms' }).ok, true);
+    });
+});
+
+describe('requirePhoneNumber', () => {
+    it('returns the E.164 number', () => {
+        assert.equal(requirePhoneNumber('(212) 555-0101'), '+12125550101');
+    });
+
+    it('throws a PhoneNumberError carrying the reason and input', () => {
+        assert.throws(() => requirePhoneNumber('12345'), error => {
+            assert.ok(error instanceof PhoneNumberError);
+            assert.equal(error.reason, 'invalid');
+            assert.equal(error.input, '12345');
+            return true;
+        });
+    });
+});
+
+describe('isValidRegion', () => {
+    it('accepts country codes in either case', () => {
+        assert.equal(isValidRegion('US'), true);
+        assert.equal(isValidRegion('ph'), true);
+    });
+
+    it('rejects anything else', () => {
+        for (const region of ['USA', 'XX', '', undefined, 1]) {
+            assert.equal(isValidRegion(region), false, String(region));
+        }
+    });
+});
+
+describe('phone numbers in the app', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestApp({ env: { DEFAULT_PHONE_REGION: 'PH', SUPPORTED_COUNTRIES: 'PH' } });
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('reads numbers in the DEFAULT_PHONE_REGION of the env it is given', async () => {
+        assert.equal(process.env.DEFAULT_PHONE_REGION, undefined);
+        const response = await ctx.api('POST', '/initiate-call', { clientName: 'Maria Santos', phoneNumber: '09171234580' });
+        assert.equal(response.status, 200);
+        assert.equal(ctx.twilio.placed.find(call => call.sid === response.body.callSid).to, '+639171234580');
+
+        const sms = await ctx.api('POST', '/send-sms', { phoneNumber: '0917 123 4580', message: 'See you there' });
+        assert.equal(sms.status, 200);
+        assert.equal(ctx.twilio.sent.find(message => message.sid === sms.body.messageSid).to, '+639171234580');
+    });
+
+    it('only calls the SUPPORTED_COUNTRIES of the env it is given', async () => {
+        const response = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '+12125550501' });
+        assert.equal(response.status, 400);
+        assert.equal(response.body.reason, 'unsupported-country');
+
+        const job = await ctx.api('POST', '/jobs', { type: 'sms', runAt: new Date(Date.now() + 3600000).toISOString(), phoneNumber: '+12125550501', message: 'Hi' });
+        assert.equal(job.status, 400);
+        assert.match(job.body.error, /not supported/);
+    });
+});
@@ -0,0 +1,170 @@
+import http from 'node:http';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createReadinessChecker, loadReadinessConfig } from '../src/readiness.js';
+import { startTestApp, wait } from './helpers.js';
+
+// Stands in for the public URL in front of the app; answers health checks like the app does
+function startPublicUrl() {
+    const server = http.createServer((req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(req.url === '/health' ? { status: 'ok' } : { error: 'Not found' }));
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+describe('readiness checker', () => {
+    it('validates its configuration', () => {
+        assert.deepEqual(loadReadinessConfig({}), { cacheMs: 30000, timeoutMs: 5000 });
+        assert.throws(() => loadReadinessConfig({ READINESS_TIMEOUT_MS: '0' }), /READINESS_TIMEOUT_MS/);
+        assert.throws(() => loadReadinessConfig({ READINESS_CACHE_SECONDS: 'soon' }), /READINESS_CACHE_SECONDS/);
+    });
+
+    it('is degraded when only a non-critical check fails and not ready when a critical one does', async () => {
+        let twilioUp = true;
+        const checker = createReadinessChecker({
+            cacheMs: 0,
+            checks: {
+                twilio: { run: async () => { if (!twilioUp) throw new Error('down'); } },
+                callbacks: { critical: false, run: async () => { throw new Error('unreachable'); } }
+            }
+        });
+
+        const degraded = await checker.check();
+        assert.equal(degraded.status, 'degraded');
+        assert.equal(degraded.dependencies.twilio.status, 'ok');
+        assert.equal(degraded.dependencies.callbacks.error, 'unreachable');
+
+        twilioUp = false;
+        assert.equal((await checker.check()).status, 'not-ready');
+    });
+
+    it('times out a check that never answers', async () => {
+        const checker = createReadinessChecker({ timeoutMs: 20, checks: { crm: { run: () => new Promise(() => {}) } } });
+        const result = await checker.check();
+        assert.equal(result.status, 'not-ready');
+        assert.match(result.dependencies.crm.error, /No answer within 20ms/);
+    });
+
+    it('caches results and shares one round of checks between concurrent callers', async () => {
+        let runs = 0;
+        const checker = createReadinessChecker({
+            cacheMs: 60000,
+            checks: { ultravox: { run: async () => { runs += 1; await wait(10); } } }
+        });
+
+        const [first, second] = await Promise.all([checker.check(), checker.check()]);
+        assert.equal(runs, 1);
+        assert.equal(first.cached, false);
+        assert.equal(second.cached, false);
+        assert.equal((await checker.check()).cached, true);
+        assert.equal(runs, 1);
+
+        await checker.check({ refresh: true });
+        assert.equal(runs, 2);
+    });
+});
+
+describe('/ready', () => {
+    let publicUrl;
+    let ctx;
+
+    before(async () => {
+        publicUrl = await startPublicUrl();
+        ctx = await startTestApp({ env: { SERVER_BASE_URL: publicUrl.url } });
+    });
+
+    after(async () => {
+        await ctx.close();
+        await publicUrl.close();
+    });
+
+    async function details() {
+        return ctx.api('GET', '/ready/details?refresh=true');
+    }
+
+    it('is ready when Twilio, Ultravox, the CRM and the callback URL all check out', async () => {
+        const response = await fetch(`${ctx.baseUrl}/ready`);
+        assert.equal(response.status, 200);
+        const body = await response.json();
+        assert.equal(body.status, 'ready');
+        assert.deepEqual(Object.keys(body.dependencies), ['twilio', 'ultravox', 'crm', 'callbacks']);
+        // Without the API key there are no details
+        assert.deepEqual(body.dependencies.twilio, { status: 'ok', critical: true });
+        assert.ok(ctx.ultravox.requests.some(request => request.url === 'https://api.ultravox.ai/api/accounts/me'));
+
+        const cached = await (await fetch(`${ctx.baseUrl}/ready`)).json();
+        assert.equal(cached.cached, true);
+        assert.equal(cached.checkedAt, body.checkedAt);
+    });
+
+    it('shows details only with the API key', async () => {
+        assert.equal((await fetch(`${ctx.baseUrl}/ready/details`)).status, 401);
+
+        const response = await details();
+        assert.equal(response.status, 200);
+        assert.equal(response.body.cached, false);
+        assert.equal(response.body.dependencies.twilio.accountStatus, 'active');
+        assert.equal(response.body.dependencies.crm.adapter, 'fake');
+        assert.equal(response.body.dependencies.callbacks.url, `${publicUrl.url}/health`);
+        assert.equal(typeof response.body.dependencies.ultravox.latencyMs, 'number');
+    });
+
+    it('is not ready while the Twilio account is suspended', async () => {
+        ctx.twilio.accountStatus = 'suspended';
+        try {
+            const response = await details();
+            assert.equal(response.status, 503);
+            assert.equal(response.body.status, 'not-ready');
+            assert.equal(response.body.dependencies.twilio.error, 'Twilio account is suspended');
+        } finally {
+            ctx.twilio.accountStatus = 'active';
+        }
+    });
+
+    it('is not ready when Ultravox rejects the API key or the CRM credentials fail', async () => {
+        ctx.ultravox.rejectKey = true;
+        ctx.crm.accessError = 'GHL GET /contacts/ failed: 401';
+        try {
+            const response = await details();
+            assert.equal(response.status, 503);
+            assert.match(response.body.dependencies.ultravox.error, /401 \(check ULTRAVOX_API_KEY\)/);
+            assert.equal(response.body.dependencies.crm.error, 'GHL GET /contacts/ failed: 401');
+            assert.equal(response.body.dependencies.twilio.status, 'ok');
+        } finally {
+            ctx.ultravox.rejectKey = false;
+            ctx.crm.accessError = null;
+        }
+        assert.equal((await details()).status, 200);
+    });
+});
+
+describe('/ready with an unreachable callback URL', () => {
+    let unreachable;
+    let ctx;
+
+    before(async () => {
+        // Nothing listens there any more, so the connection is refused straight away
+        const closed = await startPublicUrl();
+        await closed.close();
+        unreachable = closed.url;
+        ctx = await startTestApp({ env: { SERVER_BASE_URL: unreachable } });
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    it('is degraded but still serves traffic', async () => {
+        const response = await ctx.api('GET', '/ready/details');
+        assert.equal(response.status, 200);
+        assert.equal(response.body.status, 'degraded');
+        assert.equal(response.body.dependencies.callbacks.error, `Could not reach ${unreachable}/health: ECONNREFUSED`);
+        assert.equal(response.body.dependencies.callbacks.critical, false);
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRetryScheduler, loadRetryPolicy } from '../src/retries.js';
+import { wait } from './helpers.js';
+
+// Retry state kept in memory rather than in DATA_DIR; two schedulers sharing one act as a restart
+function memoryStore() {
+    return { data: { retries: {} }, save() {} };
+}
+
+// A policy whose window is always open, so the backoff alone decides when retries fall due
+function testPolicy(env = {}) {
+    return loadRetryPolicy({ RETRY_WINDOW_START: '00:00', RETRY_WINDOW_END: '23:59', RETRY_WINDOW_TIMEZONE: 'UTC', ...env });
+}
+
+function createTestScheduler(store, env) {
+    const redialed = [];
+    const scheduler = createRetryScheduler({
+        policy: testPolicy(env),
+        store,
+        redial: async entry => {
+            redialed.push(entry.phoneNumber);
+        }
+    });
+    return { scheduler, redialed };
+}
+
+describe('retry scheduler', () => {
+    it('keeps scheduled retries across a restart and dials those that fell due', async () => {
+        const store = memoryStore();
+        const before = createTestScheduler(store, { RETRY_BACKOFF_MINUTES: '0' });
+        before.scheduler.recordAttempt({ phoneNumber: '+12125550601', clientName: 'Jane Doe' });
+        before.scheduler.handleOutcome('+12125550601', 'busy');
+        before.scheduler.stopTimers();
+        assert.equal(store.data.retries['+12125550601'].status, 'scheduled');
+
+        const after = createTestScheduler(store);
+        after.scheduler.start();
+        await wait(20);
+        assert.deepEqual(after.redialed, ['+12125550601']);
+        assert.deepEqual(before.redialed, []);
+    });
+
+    it('does not dial again a retry interrupted while dialing', () => {
+        const store = memoryStore();
+        store.data.retries['+12125550602'] = { phoneNumber: '+12125550602', attempts: 2, status: 'dialing', nextAttemptAt: null, history: [] };
+        const { scheduler } = createTestScheduler(store);
+        scheduler.start();
+        assert.equal(scheduler.get('+12125550602').status, 'stopped');
+        assert.match(scheduler.get('+12125550602').stopReason, /interrupted by a restart/);
+    });
+
+    it('does not mistake inherited names for phone numbers', () => {
+        const { scheduler } = createTestScheduler(memoryStore());
+        assert.equal(scheduler.stop('__proto__', 'cancelled'), null);
+        assert.equal(scheduler.get('constructor'), null);
+    });
+
+    it('waits out backoffs longer than a timer can hold', async () => {
+        // 30 days: more than setTimeout's ~24.8 day limit
+        const { scheduler, redialed } = createTestScheduler(memoryStore(), { RETRY_BACKOFF_MINUTES: String(30 * 24 * 60) });
+        scheduler.recordAttempt({ phoneNumber: '+12125550603', clientName: 'Jane Doe' });
+        scheduler.handleOutcome('+12125550603', 'no-answer');
+        await wait(20);
+        assert.deepEqual(redialed, []);
+        assert.equal(scheduler.get('+12125550603').status, 'scheduled');
+        scheduler.stopTimers();
+    });
+});
@@ -0,0 +1,142 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './helpers.js';
+
+// Endpoints the voice agent calls as tools during a call
+describe('agent tools', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestApp();
+    });
+
+    after(async () => {
+        await ctx.close();
+    });
+
+    async function invite(phoneNumber, userType = 'non-VIP') {
+        const response = await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber, userType });
+        assert.equal(response.status, 200);
+        return response.body.callSid;
+    }
+
+    async function retryFor(phoneNumber) {
+        const { retries } = (await ctx.api('GET', '/retries')).body;
+        return retries.find(entry => entry.phoneNumber === phoneNumber);
+    }
+
+    function tagsFor(phoneNumber) {
+        return ctx.crm.tags.filter(entry => entry.phoneNumber === phoneNumber).map(entry => entry.tag);
+    }
+
+    describe('/api/attendance', () => {
+        it('tags the event\'s confirm-yes tag and stops retries', async () => {
+            const callSid = await invite('2125550401');
+            const response = await ctx.api('POST', '/api/attendance', { phoneNumber: '+12125550401', attendance: 'attending', note: 'Bringing a friend' });
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.body, {
+                success: true,
+                attendance: 'attending',
+                outcome: 'confirmYes',
+                tag: 'events -> ve0525-confirm-yes'
+            });
+
+            assert.deepEqual(tagsFor('+12125550401'), ['events -> ve0525-confirm-yes']);
+            const record = (await ctx.api('GET', `/calls/${callSid}`)).body;
+            assert.equal(record.attendance.value, 'attending');
+            assert.equal(record.attendance.note, 'Bringing a friend');
+            assert.equal((await retryFor('+12125550401')).stopReason, 'confirmed');
+        });
+
+        it('maps each value to its outcome', async () => {
+            const expected = {
+                'not-attending': 'confirmNo',
+                'vip-session-yes': 'vipConfirmYes',
+                'vip-session-no': 'vipConfirmNo',
+                'left-voicemail': 'leftMessage',
+                'wrong-person': 'wrongPerson',
+                'call-back-later': 'notAvailable'
+            };
+            let n = 10;
+            for (const [attendance, outcome] of Object.entries(expected)) {
+                const phoneNumber = `+121255504${n++}`;
+                await invite(phoneNumber);
+                const response = await ctx.api('POST', '/api/attendance', { phoneNumber, attendance });
+                assert.equal(response.body.outcome, outcome, attendance);
+            }
+        });
+
+        it('schedules a retry for call-back-later and stops them for a wrong person', async () => {
+            await invite('2125550420');
+            await ctx.api('POST', '/api/attendance', { phoneNumber: '2125550420', attendance: 'call-back-later' });
+            const later = await retryFor('+12125550420');
+            assert.equal(later.status, 'scheduled');
+            assert.equal(later.lastOutcome, 'call-back-later');
+
+            await invite('2125550421');
+            await ctx.api('POST', '/api/attendance', { phoneNumber: '2125550421', attendance: 'wrong-person' });
+            assert.equal((await retryFor('+12125550421')).stopReason, 'wrong-person');
+            assert.deepEqual(tagsFor('+12125550421'), ['events -> ve0525-confirm-wrong-person']);
+        });
+
+        it('rejects values outside the fixed set', async () => {
+            await invite('2125550422');
+            const response = await ctx.api('POST', '/api/attendance', { phoneNumber: '2125550422', attendance: 'maybe' });
+            assert.equal(response.status, 400);
+            assert.match(response.body.error, /attending, not-attending/);
+            assert.deepEqual(tagsFor('+12125550422'), []);
+        });
+
+        it('needs a valid number with a call', async () => {
+            assert.equal((await ctx.api('POST', '/api/attendance', { phoneNumber: 'nope', attendance: 'attending' })).status, 400);
+            assert.equal((await ctx.api('POST', '/api/attendance', { phoneNumber: '2125550499', attendance: 'attending' })).status, 404);
+        });
+    });
+
+    describe('/api/contacts', () => {
+        it('applies the tag the agent chose and follows it for retries', async () => {
+            const callSid = await invite('2125550431');
+            const response = await ctx.api('GET', '/api/contacts?clientName=Jane%20Doe&phoneNumber=2125550431&tag=ve0525-confirm-no&removeTag=ve0525-confirm-call-initiated');
+            assert.equal(response.status, 200);
+            assert.equal(response.body.tag, 've0525-confirm-no');
+
+            const tagged = ctx.crm.tags.find(entry => entry.phoneNumber === '+12125550431');
+            assert.equal(tagged.tag, 've0525-confirm-no');
+            assert.deepEqual(tagged.removeTags, ['ve0525-confirm-call-initiated']);
+            assert.match(ctx.crm.notes.find(entry => entry.phoneNumber === '+12125550431').body, new RegExp(callSid));
+            assert.equal((await retryFor('+12125550431')).stopReason, 'confirmed');
+        });
+
+        it('does nothing without a tag', async () => {
+            const response = await ctx.api('GET', '/api/contacts?clientName=Jane%20Doe&phoneNumber=2125550432');
+            assert.equal(response.status, 200);
+            assert.equal(response.body.message, 'No tag to apply');
+        });
+
+        it('requires clientName and phoneNumber', async () => {
+            assert.equal((await ctx.api('GET', '/api/contacts?phoneNumber=2125550433')).status, 400);
+            assert.equal((await ctx.api('GET', '/api/contacts?clientName=Jane')).status, 400);
+        });
+    });
+
+    describe('/api/do-not-call', () => {
+        it('adds the number to the list and stops further calls', async () => {
+            const callSid = await invite('2125550441');
+            const response = await ctx.api('POST', '/api/do-not-call', { phoneNumber: '2125550441', reason: 'Asked us to stop' });
+            assert.equal(response.status, 200);
+            assert.equal(response.body.success, true);
+
+            const { entries } = (await ctx.api('GET', '/compliance/dnc')).body;
+            const entry = entries.find(item => item.phoneNumber === '+12125550441');
+            assert.equal(entry.source, 'agent');
+            assert.equal(entry.reason, 'Asked us to stop');
+            assert.equal((await ctx.api('GET', `/calls/${callSid}`)).body.doNotCall, true);
+            assert.equal((await retryFor('+12125550441')).stopReason, 'do-not-call');
+            assert.equal((await ctx.api('POST', '/initiate-call', { clientName: 'Jane Doe', phoneNumber: '2125550441' })).status, 403);
+        });
+
+        it('requires a valid phone number', async () => {
+            assert.equal((await ctx.api('POST', '/api/do-not-call', { phoneNumber: '12' })).status, 400);
+        });
+    });
+});